@@ -0,0 +1,150 @@
+// Google Ads conversion adjustments for jobs that change after export. The
+// export ledger holds what each destination sent; a job since cancelled or
+// deleted in Workiz is retracted, and one whose conversion value changed is
+// restated with the new value. Adjustments are kept in conversionAdjustments
+// and go out in an "<tab> Adjustments" sheet tab or the adjustments CSV.
+
+import { csvField } from "./conversionCsv.js";
+import { sameLedgerValue } from "./exportLedger.js";
+
+export const ADJUSTMENT_TYPES = { retract: "RETRACT", restate: "RESTATE" };
+
+// Call conversions are identified by caller and call start time, as in the
+// upload they were sent in
+export const ADJUSTMENT_HEADERS = [
+  "Caller's Phone Number",
+  "Call Start Time",
+  "Conversion Name",
+  "Adjustment Type",
+  "Adjustment Time",
+  "Adjusted Value",
+  "Adjusted Value Currency",
+];
+
+export const ADJUSTMENT_KEY_HEADER = "Adjustment ID";
+
+// Ledger entries sent longer ago than this aren't checked any more
+export const ADJUSTMENT_LOOKBACK_DAYS = 90;
+
+// Adjustments stay in a sheet's adjustments tab this long
+export const ADJUSTMENT_SHEET_DAYS = 7;
+
+const CANCELLED_STATUSES = ["cancelled", "canceled"];
+
+// Tombstone reason of jobs Workiz no longer has. Jobs tombstoned for
+// retention only aged out of the database and still happened.
+const DELETED_IN_WORKIZ = "missing_in_workiz";
+
+export function isCancelledJob(job) {
+  return CANCELLED_STATUSES.includes(
+    String(job?.Status || "")
+      .trim()
+      .toLowerCase()
+  );
+}
+
+export function adjustmentSheetName(sheetName) {
+  return `${sheetName} Adjustments`;
+}
+
+// Compare ledger entries with the jobs as stored now (Map UUID → job) and
+// this export's values (Map UUID → export job). Jobs deleted in Workiz or
+// cancelled are retracted; jobs not stored or tombstoned for retention can't
+// be compared and are skipped. Values are compared before currency
+// conversion, so a new exchange rate alone restates nothing; a restatement
+// reports the value converted at the current rate. Returns
+// [{ entry, type, reason, adjustedValue, currency, source }], where source
+// holds the restated value's sourceValue, sourceCurrency and exchangeRate.
+export function detectAdjustments(entries, jobs, exportJobs) {
+  const adjustments = [];
+  for (const entry of entries) {
+    if (entry.retractedAt) continue;
+    const job = jobs.get(entry.jobUUID);
+    if (!job) continue;
+
+    const deletedInWorkiz =
+      !!job.deletedAt && job.deletedReason === DELETED_IN_WORKIZ;
+    if (job.deletedAt && !deletedInWorkiz) continue;
+
+    if (deletedInWorkiz || isCancelledJob(job)) {
+      adjustments.push({
+        entry,
+        type: ADJUSTMENT_TYPES.retract,
+        reason: deletedInWorkiz ? "deleted" : "cancelled",
+        adjustedValue: null,
+        currency: entry.currency,
+      });
+      continue;
+    }
+
+    const exportJob = exportJobs.get(entry.jobUUID);
+    if (
+      exportJob &&
+      (!sameLedgerValue(entry, exportJob) ||
+        exportJob.currency !== entry.currency)
+    ) {
+      adjustments.push({
+        entry,
+        type: ADJUSTMENT_TYPES.restate,
+        reason: "repriced",
+        adjustedValue: exportJob.conversionValue,
+        currency: exportJob.currency,
+        source: {
+          sourceValue: exportJob.sourceValue,
+          sourceCurrency: exportJob.sourceCurrency,
+          exchangeRate: exportJob.exchangeRate,
+        },
+      });
+    }
+  }
+  return adjustments;
+}
+
+// Sheet/CSV cells for a stored adjustment. Retractions carry no value.
+export function adjustmentRow(adjustment) {
+  const retract = adjustment.type === ADJUSTMENT_TYPES.retract;
+  return [
+    adjustment.callerPhone,
+    adjustment.conversionTime,
+    adjustment.conversionName,
+    adjustment.type,
+    adjustment.adjustmentTime,
+    retract ? "" : adjustment.adjustedValue,
+    retract ? "" : adjustment.currency,
+  ];
+}
+
+// Adjustments upload file, with the same Parameters row as the conversions
+// CSV
+export function buildAdjustmentsCsv(adjustments, { timeZone }) {
+  const lines = [
+    [
+      `Parameters:TimeZone=${timeZone}`,
+      ...Array(ADJUSTMENT_HEADERS.length - 1).fill(""),
+    ],
+    ADJUSTMENT_HEADERS,
+    ...adjustments.map(adjustmentRow),
+  ].map((fields) => fields.map(csvField).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Retraction and restatement counts, with a few examples for sync history
+export function summarizeAdjustments(adjustments) {
+  return {
+    retractions: adjustments.filter(
+      ({ type }) => type === ADJUSTMENT_TYPES.retract
+    ).length,
+    restatements: adjustments.filter(
+      ({ type }) => type === ADJUSTMENT_TYPES.restate
+    ).length,
+    sample: adjustments
+      .slice(0, 10)
+      .map(({ jobUUID, type, reason, previousValue, adjustedValue }) => ({
+        jobUUID,
+        type,
+        reason,
+        previousValue,
+        adjustedValue,
+      })),
+  };
+}
@@ -0,0 +1,56 @@
+// Google Ads offline call-conversion upload file (CSV). Column names and the
+// Parameters row follow Google's "Call conversions" import template.
+
+export const CALL_CONVERSION_HEADERS = [
+  "Caller's Phone Number",
+  "Call Start Time",
+  "Conversion Name",
+  "Conversion Time",
+  "Conversion Value",
+  "Conversion Currency",
+];
+
+export const DEFAULT_CONVERSION_CURRENCY = "USD";
+
+// Quote a CSV field when it holds a comma, quote or line break
+export function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(fields) {
+  return fields.map(csvField).join(",");
+}
+
+// Build the upload file from export jobs ({ phone, formattedTime,
+// conversionName, conversionValue, currency }, phone already in E.164). Call times
+// already carry the time zone suffix; the Parameters row names the same zone
+// for Google Ads' parser.
+export function buildCallConversionCsv(exportJobs, { timeZone }) {
+  const lines = [
+    csvLine([
+      `Parameters:TimeZone=${timeZone}`,
+      ...Array(CALL_CONVERSION_HEADERS.length - 1).fill(""),
+    ]),
+    csvLine(CALL_CONVERSION_HEADERS),
+    ...exportJobs.map(
+      ({
+        phone,
+        formattedTime,
+        conversionName,
+        conversionValue,
+        currency = DEFAULT_CONVERSION_CURRENCY,
+      }) =>
+        csvLine([
+          phone,
+          formattedTime,
+          conversionName,
+          "",
+          conversionValue,
+          currency,
+        ])
+    ),
+  ];
+  // Google Ads accepts CRLF or LF; CRLF keeps Excel happy when opened first
+  return lines.join("\r\n") + "\r\n";
+}
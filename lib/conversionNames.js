@@ -0,0 +1,120 @@
+// Per-account conversion action names. Mappings are checked in order and the
+// first whose conditions all match names the job's conversion; jobs no
+// mapping matches get the account's default name and are reported as
+// unmapped. Accounts without a configuration keep the legacy name.
+
+import { matchesRule } from "./conversionRules.js";
+
+export const DEFAULT_CONVERSION_NAME = "Google Ads Convert";
+export const MAX_CONVERSION_NAME_MAPPINGS = 50;
+
+// Conditions a mapping can use, compared case-insensitively
+const MAPPING_CONDITIONS = ["jobTypes", "jobSources", "statuses"];
+
+export function getConversionNames(account) {
+  const config = account.conversionNames;
+  return config?.defaultName ? config : null;
+}
+
+// { name, mapping: { index, name } | null, unmapped }. unmapped is only set
+// when the account has mappings and none matched; a default name on its
+// own isn't worth a warning.
+export function resolveConversionName(job, config) {
+  if (!config) {
+    return { name: DEFAULT_CONVERSION_NAME, mapping: null, unmapped: false };
+  }
+  for (let index = 0; index < config.mappings.length; index++) {
+    const mapping = config.mappings[index];
+    if (matchesRule(mapping, job, 0)) {
+      return {
+        name: mapping.name,
+        mapping: { index, name: mapping.name },
+        unmapped: false,
+      };
+    }
+  }
+  return {
+    name: config.defaultName,
+    mapping: null,
+    unmapped: config.mappings.length > 0,
+  };
+}
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+// Validate conversionNames ({ defaultName, mappings }) from a request body.
+// null goes back to the legacy name. Returns a list of error messages.
+export function validateConversionNames(config) {
+  if (config === undefined || config === null) return [];
+  if (typeof config !== "object" || !Array.isArray(config.mappings)) {
+    return ["conversionNames must be an object with a mappings array"];
+  }
+
+  const errors = [];
+  if (typeof config.defaultName !== "string" || !config.defaultName.trim()) {
+    errors.push("conversionNames needs a defaultName");
+  }
+  if (config.mappings.length > MAX_CONVERSION_NAME_MAPPINGS) {
+    errors.push(
+      `conversionNames can have at most ${MAX_CONVERSION_NAME_MAPPINGS} mappings`
+    );
+  }
+
+  config.mappings.forEach((mapping, index) => {
+    const name = `conversionNames.mappings[${index}]`;
+    if (!mapping || typeof mapping !== "object") {
+      errors.push(`${name} must be an object`);
+      return;
+    }
+    if (typeof mapping.name !== "string" || !mapping.name.trim()) {
+      errors.push(`${name} needs a conversion name`);
+    }
+    const conditions = mapping.conditions ?? {};
+    for (const condition of MAPPING_CONDITIONS) {
+      if (
+        conditions[condition] !== undefined &&
+        !isStringList(conditions[condition])
+      ) {
+        errors.push(
+          `${name}.conditions.${condition} must be a list of strings`
+        );
+      }
+    }
+  });
+
+  return errors;
+}
+
+export function normalizeConversionNames(config) {
+  if (!config) return null;
+  return {
+    defaultName: config.defaultName.trim(),
+    mappings: config.mappings.map((mapping) => {
+      const conditions = {};
+      for (const condition of MAPPING_CONDITIONS) {
+        const values = (mapping.conditions?.[condition] || [])
+          .map((value) => value.trim())
+          .filter(Boolean);
+        if (values.length > 0) conditions[condition] = values;
+      }
+      return { name: mapping.name.trim(), conditions };
+    }),
+  };
+}
+
+// Jobs per conversion name, plus the unmapped jobs to warn about (first few
+// UUIDs, so the sync history entry stays small)
+export function summarizeConversionNames(exportJobs) {
+  const byName = {};
+  const unmapped = [];
+  for (const { job, conversionName, conversionNameUnmapped } of exportJobs) {
+    byName[conversionName] = (byName[conversionName] || 0) + 1;
+    if (conversionNameUnmapped) unmapped.push(job.UUID);
+  }
+  return {
+    byName,
+    unmapped: unmapped.length,
+    unmappedSample: unmapped.slice(0, 10),
+  };
+}
@@ -0,0 +1,230 @@
+// Per-account conversion value rules. Rules are checked in order and the
+// first one whose conditions all match sets the job's conversion value;
+// a job no rule matches gets the account's defaultConversionValue.
+
+export const RULE_VALUE_TYPES = ["jobRevenue", "fixed", "default"];
+
+// String conditions: each lists accepted values, compared case-insensitively
+const LIST_CONDITIONS = {
+  statuses: "Status",
+  subStatuses: "SubStatus",
+  jobTypes: "JobType",
+  jobSources: "JobSource",
+};
+
+export const MAX_CONVERSION_RULES = 50;
+
+// What every account got before rules existed: cancelled jobs are worth 0,
+// everything else its revenue, or the default value when revenue is 0
+export const DEFAULT_CONVERSION_RULES = [
+  {
+    name: "Cancelled jobs",
+    conditions: { statuses: ["Cancelled", "Canceled"] },
+    value: { type: "fixed", amount: 0 },
+  },
+  {
+    name: "Job revenue",
+    conditions: {},
+    value: { type: "jobRevenue" },
+  },
+];
+
+export function getConversionRules(account) {
+  return Array.isArray(account.conversionRules) &&
+    account.conversionRules.length > 0
+    ? account.conversionRules
+    : DEFAULT_CONVERSION_RULES;
+}
+
+const lower = (value) => String(value ?? "").toLowerCase();
+
+// Workiz sends Tags as an array, older payloads as a comma-separated string
+function jobTags(job) {
+  if (Array.isArray(job.Tags)) return job.Tags.map(lower);
+  if (typeof job.Tags === "string") {
+    return job.Tags.split(",").map((tag) => lower(tag.trim()));
+  }
+  return [];
+}
+
+// Do all of a rule's conditions hold for the job? Price bounds compare
+// against the job's revenue (JobTotalPrice, or collected payments when the
+// account values conversions by payments).
+export function matchesRule(rule, job, jobRevenue) {
+  const conditions = rule.conditions || {};
+
+  for (const [condition, field] of Object.entries(LIST_CONDITIONS)) {
+    const accepted = conditions[condition];
+    if (accepted?.length && !accepted.map(lower).includes(lower(job[field]))) {
+      return false;
+    }
+  }
+
+  if (conditions.tags?.length) {
+    const tags = jobTags(job);
+    if (!conditions.tags.some((tag) => tags.includes(lower(tag)))) {
+      return false;
+    }
+  }
+
+  if (
+    typeof conditions.minPrice === "number" &&
+    jobRevenue < conditions.minPrice
+  ) {
+    return false;
+  }
+  if (
+    typeof conditions.maxPrice === "number" &&
+    jobRevenue > conditions.maxPrice
+  ) {
+    return false;
+  }
+  return true;
+}
+
+function ruleValue(rule, jobRevenue, defaultValue) {
+  switch (rule.value.type) {
+    case "fixed":
+      return rule.value.amount;
+    case "jobRevenue":
+      return jobRevenue !== 0 ? jobRevenue : defaultValue;
+    default:
+      return defaultValue;
+  }
+}
+
+// Conversion value for a job and the rule that set it ({ index, name }, or
+// null when no rule matched and the default value applied)
+export function evaluateConversionValue(
+  job,
+  { rules, jobRevenue, defaultValue }
+) {
+  for (let index = 0; index < rules.length; index++) {
+    const rule = rules[index];
+    if (matchesRule(rule, job, jobRevenue)) {
+      return {
+        value: ruleValue(rule, jobRevenue, defaultValue),
+        rule: { index, name: rule.name },
+      };
+    }
+  }
+  return { value: defaultValue, rule: null };
+}
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+// Validate rules from a request body. null or [] goes back to the default
+// rules. Returns a list of error messages.
+export function validateConversionRules(rules) {
+  if (rules === undefined || rules === null) return [];
+  if (!Array.isArray(rules)) return ["conversionRules must be an array"];
+
+  const errors = [];
+  if (rules.length > MAX_CONVERSION_RULES) {
+    errors.push(
+      `conversionRules can have at most ${MAX_CONVERSION_RULES} rules`
+    );
+  }
+
+  rules.forEach((rule, index) => {
+    const name = `conversionRules[${index}]`;
+    if (!rule || typeof rule !== "object") {
+      errors.push(`${name} must be an object`);
+      return;
+    }
+    if (typeof rule.name !== "string" || !rule.name.trim()) {
+      errors.push(`${name} needs a name`);
+    }
+
+    const conditions = rule.conditions ?? {};
+    if (typeof conditions !== "object") {
+      errors.push(`${name}.conditions must be an object`);
+    } else {
+      for (const condition of [...Object.keys(LIST_CONDITIONS), "tags"]) {
+        if (
+          conditions[condition] !== undefined &&
+          !isStringList(conditions[condition])
+        ) {
+          errors.push(
+            `${name}.conditions.${condition} must be a list of strings`
+          );
+        }
+      }
+      for (const bound of ["minPrice", "maxPrice"]) {
+        if (
+          conditions[bound] !== undefined &&
+          conditions[bound] !== null &&
+          !Number.isFinite(conditions[bound])
+        ) {
+          errors.push(`${name}.conditions.${bound} must be a number`);
+        }
+      }
+    }
+
+    if (!rule.value || !RULE_VALUE_TYPES.includes(rule.value.type)) {
+      errors.push(
+        `${name}.value.type must be one of ${RULE_VALUE_TYPES.join(", ")}`
+      );
+    } else if (
+      rule.value.type === "fixed" &&
+      !Number.isFinite(rule.value.amount)
+    ) {
+      errors.push(`${name}.value.amount must be a number`);
+    }
+  });
+
+  return errors;
+}
+
+// Keep only the properties a rule is defined by
+export function normalizeConversionRules(rules) {
+  if (!rules || rules.length === 0) return null;
+  return rules.map((rule) => {
+    const conditions = {};
+    for (const condition of [...Object.keys(LIST_CONDITIONS), "tags"]) {
+      const values = (rule.conditions?.[condition] || [])
+        .map((value) => value.trim())
+        .filter(Boolean);
+      if (values.length > 0) conditions[condition] = values;
+    }
+    for (const bound of ["minPrice", "maxPrice"]) {
+      if (Number.isFinite(rule.conditions?.[bound])) {
+        conditions[bound] = rule.conditions[bound];
+      }
+    }
+
+    return {
+      name: rule.name.trim(),
+      conditions,
+      value:
+        rule.value.type === "fixed"
+          ? { type: "fixed", amount: rule.value.amount }
+          : { type: rule.value.type },
+    };
+  });
+}
+
+// How many jobs each rule valued and the value it assigned. Jobs no rule
+// matched are counted under a null index.
+export function summarizeRuleUsage(rules, evaluations) {
+  const usage = rules.map((rule, index) => ({
+    index,
+    name: rule.name,
+    jobs: 0,
+    conversionValue: 0,
+  }));
+  const unmatched = {
+    index: null,
+    name: "Default value",
+    jobs: 0,
+    conversionValue: 0,
+  };
+
+  for (const { rule, conversionValue } of evaluations) {
+    const entry = rule ? usage[rule.index] : unmatched;
+    entry.jobs += 1;
+    entry.conversionValue += conversionValue;
+  }
+  return unmatched.jobs > 0 ? [...usage, unmatched] : usage;
+}
@@ -0,0 +1,96 @@
+// Conversion currencies. Each account bills in its own currency and can
+// report conversion values in it or converted to a reporting currency, using
+// the exchange rates stored in the exchangeRates collection (one document per
+// currency: { currency, perUsd, updatedAt, source }).
+
+export const DEFAULT_CURRENCY = "USD";
+
+// Free, keyless provider; EXCHANGE_RATES_URL can point at another USD-based
+// feed returning { rates: { CAD: 1.36, ... } }
+export const DEFAULT_EXCHANGE_RATES_URL =
+  "https://open.er-api.com/v6/latest/USD";
+
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf("currency"));
+
+export function isCurrencyCode(value) {
+  return typeof value === "string" && SUPPORTED_CURRENCIES.has(value);
+}
+
+export function validateCurrencySettings(body) {
+  const errors = [];
+  if (
+    body.currency !== undefined &&
+    body.currency !== null &&
+    !isCurrencyCode(body.currency)
+  ) {
+    errors.push("currency must be an ISO 4217 code such as USD or CAD");
+  }
+  if (
+    body.reportingCurrency !== undefined &&
+    body.reportingCurrency !== null &&
+    !isCurrencyCode(body.reportingCurrency)
+  ) {
+    errors.push("reportingCurrency must be an ISO 4217 code or null");
+  }
+  return errors;
+}
+
+// { currency, reportingCurrency }: the currency jobs are billed in and the
+// one conversion values are reported in (the same unless the account asks
+// for conversion)
+export function getAccountCurrencies(account) {
+  const currency = isCurrencyCode(account.currency)
+    ? account.currency
+    : DEFAULT_CURRENCY;
+  const reportingCurrency = isCurrencyCode(account.reportingCurrency)
+    ? account.reportingCurrency
+    : currency;
+  return { currency, reportingCurrency };
+}
+
+// Rate to multiply amounts in `from` by to get `to`, from a
+// Map(currency → { perUsd }). Throws when either rate is missing so an
+// export never goes out in the wrong currency.
+export function getExchangeRate(rates, from, to) {
+  if (from === to) return 1;
+  const missing = [from, to].filter(
+    (currency) => currency !== "USD" && !rates.get(currency)
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `No exchange rate stored for ${missing.join(
+        ", "
+      )}; refresh with POST /api/exchange-rates/refresh`
+    );
+  }
+  const perUsd = (currency) =>
+    currency === "USD" ? 1 : rates.get(currency).perUsd;
+  return perUsd(to) / perUsd(from);
+}
+
+// Converted amounts are rounded to cents, as Google Ads reports them
+export function convertAmount(amount, rate) {
+  return rate === 1 ? amount : Math.round(amount * rate * 100) / 100;
+}
+
+// Validate a { CAD: 1.36, ... } map of units per US dollar from the provider
+// or a request body. Returns the valid rates and errors for the rest.
+export function parseRates(input) {
+  if (!input || typeof input !== "object") {
+    return { rates: {}, errors: ["rates must be an object of currency: rate"] };
+  }
+  const rates = {};
+  const errors = [];
+  for (const [currency, rate] of Object.entries(input)) {
+    if (!isCurrencyCode(currency)) {
+      errors.push(`${currency} is not a supported currency code`);
+      continue;
+    }
+    if (!Number.isFinite(rate) || rate <= 0) {
+      errors.push(`rate for ${currency} must be a positive number`);
+      continue;
+    }
+    rates[currency] = rate;
+  }
+  return { rates, errors };
+}
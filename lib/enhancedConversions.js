@@ -0,0 +1,89 @@
+// Enhanced conversions for leads: customer identifiers are normalized the
+// way Google Ads expects. Email, phone and names are sent only as SHA-256 hex
+// digests; postal code is sent in plain text, as Google requires. Accounts in
+// "enhanced" export mode must not write raw customer data to their sheets.
+
+import crypto from "crypto";
+
+export const EXPORT_MODES = ["standard", "enhanced"];
+
+const GMAIL_DOMAINS = ["gmail.com", "googlemail.com"];
+
+// Lowercase and trim; for gmail.com and googlemail.com Google also removes
+// the dots before the domain
+export function normalizeEmail(raw) {
+  const email = String(raw ?? "")
+    .trim()
+    .toLowerCase();
+  const at = email.lastIndexOf("@");
+  if (at < 1 || at === email.length - 1 || /\s/.test(email)) return null;
+
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+  if (!GMAIL_DOMAINS.includes(domain)) return email;
+
+  const mailbox = local.replace(/\./g, "");
+  return mailbox ? `${mailbox}@${domain}` : null;
+}
+
+export function normalizeName(raw) {
+  const name = String(raw ?? "")
+    .trim()
+    .toLowerCase();
+  return name || null;
+}
+
+// Sent unhashed, so only tidied: trimmed, single spaces, uppercase
+export function normalizePostalCode(raw) {
+  const postalCode = String(raw ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toUpperCase();
+  return postalCode || null;
+}
+
+export function sha256Hex(value) {
+  return crypto.createHash("sha256").update(value, "utf8").digest("hex");
+}
+
+// Hash of a normalized identifier; missing or unusable values stay empty
+// rather than becoming the hash of an empty string
+export function hashIdentifier(normalized) {
+  return normalized ? sha256Hex(normalized) : "";
+}
+
+export function isEnhancedMode(account) {
+  return account?.exportMode === "enhanced";
+}
+
+export function validateExportMode(value) {
+  if (value === undefined || value === null || EXPORT_MODES.includes(value)) {
+    return null;
+  }
+  return `exportMode must be one of ${EXPORT_MODES.join(", ")}`;
+}
+
+// Job fields and computed columns that carry raw customer data
+const PII_FIELDS = [
+  "email",
+  "phone",
+  "secondphone",
+  "phoneext",
+  "firstname",
+  "lastname",
+  "address",
+  "postalcode",
+];
+const PII_COMPUTED = ["callerPhone", "clientName", "fullAddress"];
+
+// Headers of a template's columns that would write raw customer data
+export function findRawPiiColumns(template) {
+  return (template?.columns || [])
+    .filter(
+      (column) =>
+        (column.source === "field" &&
+          PII_FIELDS.includes(String(column.value).trim().toLowerCase())) ||
+        (column.source === "computed" && PII_COMPUTED.includes(column.value))
+    )
+    .map((column) => column.header);
+}
@@ -0,0 +1,124 @@
+// Workiz leads, clients and payments, stored next to jobs for attribution.
+// Leads and clients link to jobs by ClientId; payments link by job UUID.
+
+import { RetryHandler } from "./resilience.js";
+
+export const WORKIZ_ENTITY_TYPES = ["leads", "clients", "payments"];
+
+// How each entity is fetched, keyed and linked back to jobs
+const ENTITY_CONFIG = {
+  leads: {
+    collection: "leads",
+    path: "lead/all/",
+    key: (lead) => lead.UUID,
+    link: (lead) => ({
+      ClientId: lead.ClientId ?? null,
+      // Set once the lead has been converted into a job
+      jobUUID: lead.JobUUID || null,
+    }),
+  },
+  clients: {
+    collection: "clients",
+    path: "client/all/",
+    key: (client) => client.ClientId ?? client.id,
+    link: (client) => ({ ClientId: client.ClientId ?? client.id }),
+  },
+  payments: {
+    collection: "payments",
+    path: "payment/all/",
+    key: (payment) => payment.UUID ?? payment.id,
+    link: (payment) => ({
+      jobUUID: payment.JobUUID || payment.job_uuid || null,
+      ClientId: payment.ClientId ?? null,
+      amount: Number(payment.Amount ?? payment.amount) || 0,
+    }),
+  },
+};
+
+// Validate a requested entity list; falls back to every entity type
+export function parseEntityTypes(value) {
+  if (value === undefined || value === null) {
+    return { types: WORKIZ_ENTITY_TYPES, invalid: [] };
+  }
+  const requested = Array.isArray(value) ? value : String(value).split(",");
+  const types = requested.map((t) => String(t).trim()).filter(Boolean);
+  return {
+    types: types.filter((t) => WORKIZ_ENTITY_TYPES.includes(t)),
+    invalid: types.filter((t) => !WORKIZ_ENTITY_TYPES.includes(t)),
+  };
+}
+
+// Fetch one entity type from Workiz and upsert it into its collection.
+// Records without a usable key are counted and skipped.
+export async function syncWorkizEntity(db, workiz, account, type, options) {
+  const config = ENTITY_CONFIG[type];
+  const accountId = account._id || account.id;
+  const { items, pages, truncated } = await workiz.listAll(
+    config.path,
+    options
+  );
+
+  const now = new Date();
+  const bulkOps = [];
+  let skipped = 0;
+
+  for (const item of items) {
+    const key = config.key(item);
+    if (key === undefined || key === null || key === "") {
+      skipped++;
+      continue;
+    }
+
+    bulkOps.push({
+      updateOne: {
+        filter: { accountId, workizId: String(key) },
+        update: {
+          $set: {
+            ...item,
+            ...config.link(item),
+            accountId,
+            workizId: String(key),
+            lastUpdated: now,
+          },
+        },
+        upsert: true,
+      },
+    });
+  }
+
+  let upserted = 0;
+  let modified = 0;
+  if (bulkOps.length > 0) {
+    const result = await RetryHandler.withRetry(async () => {
+      return await db.collection(config.collection).bulkWrite(bulkOps);
+    });
+    upserted = result.upsertedCount;
+    modified = result.modifiedCount;
+  }
+
+  console.log(
+    `✅ ${account.name} ${type}: ${items.length} fetched, ${upserted} new, ${modified} updated, ${skipped} skipped`
+  );
+
+  return {
+    fetched: items.length,
+    upserted,
+    modified,
+    skipped,
+    workizPages: pages.length,
+    paginationTruncated: truncated,
+  };
+}
+
+// Collected payment totals per job UUID for an account
+export async function getPaymentTotalsByJob(db, accountId, jobUUIDs) {
+  const totals = await db
+    .collection("payments")
+    .aggregate([
+      { $match: { accountId, jobUUID: { $in: jobUUIDs } } },
+      { $group: { _id: "$jobUUID", total: { $sum: "$amount" } } },
+    ])
+    .toArray();
+
+  return new Map(totals.map((row) => [row._id, row.total]));
+}
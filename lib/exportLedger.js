@@ -0,0 +1,188 @@
+// Ledger of exported conversions (exportLedger collection): one document per
+// account, destination and job with the name, time and value last sent, and
+// the earlier sends in history. Accounts with exportScope "newOrChanged" only
+// export conversions the ledger hasn't seen, or has seen with other values,
+// so Google Ads isn't handed the same conversion every day. Values are
+// compared in the account's billing currency (sourceValue), so an exchange
+// rate refresh alone doesn't make every converted value look changed.
+
+import crypto from "crypto";
+
+export const EXPORT_SCOPES = ["all", "newOrChanged"];
+
+// Ledger destination of the conversions CSV download
+export const CSV_LEDGER_DESTINATION = "csv";
+
+// Sent rows stay in a newOrChanged sheet this long, so a scheduled Google Ads
+// import that runs after a later sync still picks them up
+export const LEDGER_HOLD_HOURS = 24;
+
+// Earlier sends kept per entry
+export const MAX_LEDGER_HISTORY = 20;
+
+export function validateExportScope(value) {
+  if (value === undefined || value === null || EXPORT_SCOPES.includes(value)) {
+    return null;
+  }
+  return `exportScope must be one of ${EXPORT_SCOPES.join(", ")}`;
+}
+
+export function isNewOrChangedScope(account) {
+  return account?.exportScope === "newOrChanged";
+}
+
+// What the ledger records for an export job. sourceValue is the value in
+// sourceCurrency before conversion at exchangeRate; null when a sheet
+// override set the reported value directly.
+export function toLedgerValues(exportJob) {
+  return {
+    conversionName: exportJob.conversionName,
+    conversionTime: exportJob.formattedTime,
+    conversionValue: exportJob.conversionValue,
+    currency: exportJob.currency,
+    sourceValue: exportJob.sourceValue,
+    sourceCurrency: exportJob.sourceCurrency,
+    exchangeRate: exportJob.exchangeRate,
+  };
+}
+
+// Whether an entry was sent with the value an export job has now. Compared
+// before conversion, so only a change in Workiz (or a rule or override)
+// counts; entries from before sourceValue was recorded fall back to the
+// reported value.
+export function sameLedgerValue(entry, exportJob) {
+  if (
+    entry.sourceCurrency === undefined ||
+    (entry.sourceValue === null && exportJob.sourceValue === null)
+  ) {
+    return entry.conversionValue === exportJob.conversionValue;
+  }
+  return (
+    entry.sourceValue === exportJob.sourceValue &&
+    entry.sourceCurrency === exportJob.sourceCurrency
+  );
+}
+
+// "new", "changed" or null when the entry matches what would be sent.
+// Retracted conversions are never sent again.
+export function getLedgerChange(entry, exportJob) {
+  if (!entry) return "new";
+  if (entry.retractedAt) return null;
+  return entry.conversionName !== exportJob.conversionName ||
+    entry.conversionTime !== exportJob.formattedTime ||
+    entry.currency !== exportJob.currency ||
+    !sameLedgerValue(entry, exportJob)
+    ? "changed"
+    : null;
+}
+
+// Hash of the rows a download holds, so a later confirmation can check it is
+// recording the same export
+export function exportFingerprint(exportJobs) {
+  const rows = exportJobs
+    .map((exportJob) =>
+      [exportJob.job.UUID, ...Object.values(toLedgerValues(exportJob))].join(
+        "|"
+      )
+    )
+    .sort();
+  return crypto.createHash("sha256").update(rows.join("\n")).digest("hex");
+}
+
+// Export jobs a newOrChanged export sends: new or changed ones, plus ones
+// sent within the hold window. ledger is Map(jobUUID → entry).
+export function selectNewOrChanged(exportJobs, ledger, now = new Date()) {
+  const holdSince = now.getTime() - LEDGER_HOLD_HOURS * 60 * 60 * 1000;
+  return exportJobs.filter((exportJob) => {
+    const entry = ledger.get(exportJob.job.UUID);
+    return (
+      getLedgerChange(entry, exportJob) !== null ||
+      new Date(entry.lastExportedAt).getTime() >= holdSince
+    );
+  });
+}
+
+// An entry's sent values, as kept in its history once they're replaced
+function toHistoryItem(entry) {
+  return {
+    conversionName: entry.conversionName,
+    conversionTime: entry.conversionTime,
+    conversionValue: entry.conversionValue,
+    currency: entry.currency,
+    sourceValue: entry.sourceValue,
+    sourceCurrency: entry.sourceCurrency,
+    exchangeRate: entry.exchangeRate,
+    exportedAt: entry.lastExportedAt,
+  };
+}
+
+const pushHistory = (entry, extra = {}) => ({
+  history: {
+    $each: [{ ...toHistoryItem(entry), ...extra }],
+    $slice: -MAX_LEDGER_HISTORY,
+  },
+});
+
+// bulkWrite operations recording the new and changed jobs of an export, and
+// their counts. Unchanged jobs aren't touched, so lastExportedAt is when the
+// values were last sent.
+export function buildLedgerWrites(
+  { accountId, destinationId, destinationName },
+  exportJobs,
+  ledger,
+  now = new Date()
+) {
+  const operations = [];
+  const counts = { new: 0, changed: 0 };
+  for (const exportJob of exportJobs) {
+    const entry = ledger.get(exportJob.job.UUID);
+    const change = getLedgerChange(entry, exportJob);
+    if (!change) continue;
+    counts[change]++;
+
+    const update = {
+      $set: {
+        ...toLedgerValues(exportJob),
+        // Identifies the call in later adjustments; not compared
+        callerPhone: exportJob.phone,
+        destinationName,
+        lastExportedAt: now,
+      },
+      $setOnInsert: { firstExportedAt: now },
+    };
+    if (entry) update.$push = pushHistory(entry);
+    operations.push({
+      updateOne: {
+        filter: { accountId, destinationId, jobUUID: exportJob.job.UUID },
+        update,
+        upsert: true,
+      },
+    });
+  }
+  return { operations, counts };
+}
+
+// bulkWrite operations bringing ledger entries in line with conversion
+// adjustments ([{ entry, type, adjustedValue, currency, source }]): restated
+// entries take the new value, retracted ones are marked and not sent again
+export function buildAdjustmentLedgerWrites(adjustments, now = new Date()) {
+  return adjustments.map(
+    ({ entry, type, adjustedValue, currency, source }) => ({
+      updateOne: {
+        filter: { _id: entry._id },
+        update: {
+          $set:
+            type === "RETRACT"
+              ? { retractedAt: now }
+              : {
+                  conversionValue: adjustedValue,
+                  currency,
+                  ...source,
+                  adjustedAt: now,
+                },
+          $push: pushHistory(entry, { adjustment: type }),
+        },
+      },
+    })
+  );
+}
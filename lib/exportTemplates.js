@@ -0,0 +1,229 @@
+// Per-account column layout for the Google Sheets export. A template is an
+// ordered list of columns; each column takes its cell from a Workiz job
+// field, a computed expression or a literal, under its own header.
+
+import {
+  normalizeEmail,
+  normalizeName,
+  normalizePostalCode,
+  hashIdentifier,
+} from "./enhancedConversions.js";
+import { overrideCellValue } from "./sheetOverrides.js";
+
+export const EXPORT_SHEET_NAME = "Sheet1";
+export const MAX_TEMPLATE_COLUMNS = 52; // A through AZ
+
+export const COLUMN_SOURCES = ["field", "computed", "literal"];
+
+// Computed expressions a column can use. context carries the per-job values
+// the export works out (E.164 phone, formatted conversion time, conversion
+// name, value and currency).
+export const COMPUTED_COLUMNS = {
+  callerPhone: {
+    label: "Caller phone (E.164, Phone or SecondPhone)",
+    compute: (job, context) => context.phone,
+  },
+  conversionTime: {
+    label: "Conversion time (formatted JobDateTime)",
+    compute: (job, context) => context.formattedTime,
+  },
+  conversionName: {
+    label: "Conversion name (from the account's name mappings)",
+    compute: (job, context) => context.conversionName,
+  },
+  conversionValue: {
+    label: "Conversion value",
+    compute: (job, context) => context.conversionValue,
+  },
+  conversionCurrency: {
+    label: "Conversion currency (the account's reporting currency)",
+    compute: (job, context) => context.currency,
+  },
+  clientName: {
+    label: "Client name (FirstName LastName)",
+    compute: (job) =>
+      [job.FirstName, job.LastName].filter(Boolean).join(" ").trim(),
+  },
+  fullAddress: {
+    label: "Full address",
+    compute: (job) =>
+      [job.Address, job.City, job.State, job.PostalCode]
+        .filter(Boolean)
+        .join(", "),
+  },
+  jobRevenue: {
+    label: "Job revenue (JobTotalPrice or collected payments)",
+    compute: (job, context) => context.jobRevenue,
+  },
+  // Editable in the sheet: edits are read back as per-job overrides
+  overrideValue: {
+    label: "Override conversion value (edit in the sheet)",
+    compute: (job, context) =>
+      overrideCellValue(context.override, "conversionValue"),
+  },
+  doNotUpload: {
+    label: "Do not upload (edit in the sheet)",
+    compute: (job, context) =>
+      overrideCellValue(context.override, "doNotUpload"),
+  },
+  // Identifiers for enhanced conversions for leads: SHA-256 of the normalized
+  // email, phone and names; postal code normalized but not hashed
+  hashedEmail: {
+    label: "Hashed email (SHA-256)",
+    compute: (job) => hashIdentifier(normalizeEmail(job.Email)),
+  },
+  hashedPhone: {
+    label: "Hashed caller phone (SHA-256 of E.164)",
+    compute: (job, context) => hashIdentifier(context.phone),
+  },
+  hashedFirstName: {
+    label: "Hashed first name (SHA-256)",
+    compute: (job) => hashIdentifier(normalizeName(job.FirstName)),
+  },
+  hashedLastName: {
+    label: "Hashed last name (SHA-256)",
+    compute: (job) => hashIdentifier(normalizeName(job.LastName)),
+  },
+  postalCode: {
+    label: "Postal code (normalized, not hashed)",
+    compute: (job) => normalizePostalCode(job.PostalCode) || "",
+  },
+};
+
+// The Google Ads offline conversion layout
+export const DEFAULT_EXPORT_TEMPLATE = {
+  columns: [
+    {
+      header: "Caller's Phone Number",
+      source: "computed",
+      value: "callerPhone",
+    },
+    { header: "Call Start Time", source: "computed", value: "conversionTime" },
+    { header: "Conversion Name", source: "computed", value: "conversionName" },
+    { header: "Conversion Time", source: "literal", value: "" },
+    {
+      header: "Conversion Value",
+      source: "computed",
+      value: "conversionValue",
+    },
+    {
+      header: "Conversion Currency",
+      source: "computed",
+      value: "conversionCurrency",
+    },
+  ],
+};
+
+// Default layout for accounts in enhanced export mode: hashed identifiers
+// and the plain postal code Google matches them with, no raw customer data
+export const ENHANCED_EXPORT_TEMPLATE = {
+  columns: [
+    { header: "Email", source: "computed", value: "hashedEmail" },
+    { header: "Phone Number", source: "computed", value: "hashedPhone" },
+    { header: "First Name", source: "computed", value: "hashedFirstName" },
+    { header: "Last Name", source: "computed", value: "hashedLastName" },
+    { header: "Zip Code", source: "computed", value: "postalCode" },
+    { header: "Conversion Name", source: "computed", value: "conversionName" },
+    { header: "Conversion Time", source: "computed", value: "conversionTime" },
+    {
+      header: "Conversion Value",
+      source: "computed",
+      value: "conversionValue",
+    },
+    {
+      header: "Conversion Currency",
+      source: "computed",
+      value: "conversionCurrency",
+    },
+  ],
+};
+
+// The account's template, or the default layout for its export mode when
+// it has none
+export function getExportTemplate(account) {
+  const columns = account?.exportTemplate?.columns;
+  if (Array.isArray(columns) && columns.length > 0) {
+    return account.exportTemplate;
+  }
+  return account?.exportMode === "enhanced"
+    ? ENHANCED_EXPORT_TEMPLATE
+    : DEFAULT_EXPORT_TEMPLATE;
+}
+
+// Validate a template from a request body. null clears the account's
+// template (back to the default). Returns a list of error messages.
+export function validateExportTemplate(template) {
+  if (template === undefined || template === null) return [];
+
+  const errors = [];
+  if (typeof template !== "object" || !Array.isArray(template.columns)) {
+    return ["exportTemplate must be an object with a columns array"];
+  }
+  if (template.columns.length === 0) {
+    errors.push("exportTemplate must have at least one column");
+  }
+  if (template.columns.length > MAX_TEMPLATE_COLUMNS) {
+    errors.push(
+      `exportTemplate can have at most ${MAX_TEMPLATE_COLUMNS} columns`
+    );
+  }
+
+  template.columns.forEach((column, index) => {
+    const name = `exportTemplate column ${index + 1}`;
+    if (!column || typeof column !== "object") {
+      errors.push(`${name} must be an object`);
+      return;
+    }
+    if (typeof column.header !== "string" || !column.header.trim()) {
+      errors.push(`${name} needs a header`);
+    }
+    if (!COLUMN_SOURCES.includes(column.source)) {
+      errors.push(`${name} source must be one of ${COLUMN_SOURCES.join(", ")}`);
+      return;
+    }
+    if (column.source === "field" && !String(column.value ?? "").trim()) {
+      errors.push(`${name} needs a job field name`);
+    }
+    if (column.source === "computed" && !COMPUTED_COLUMNS[column.value]) {
+      errors.push(
+        `${name} computed value must be one of ${Object.keys(
+          COMPUTED_COLUMNS
+        ).join(", ")}`
+      );
+    }
+  });
+
+  return errors;
+}
+
+// Keep only the properties a column is defined by
+export function normalizeExportTemplate(template) {
+  if (template === null) return null;
+  return {
+    columns: template.columns.map((column) => ({
+      header: column.header.trim(),
+      source: column.source,
+      value: column.value === undefined ? "" : column.value,
+    })),
+  };
+}
+
+export function buildHeaderRow(template) {
+  return template.columns.map((column) => column.header);
+}
+
+// One sheet row for a job
+export function buildTemplateRow(template, job, context) {
+  return template.columns.map((column) => {
+    if (column.source === "literal") {
+      return column.value ?? "";
+    }
+    if (column.source === "computed") {
+      const value = COMPUTED_COLUMNS[column.value]?.compute(job, context);
+      return value ?? "";
+    }
+    const value = job[column.value];
+    if (value === undefined || value === null) return "";
+    return typeof value === "object" ? JSON.stringify(value) : value;
+  });
+}
@@ -0,0 +1,152 @@
+// Field-level change history for synced jobs (the jobHistory collection).
+// Entries are written before the job upsert, comparing what Mongo holds with
+// what Workiz just sent, so the previous state survives the $set.
+
+// Fields we add to job documents ourselves; changes to these aren't job changes
+const BOOKKEEPING_FIELDS = new Set([
+  "_id",
+  "accountId",
+  "lastUpdated",
+  "lastWebhookEvent",
+  "deletedAt",
+  "deletedReason",
+  "deletedContext",
+  "missingSince",
+  "missingChecks",
+  "lastMissingCheckAt",
+  "missingSource",
+]);
+
+function isSameValue(a, b) {
+  if (a === b) return true;
+  if (a === undefined || b === undefined || a === null || b === null) {
+    return (a ?? null) === (b ?? null);
+  }
+  if (typeof a === "object" || typeof b === "object") {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+}
+
+// Fields in next whose value differs from previous. Fields Workiz didn't send
+// are left alone, matching the $set that follows.
+export function diffJob(previous, next) {
+  const changes = [];
+  for (const [field, to] of Object.entries(next)) {
+    if (BOOKKEEPING_FIELDS.has(field)) continue;
+    const from = previous?.[field];
+    if (!isSameValue(from, to)) {
+      changes.push({ field, from: from ?? null, to: to ?? null });
+    }
+  }
+  return changes;
+}
+
+function buildEntry(previous, job, context, changedAt) {
+  const isNew = !previous;
+  // Every write from Workiz clears tombstones, so a tombstoned job coming
+  // back is a restore even when no field changed
+  const isRestore = !isNew && !!previous.deletedAt;
+  const changes = isNew ? [] : diffJob(previous, job);
+  if (!isNew && !isRestore && changes.length === 0) {
+    return null;
+  }
+
+  const statusChange = changes.find((c) => c.field === "Status");
+  return {
+    UUID: job.UUID,
+    accountId: context.accountId ?? previous?.accountId ?? null,
+    changeType: isNew ? "created" : isRestore ? "restored" : "updated",
+    changes,
+    statusTransition: isNew
+      ? { from: null, to: job.Status ?? null }
+      : statusChange
+      ? { from: statusChange.from, to: statusChange.to }
+      : null,
+    source: context.source,
+    changedAt,
+  };
+}
+
+// Record a jobHistory entry for every job in jobs that is new or differs from
+// its stored version. context: { accountId, source }. Never throws; history
+// must not break a sync. Resolves to the number of entries written.
+export async function recordJobChanges(db, jobs, context) {
+  const incoming = jobs.filter((job) => job && job.UUID);
+  if (incoming.length === 0) return 0;
+
+  try {
+    const existing = await db
+      .collection("jobs")
+      .find({ UUID: { $in: incoming.map((job) => job.UUID) } })
+      .toArray();
+    const existingByUUID = new Map(existing.map((job) => [job.UUID, job]));
+
+    const changedAt = new Date();
+    const entries = incoming
+      .map((job) =>
+        buildEntry(existingByUUID.get(job.UUID), job, context, changedAt)
+      )
+      .filter(Boolean);
+
+    if (entries.length > 0) {
+      await db.collection("jobHistory").insertMany(entries);
+    }
+    return entries.length;
+  } catch (error) {
+    console.log(`⚠️ Failed to record job history: ${error.message}`);
+    return 0;
+  }
+}
+
+// Record a lifecycle event that isn't a Workiz field change (tombstone, restore)
+export async function recordJobEvent(db, uuid, changeType, context) {
+  try {
+    await db.collection("jobHistory").insertOne({
+      UUID: uuid,
+      accountId: context.accountId ?? null,
+      changeType,
+      changes: [],
+      statusTransition: null,
+      source: context.source,
+      details: context.details,
+      changedAt: new Date(),
+    });
+  } catch (error) {
+    console.log(`⚠️ Failed to record job history: ${error.message}`);
+  }
+}
+
+// Record the same lifecycle event for many jobs with one insert
+export async function recordJobEvents(db, uuids, changeType, context) {
+  if (uuids.length === 0) return;
+  const changedAt = new Date();
+  try {
+    await db.collection("jobHistory").insertMany(
+      uuids.map((uuid) => ({
+        UUID: uuid,
+        accountId: context.accountId ?? null,
+        changeType,
+        changes: [],
+        statusTransition: null,
+        source: context.source,
+        details: context.details,
+        changedAt,
+      }))
+    );
+  } catch (error) {
+    console.log(`⚠️ Failed to record job history: ${error.message}`);
+  }
+}
+
+// Status timeline from history entries sorted oldest first
+export function buildStatusTimeline(entries) {
+  return entries
+    .filter((entry) => entry.statusTransition)
+    .map((entry) => ({
+      from: entry.statusTransition.from,
+      to: entry.statusTransition.to,
+      at: entry.changedAt,
+      source: entry.source,
+    }));
+}
@@ -0,0 +1,248 @@
+// Soft-delete (tombstone) and reconciliation for jobs that leave Workiz.
+// Jobs are never removed from Mongo: they get deletedAt/deletedReason and drop
+// out of every query that uses ACTIVE_JOB_FILTER.
+
+import crypto from "crypto";
+import { RetryHandler } from "./resilience.js";
+import {
+  recordJobChanges,
+  recordJobEvent,
+  recordJobEvents,
+} from "./jobHistory.js";
+import { syncJobLineItems } from "./lineItems.js";
+
+// Tombstoned jobs carry deletedAt; everything else is active
+export const ACTIVE_JOB_FILTER = { deletedAt: { $exists: false } };
+
+// $unset for a job Workiz has just returned: it is active again and any
+// pending missing-job check is void
+export const ACTIVE_JOB_UNSET = {
+  deletedAt: "",
+  deletedReason: "",
+  deletedContext: "",
+  missingSince: "",
+  missingChecks: "",
+  lastMissingCheckAt: "",
+  missingSource: "",
+};
+
+// Update for writing a job back: $set the job and clear any tombstone or
+// missing flag the job document itself doesn't carry (a stored copy of a
+// flagged job keeps its flag; a fresh Workiz copy clears it)
+export function activeJobUpdate(job) {
+  const $unset = Object.fromEntries(
+    Object.entries(ACTIVE_JOB_UNSET).filter(([field]) => !(field in job))
+  );
+  return { $set: job, $unset };
+}
+
+// A job must be reported missing this many times, at least this far apart,
+// before reconciliation tombstones it
+export const MISSING_CONFIRMATIONS = 2;
+export const MISSING_CONFIRMATION_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+// Soft-delete a job: keep the document but mark why it's no longer active
+export async function tombstoneJob(db, uuid, reason, context = {}) {
+  const result = await RetryHandler.withRetry(async () => {
+    return await db.collection("jobs").updateOne(
+      { UUID: uuid, ...ACTIVE_JOB_FILTER },
+      {
+        $set: {
+          deletedAt: new Date(),
+          deletedReason: reason,
+          deletedContext: context,
+        },
+      }
+    );
+  });
+
+  if (result.modifiedCount > 0) {
+    await recordJobEvent(db, uuid, "deleted", {
+      accountId: context.accountId,
+      source: context.source,
+      details: { reason },
+    });
+  }
+  return result;
+}
+
+// Tombstone every active job matching filter (retention cleanups).
+// Resolves to the number of jobs tombstoned. History is only recorded for
+// the jobs this call tombstoned: the update tags them with a run id, so jobs
+// a concurrent run got to first aren't recorded twice.
+export async function tombstoneJobsWhere(db, filter, reason, context = {}) {
+  const jobs = await db
+    .collection("jobs")
+    .find({ ...filter, ...ACTIVE_JOB_FILTER }, { projection: { UUID: 1 } })
+    .toArray();
+  if (jobs.length === 0) return 0;
+
+  const tombstoneRun = crypto.randomUUID();
+  const uuids = jobs.map((job) => job.UUID);
+  const result = await RetryHandler.withRetry(async () => {
+    return await db.collection("jobs").updateMany(
+      { UUID: { $in: uuids }, ...ACTIVE_JOB_FILTER },
+      {
+        $set: {
+          deletedAt: new Date(),
+          deletedReason: reason,
+          deletedContext: { ...context, tombstoneRun },
+        },
+      }
+    );
+  });
+  if (result.modifiedCount === 0) return 0;
+
+  const tombstoned = await db
+    .collection("jobs")
+    .find(
+      { UUID: { $in: uuids }, "deletedContext.tombstoneRun": tombstoneRun },
+      { projection: { UUID: 1 } }
+    )
+    .toArray();
+  await recordJobEvents(
+    db,
+    tombstoned.map((job) => job.UUID),
+    "deleted",
+    {
+      accountId: context.accountId,
+      source: context.source,
+      details: { reason },
+    }
+  );
+  return result.modifiedCount;
+}
+
+// Bring a tombstoned job back. Resolves to the restored job, or null if the
+// job doesn't exist or isn't tombstoned.
+export async function restoreJob(db, uuid, context = {}) {
+  const job = await db
+    .collection("jobs")
+    .findOne({ UUID: uuid, deletedAt: { $exists: true } });
+  if (!job) return null;
+
+  await RetryHandler.withRetry(async () => {
+    await db
+      .collection("jobs")
+      .updateOne(
+        { UUID: uuid },
+        { $unset: ACTIVE_JOB_UNSET, $set: { lastUpdated: new Date() } }
+      );
+  });
+
+  await recordJobEvent(db, uuid, "restored", {
+    accountId: job.accountId,
+    source: context.source,
+    details: {
+      previousReason: job.deletedReason,
+      previousDeletedAt: job.deletedAt,
+    },
+  });
+
+  return { ...job, deletedAt: undefined, deletedReason: undefined };
+}
+
+// Workiz returned no data for an active job. Don't tombstone yet: flag it
+// so the reconciliation pass can confirm it later.
+export async function flagJobMissing(db, uuid, context = {}) {
+  const now = new Date();
+  await RetryHandler.withRetry(async () => {
+    await db.collection("jobs").updateOne(
+      { UUID: uuid, ...ACTIVE_JOB_FILTER },
+      {
+        $min: { missingSince: now },
+        $inc: { missingChecks: 1 },
+        $set: { lastMissingCheckAt: now, missingSource: context.source },
+      }
+    );
+  });
+}
+
+// Has a flagged job been missing long enough, often enough, to tombstone?
+export function isMissingConfirmed(job, now = new Date()) {
+  return (
+    !!job.missingSince &&
+    (job.missingChecks || 0) >= MISSING_CONFIRMATIONS &&
+    now - new Date(job.missingSince) >= MISSING_CONFIRMATION_DELAY_MS
+  );
+}
+
+// Reconciliation pass for one account: re-check every flagged job against
+// Workiz and tombstone only those still missing after the confirmation
+// window. A cheap job/all probe runs first so an outage can't cause
+// tombstones.
+export async function reconcileMissingJobs(db, workiz, account, context = {}) {
+  const accountId = account._id || account.id;
+  const summary = {
+    flagged: 0,
+    recovered: 0,
+    stillMissing: 0,
+    tombstoned: 0,
+    failed: 0,
+    tombstonedUUIDs: [],
+    errors: [],
+  };
+
+  const flaggedJobs = await db
+    .collection("jobs")
+    .find({ accountId, missingSince: { $exists: true }, ...ACTIVE_JOB_FILTER })
+    .toArray();
+  summary.flagged = flaggedJobs.length;
+  if (flaggedJobs.length === 0) return summary;
+
+  // Workiz must be answering for this token before we trust "no data"
+  await workiz.listPage("job/all/", { records: 1 });
+
+  for (const job of flaggedJobs) {
+    try {
+      const freshJob = await workiz.getJob(job.UUID);
+      if (freshJob) {
+        await recordJobChanges(db, [freshJob], {
+          accountId,
+          source: context.source,
+        });
+        await RetryHandler.withRetry(async () => {
+          await db.collection("jobs").updateOne(
+            { UUID: job.UUID },
+            {
+              $set: { ...freshJob, accountId, lastUpdated: new Date() },
+              $unset: ACTIVE_JOB_UNSET,
+            }
+          );
+        });
+        await syncJobLineItems(db, [freshJob], accountId);
+        summary.recovered++;
+        continue;
+      }
+
+      await flagJobMissing(db, job.UUID, context);
+      const checked = {
+        ...job,
+        missingChecks: (job.missingChecks || 0) + 1,
+      };
+
+      if (isMissingConfirmed(checked)) {
+        await tombstoneJob(db, job.UUID, "missing_in_workiz", {
+          ...context,
+          accountId,
+          missingSince: job.missingSince,
+          missingChecks: checked.missingChecks,
+        });
+        summary.tombstoned++;
+        summary.tombstonedUUIDs.push(job.UUID);
+      } else {
+        summary.stillMissing++;
+      }
+    } catch (error) {
+      summary.failed++;
+      summary.errors.push({ UUID: job.UUID, error: error.message });
+
+      // Stop early rather than burning through the list during an outage
+      if (error.message.includes("Circuit breaker is OPEN")) {
+        break;
+      }
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,151 @@
+// Workiz LineItems normalized into the lineItems collection, one document per
+// item, linked to the job UUID and account. Documents are derived from the
+// job, so each write replaces every line item of the jobs it covers.
+
+import { RetryHandler } from "./resilience.js";
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+// Workiz has used several spellings for line item fields across API versions
+function pick(item, ...fields) {
+  for (const field of fields) {
+    if (item[field] !== undefined && item[field] !== null) {
+      return item[field];
+    }
+  }
+  return null;
+}
+
+// Line item documents for one job
+export function normalizeLineItems(job, accountId) {
+  if (!Array.isArray(job.LineItems)) return [];
+
+  const jobDate = job.JobDateTime ? new Date(job.JobDateTime) : null;
+
+  return job.LineItems.filter((item) => item && typeof item === "object").map(
+    (item, index) => {
+      const quantity = toNumber(pick(item, "Quantity", "Qty", "quantity") ?? 1);
+      const unitPrice = toNumber(pick(item, "Price", "UnitPrice", "price"));
+      const unitCost = toNumber(pick(item, "Cost", "ItemCost", "cost"));
+      const name =
+        pick(item, "Name", "ItemName", "name", "Description") || "Unnamed item";
+
+      return {
+        jobUUID: job.UUID,
+        accountId,
+        index,
+        itemId: pick(item, "Id", "ItemId", "id"),
+        name: String(name).trim(),
+        quantity,
+        unitPrice,
+        unitCost,
+        revenue: quantity * unitPrice,
+        cost: quantity * unitCost,
+        jobDateTime:
+          jobDate && !Number.isNaN(jobDate.getTime()) ? jobDate : null,
+        jobStatus: job.Status ?? null,
+        jobType: job.JobType ?? null,
+        jobSource: job.JobSource ?? null,
+        updatedAt: new Date(),
+      };
+    }
+  );
+}
+
+// Replace the line items of every job in jobs. Never throws; line items must
+// not break a sync. Resolves to the number of line items written.
+export async function syncJobLineItems(db, jobs, accountId) {
+  const withUUID = jobs.filter((job) => job && job.UUID);
+  if (withUUID.length === 0) return 0;
+
+  try {
+    const docs = withUUID.flatMap((job) =>
+      normalizeLineItems(job, accountId ?? job.accountId)
+    );
+    const operations = [
+      {
+        deleteMany: {
+          filter: { jobUUID: { $in: withUUID.map((job) => job.UUID) } },
+        },
+      },
+      ...docs.map((doc) => ({ insertOne: { document: doc } })),
+    ];
+
+    await RetryHandler.withRetry(async () => {
+      await db.collection("lineItems").bulkWrite(operations, { ordered: true });
+    });
+    return docs.length;
+  } catch (error) {
+    console.log(`⚠️ Failed to sync line items: ${error.message}`);
+    return 0;
+  }
+}
+
+// Grouping keys supported by the revenue report
+export const LINE_ITEM_GROUPS = {
+  item: "$name",
+  service: "$jobType",
+  source: "$jobSource",
+};
+
+// Aggregation pipeline for revenue by item/service. Jobs tombstoned because
+// Workiz no longer has them are excluded through a lookup on the jobs
+// collection; jobs past retention are still real revenue and stay in.
+export function buildLineItemRevenuePipeline({
+  accountIds = [],
+  startDate = null,
+  endDate = null,
+  statuses = [],
+  groupBy = "item",
+}) {
+  const match = {};
+  if (accountIds.length > 0) match.accountId = { $in: accountIds };
+  if (startDate || endDate) {
+    match.jobDateTime = {};
+    if (startDate) match.jobDateTime.$gte = startDate;
+    if (endDate) match.jobDateTime.$lte = endDate;
+  }
+  if (statuses.length > 0) match.jobStatus = { $in: statuses };
+
+  return [
+    { $match: match },
+    {
+      $lookup: {
+        from: "jobs",
+        localField: "jobUUID",
+        foreignField: "UUID",
+        as: "job",
+        pipeline: [{ $project: { deletedReason: 1 } }],
+      },
+    },
+    { $match: { "job.deletedReason": { $ne: "missing_in_workiz" } } },
+    {
+      $group: {
+        _id: LINE_ITEM_GROUPS[groupBy],
+        quantity: { $sum: "$quantity" },
+        revenue: { $sum: "$revenue" },
+        cost: { $sum: "$cost" },
+        lineItems: { $sum: 1 },
+        jobs: { $addToSet: "$jobUUID" },
+        accounts: { $addToSet: "$accountId" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        key: { $ifNull: ["$_id", "Unknown"] },
+        quantity: 1,
+        revenue: 1,
+        cost: 1,
+        margin: { $subtract: ["$revenue", "$cost"] },
+        lineItems: 1,
+        jobCount: { $size: "$jobs" },
+        accounts: 1,
+      },
+    },
+    { $sort: { revenue: -1 } },
+  ];
+}
@@ -0,0 +1,111 @@
+// E.164 phone numbers for call conversions. Google Ads matches calls on the
+// caller's number in E.164 (+15551234567); Workiz stores whatever was typed.
+// National numbers are read in the account's default country.
+
+export const DEFAULT_PHONE_COUNTRY = "US";
+
+// Country calling codes for the default countries an account can pick.
+// NANP countries share +1 and its 10-digit numbering plan.
+export const PHONE_COUNTRIES = {
+  US: { callingCode: "1", nanp: true },
+  CA: { callingCode: "1", nanp: true },
+  PR: { callingCode: "1", nanp: true },
+  MX: { callingCode: "52" },
+  GB: { callingCode: "44" },
+  IE: { callingCode: "353" },
+  AU: { callingCode: "61" },
+  NZ: { callingCode: "64" },
+};
+
+// Extensions are carried in PhoneExt; strip any typed into the number itself
+const EXTENSION_PATTERN = /\s*(?:ext\.?|extension|x|#)\s*\d+\s*$/i;
+
+// NXX-NXX-XXXX: area code and exchange can't start with 0 or 1
+const NANP_PATTERN = /^[2-9]\d{2}[2-9]\d{6}$/;
+
+function checkE164(digits) {
+  if (digits.startsWith("1")) {
+    return NANP_PATTERN.test(digits.slice(1))
+      ? null
+      : "not a valid North American number";
+  }
+  return digits.length >= 8 && digits.length <= 15
+    ? null
+    : "wrong number of digits";
+}
+
+// { e164, error }: e164 is null and error says why when the number can't be
+// normalized
+export function normalizePhone(raw, country = DEFAULT_PHONE_COUNTRY) {
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return { e164: null, error: "missing" };
+  }
+
+  const text = String(raw).trim().replace(EXTENSION_PATTERN, "");
+  if (/[a-z]/i.test(text)) {
+    return { e164: null, error: "contains letters" };
+  }
+  const digits = text.replace(/\D/g, "");
+
+  const { callingCode, nanp } =
+    PHONE_COUNTRIES[country] || PHONE_COUNTRIES[DEFAULT_PHONE_COUNTRY];
+
+  // Already international: +44..., or with the country's exit code
+  // (011 in North America, 00 elsewhere)
+  let international = null;
+  if (text.startsWith("+")) international = digits;
+  else if (nanp && digits.startsWith("011")) international = digits.slice(3);
+  else if (digits.startsWith("00")) international = digits.slice(2);
+
+  if (international !== null) {
+    const error = checkE164(international);
+    return error ? { e164: null, error } : { e164: `+${international}` };
+  }
+
+  if (nanp) {
+    const national =
+      digits.length === 11 && digits.startsWith("1") ? digits.slice(1) : digits;
+    return NANP_PATTERN.test(national)
+      ? { e164: `+1${national}` }
+      : { e164: null, error: "not a valid North American number" };
+  }
+
+  // Drop the trunk prefix (07700 900123 → +44 7700 900123)
+  const national = digits.replace(/^0+/, "");
+  const error = checkE164(callingCode + national);
+  return error ? { e164: null, error } : { e164: `+${callingCode}${national}` };
+}
+
+// The number a job's call conversion is reported under: Phone, or
+// SecondPhone when Phone is missing or invalid. Returns { e164, field } or
+// { e164: null, error } naming what was wrong with each.
+export function getJobPhone(job, country = DEFAULT_PHONE_COUNTRY) {
+  const primary = normalizePhone(job.Phone, country);
+  if (primary.e164) return { e164: primary.e164, field: "Phone" };
+
+  const secondary = normalizePhone(job.SecondPhone, country);
+  if (secondary.e164) return { e164: secondary.e164, field: "SecondPhone" };
+
+  return {
+    e164: null,
+    error:
+      secondary.error === "missing"
+        ? `Phone ${primary.error}`
+        : `Phone ${primary.error}, SecondPhone ${secondary.error}`,
+  };
+}
+
+export function getAccountPhoneCountry(account) {
+  return PHONE_COUNTRIES[account.phoneCountry]
+    ? account.phoneCountry
+    : DEFAULT_PHONE_COUNTRY;
+}
+
+export function validatePhoneCountry(value) {
+  if (value === undefined || value === null || PHONE_COUNTRIES[value]) {
+    return null;
+  }
+  return `phoneCountry must be one of ${Object.keys(PHONE_COUNTRIES).join(
+    ", "
+  )}`;
+}
@@ -0,0 +1,303 @@
+// Adaptive rate limiting for Workiz, one budget per API token. The budget
+// lives in Mongo (workizRateLimits, one document per token) so every
+// serverless invocation - crons, parallel account requests, manual syncs -
+// draws from the same one. Each call reserves the next free slot with a
+// single atomic findOneAndUpdate and waits for it.
+
+import crypto from "crypto";
+
+export const WORKIZ_RATE_LIMIT = {
+  capacity: 5, // Burst size
+  refillPerSecond: 1 / 3, // 20 calls per minute
+  minRefillPerSecond: 1 / 60, // Never slow below 1 call per minute
+  backoffFactor: 0.5, // Halve the rate on every 429
+  recoveryStep: 1 / 30, // Add 2 calls/minute back per recovery window
+  recoveryAfterSuccesses: 10, // Consecutive successes before speeding up
+  defaultRetryAfter: 60, // Seconds to pause when a 429 has no Retry-After
+};
+
+export const RATE_LIMIT_COLLECTION = "workizRateLimits";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(
+  value,
+  fallback = WORKIZ_RATE_LIMIT.defaultRetryAfter
+) {
+  if (value === null || value === undefined || value === "") {
+    return fallback;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds;
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  }
+
+  return fallback;
+}
+
+// Tokens are secrets, so only the tail is ever shown
+function maskToken(apiToken) {
+  return `…${String(apiToken).slice(-4)}`;
+}
+
+// Documents are keyed by a hash of the token, never the token itself
+function limiterKey(apiToken) {
+  return crypto.createHash("sha256").update(String(apiToken)).digest("hex");
+}
+
+// Milliseconds between calls at a rate in calls per second
+const intervalFor = (perSecond) => Math.round(1000 / perSecond);
+
+// The database holding the shared budgets, set once the server connects
+let rateLimitDb = null;
+
+export function configureWorkizRateLimitStore(db) {
+  rateLimitDb = db;
+}
+
+function rateLimitCollection() {
+  if (!rateLimitDb) {
+    throw new Error("Workiz rate limiter store is not configured");
+  }
+  return rateLimitDb.collection(RATE_LIMIT_COLLECTION);
+}
+
+// Handle on one token's shared budget. The document holds nextSlotAt (when
+// the budget is next free, in ms), interval (ms per call, adaptive) and
+// blockedUntil (Retry-After pause), plus counters for the status endpoint.
+export class SharedRateLimiter {
+  constructor(apiToken, options = {}) {
+    this.key = limiterKey(apiToken);
+    this.name = maskToken(apiToken);
+    this.options = { ...WORKIZ_RATE_LIMIT, ...options };
+    this.baseInterval = intervalFor(this.options.refillPerSecond);
+    this.maxInterval = intervalFor(this.options.minRefillPerSecond);
+  }
+
+  // Reserve the next slot and wait for it. Up to capacity calls start at
+  // once; after that they are spaced interval apart.
+  async acquire() {
+    const now = Date.now();
+    const { capacity } = this.options;
+    const limit = await rateLimitCollection().findOneAndUpdate(
+      { _id: this.key },
+      [
+        {
+          $set: {
+            name: this.name,
+            interval: { $ifNull: ["$interval", this.baseInterval] },
+            blockedUntil: { $ifNull: ["$blockedUntil", 0] },
+            nextSlotAt: { $ifNull: ["$nextSlotAt", 0] },
+          },
+        },
+        {
+          $set: {
+            nextSlotAt: {
+              $add: [
+                { $max: ["$nextSlotAt", now, "$blockedUntil"] },
+                "$interval",
+              ],
+            },
+            totalRequests: { $add: [{ $ifNull: ["$totalRequests", 0] }, 1] },
+            updatedAt: "$$NOW",
+          },
+        },
+        {
+          $set: {
+            reservedAt: {
+              $max: [
+                now,
+                "$blockedUntil",
+                {
+                  $subtract: [
+                    "$nextSlotAt",
+                    { $multiply: ["$interval", capacity] },
+                  ],
+                },
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, returnDocument: "after" }
+    );
+
+    const waitTime = limit.reservedAt - now;
+    if (waitTime > 0) {
+      await sleep(waitTime);
+    }
+  }
+
+  // Successful response: speed back up towards the configured rate. Only
+  // writes while the budget is slowed down or counting 429s.
+  async onSuccess() {
+    const { recoveryAfterSuccesses, recoveryStep } = this.options;
+    const successes = { $add: [{ $ifNull: ["$consecutiveSuccesses", 0] }, 1] };
+    const recovering = {
+      $and: [
+        { $gt: ["$interval", this.baseInterval] },
+        { $gte: [successes, recoveryAfterSuccesses] },
+      ],
+    };
+    try {
+      await rateLimitCollection().updateOne(
+        {
+          _id: this.key,
+          $or: [
+            { interval: { $gt: this.baseInterval } },
+            { consecutive429s: { $gt: 0 } },
+          ],
+        },
+        [
+          {
+            $set: {
+              consecutive429s: 0,
+              interval: {
+                $cond: [
+                  recovering,
+                  {
+                    $max: [
+                      this.baseInterval,
+                      {
+                        $round: [
+                          {
+                            $divide: [
+                              1000,
+                              {
+                                $add: [
+                                  { $divide: [1000, "$interval"] },
+                                  recoveryStep,
+                                ],
+                              },
+                            ],
+                          },
+                          0,
+                        ],
+                      },
+                    ],
+                  },
+                  "$interval",
+                ],
+              },
+              consecutiveSuccesses: { $cond: [recovering, 0, successes] },
+            },
+          },
+        ]
+      );
+    } catch (error) {
+      console.log(
+        `⚠️ Failed to update Workiz rate limiter ${this.name}: ${error.message}`
+      );
+    }
+  }
+
+  // 429 response: pause every caller for Retry-After, drain the budget and
+  // slow down
+  async onRateLimited(retryAfterSeconds) {
+    const { backoffFactor, capacity } = this.options;
+    const pausedUntil = Date.now() + retryAfterSeconds * 1000;
+    try {
+      const limit = await rateLimitCollection().findOneAndUpdate(
+        { _id: this.key },
+        [
+          {
+            $set: {
+              name: this.name,
+              blockedUntil: {
+                $max: [{ $ifNull: ["$blockedUntil", 0] }, pausedUntil],
+              },
+              // Repeated 429s mean our rate is still too high for Workiz
+              interval: {
+                $min: [
+                  this.maxInterval,
+                  {
+                    $round: [
+                      {
+                        $divide: [
+                          { $ifNull: ["$interval", this.baseInterval] },
+                          backoffFactor,
+                        ],
+                      },
+                      0,
+                    ],
+                  },
+                ],
+              },
+              consecutive429s: {
+                $add: [{ $ifNull: ["$consecutive429s", 0] }, 1],
+              },
+              consecutiveSuccesses: 0,
+              total429s: { $add: [{ $ifNull: ["$total429s", 0] }, 1] },
+              updatedAt: "$$NOW",
+            },
+          },
+          {
+            $set: {
+              nextSlotAt: {
+                $max: [
+                  { $ifNull: ["$nextSlotAt", 0] },
+                  {
+                    $add: [
+                      "$blockedUntil",
+                      { $multiply: ["$interval", capacity] },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+        ],
+        { upsert: true, returnDocument: "after" }
+      );
+
+      console.log(
+        `⏳ Workiz rate limiter ${
+          this.name
+        } paused ${retryAfterSeconds}s after 429 #${
+          limit.consecutive429s
+        }, now ${(60000 / limit.interval).toFixed(1)} calls/min`
+      );
+    } catch (error) {
+      console.log(
+        `⚠️ Failed to update Workiz rate limiter ${this.name}: ${error.message}`
+      );
+    }
+  }
+}
+
+export function getWorkizRateLimiter(apiToken) {
+  return new SharedRateLimiter(apiToken);
+}
+
+// Status of every token's budget as stored
+export async function getWorkizRateLimiterStates() {
+  const { capacity, refillPerSecond } = WORKIZ_RATE_LIMIT;
+  const now = Date.now();
+  const limits = await rateLimitCollection().find({}).toArray();
+  return limits.map((limit) => {
+    const freeFrom = limit.nextSlotAt - limit.interval * capacity;
+    return {
+      name: limit.name,
+      tokens:
+        Math.floor(
+          Math.min(capacity, Math.max(0, (now - freeFrom) / limit.interval)) *
+            100
+        ) / 100,
+      capacity,
+      callsPerMinute: Math.round((60000 / limit.interval) * 10) / 10,
+      baseCallsPerMinute: Math.round(refillPerSecond * 60 * 10) / 10,
+      blockedForMs: Math.max(0, (limit.blockedUntil || 0) - now),
+      consecutive429s: limit.consecutive429s || 0,
+      total429s: limit.total429s || 0,
+      totalRequests: limit.totalRequests || 0,
+      updatedAt: limit.updatedAt,
+    };
+  });
+}
@@ -0,0 +1,182 @@
+// Enhanced error handling utilities
+
+// Circuit Breaker Pattern for API resilience
+export class CircuitBreaker {
+  // isFailure decides which errors count towards opening the breaker
+  constructor(
+    failureThreshold = 5,
+    recoveryTimeout = 300000,
+    { isFailure = () => true } = {}
+  ) {
+    // 5 failures, 5 minutes recovery
+    this.failureThreshold = failureThreshold;
+    this.recoveryTimeout = recoveryTimeout;
+    this.isFailure = isFailure;
+    this.failureCount = 0;
+    this.lastFailureTime = null;
+    this.state = "CLOSED"; // CLOSED, OPEN, HALF_OPEN
+  }
+
+  async execute(operation) {
+    if (this.state === "OPEN") {
+      if (Date.now() - this.lastFailureTime >= this.recoveryTimeout) {
+        console.log("🔄 Circuit breaker transitioning to HALF_OPEN state");
+        this.state = "HALF_OPEN";
+      } else {
+        throw new Error("Circuit breaker is OPEN - too many recent failures");
+      }
+    }
+
+    try {
+      const result = await operation();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure();
+      }
+      throw error;
+    }
+  }
+
+  onSuccess() {
+    this.failureCount = 0;
+    this.state = "CLOSED";
+  }
+
+  onFailure() {
+    this.failureCount++;
+    this.lastFailureTime = Date.now();
+
+    if (this.failureCount >= this.failureThreshold) {
+      this.state = "OPEN";
+      console.log(
+        `🚨 Circuit breaker opened after ${
+          this.failureCount
+        } failures. Will retry in ${this.recoveryTimeout / 1000} seconds`
+      );
+    } else {
+      console.log(
+        `⚠️ Circuit breaker failure count: ${this.failureCount}/${this.failureThreshold}`
+      );
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      failureCount: this.failureCount,
+      lastFailureTime: this.lastFailureTime,
+      timeUntilRecovery:
+        this.state === "OPEN"
+          ? Math.max(
+              0,
+              this.recoveryTimeout - (Date.now() - this.lastFailureTime)
+            )
+          : 0,
+    };
+  }
+}
+
+// Global circuit breaker instances
+// A 429 is one token's budget running out, not Workiz failing, so it mustn't
+// block every other account
+export const workizCircuitBreaker = new CircuitBreaker(3, 600000, {
+  isFailure: (error) => error.status !== 429,
+}); // 3 failures, 10 minutes recovery
+export const sheetsCircuitBreaker = new CircuitBreaker(3, 180000); // 3 failures, 3 minutes recovery
+
+// Enhanced error handling with retry logic
+export class RetryHandler {
+  static async withRetry(
+    operation,
+    maxRetries = 3,
+    delay = 1000,
+    circuitBreaker = null
+  ) {
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        // Use circuit breaker if provided
+        if (circuitBreaker) {
+          return await circuitBreaker.execute(operation);
+        }
+        return await operation();
+      } catch (error) {
+        lastError = error;
+
+        // Check if it's a circuit breaker error
+        if (error.message.includes("Circuit breaker is OPEN")) {
+          console.log(`🚨 Circuit breaker blocked operation: ${error.message}`);
+          throw error;
+        }
+
+        // Handle 520 errors with longer delays
+        const is520Error =
+          error.message.includes("520") ||
+          (error.response && error.response.status === 520);
+
+        if (is520Error && attempt < maxRetries) {
+          console.log(
+            `⚠️ 520 error detected on attempt ${attempt}, using extended delay`
+          );
+          // Use longer delays for 520 errors: 10s, 20s, 40s
+          const waitTime = 10000 * Math.pow(2, attempt - 1);
+          console.log(
+            `⏳ Waiting ${waitTime / 1000}s before retry due to 520 error`
+          );
+          await new Promise((resolve) => setTimeout(resolve, waitTime));
+        } else if (attempt === maxRetries) {
+          throw error;
+        } else {
+          // Exponential backoff for other errors
+          const waitTime = delay * Math.pow(2, attempt - 1);
+          console.log(
+            `⚠️ Attempt ${attempt} failed, retrying in ${waitTime}ms: ${error.message}`
+          );
+          await new Promise((resolve) => setTimeout(resolve, waitTime));
+        }
+      }
+    }
+  }
+}
+
+// API rate limiting and timeout handling
+export class APIManager {
+  static async fetchWithTimeout(url, options = {}, timeout = 30000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        signal: controller.signal,
+      });
+      clearTimeout(timeoutId);
+
+      // Check for 520 error specifically
+      if (response.status === 520) {
+        console.log(`🚨 520 error detected from Workiz API`);
+        throw new Error(`Workiz API 520 error - server is experiencing issues`);
+      }
+
+      return response;
+    } catch (error) {
+      clearTimeout(timeoutId);
+      if (error.name === "AbortError") {
+        throw new Error(`Request timeout after ${timeout}ms`);
+      }
+      throw error;
+    }
+  }
+
+  static async handleRateLimit(response, retryAfter = 60) {
+    if (response.status === 429) {
+      console.log(`⏳ Rate limited, waiting ${retryAfter} seconds...`);
+      await new Promise((resolve) => setTimeout(resolve, retryAfter * 1000));
+      return true;
+    }
+    return false;
+  }
+}
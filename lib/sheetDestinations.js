@@ -0,0 +1,167 @@
+// Where an account's Sheets export goes. Each destination is one spreadsheet
+// tab with its own job filter and column template. An account without
+// destinations exports to Sheet1 of its googleSheetsId, as it always has.
+
+import crypto from "crypto";
+import {
+  EXPORT_SHEET_NAME,
+  getExportTemplate,
+  validateExportTemplate,
+  normalizeExportTemplate,
+} from "./exportTemplates.js";
+
+export const MAX_SHEET_DESTINATIONS = 20;
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+// Destinations to write for an account, with spreadsheet, tab and template
+// resolved. Disabled destinations are left out.
+export function getSheetDestinations(account) {
+  const configured = Array.isArray(account.sheetDestinations)
+    ? account.sheetDestinations
+    : [];
+
+  if (configured.length === 0) {
+    return [
+      {
+        id: "default",
+        name: "Default",
+        spreadsheetId: account.googleSheetsId,
+        sheetName: EXPORT_SHEET_NAME,
+        sourceFilter: [],
+        statuses: [],
+        template: getExportTemplate(account),
+      },
+    ];
+  }
+
+  return configured
+    .filter((destination) => destination.enabled !== false)
+    .map((destination) => ({
+      id: destination.id,
+      name: destination.name,
+      spreadsheetId: destination.spreadsheetId || account.googleSheetsId,
+      sheetName: destination.sheetName || EXPORT_SHEET_NAME,
+      sourceFilter: destination.sourceFilter || [],
+      statuses: destination.statuses || [],
+      // Destinations without their own template use the account's
+      template: getExportTemplate(
+        destination.exportTemplate ? destination : account
+      ),
+    }));
+}
+
+// Does every destination have a spreadsheet to write to? The account's
+// googleSheetsId is only needed by destinations without a spreadsheetId of
+// their own.
+export function hasExportSpreadsheets(account) {
+  return getSheetDestinations(account).every(
+    (destination) => !!destination.spreadsheetId
+  );
+}
+
+// Does a job belong in this destination? Empty filters match every job.
+export function matchesDestination(job, destination) {
+  if (
+    destination.sourceFilter.length > 0 &&
+    !destination.sourceFilter.includes(job.JobSource)
+  ) {
+    return false;
+  }
+  if (
+    destination.statuses.length > 0 &&
+    !destination.statuses.includes(job.Status)
+  ) {
+    return false;
+  }
+  return true;
+}
+
+// Validate destinations from a request body. null or [] goes back to the
+// single default destination. Returns a list of error messages.
+export function validateSheetDestinations(destinations) {
+  if (destinations === undefined || destinations === null) return [];
+  if (!Array.isArray(destinations)) {
+    return ["sheetDestinations must be an array"];
+  }
+
+  const errors = [];
+  if (destinations.length > MAX_SHEET_DESTINATIONS) {
+    errors.push(
+      `sheetDestinations can have at most ${MAX_SHEET_DESTINATIONS} entries`
+    );
+  }
+
+  const targets = new Set();
+  destinations.forEach((destination, index) => {
+    const name = `sheetDestinations[${index}]`;
+    if (!destination || typeof destination !== "object") {
+      errors.push(`${name} must be an object`);
+      return;
+    }
+    if (typeof destination.name !== "string" || !destination.name.trim()) {
+      errors.push(`${name} needs a name`);
+    }
+    for (const field of ["spreadsheetId", "sheetName"]) {
+      if (
+        destination[field] !== undefined &&
+        destination[field] !== null &&
+        typeof destination[field] !== "string"
+      ) {
+        errors.push(`${name}.${field} must be a string`);
+      }
+    }
+    for (const field of ["sourceFilter", "statuses"]) {
+      if (
+        destination[field] !== undefined &&
+        !isStringList(destination[field])
+      ) {
+        errors.push(`${name}.${field} must be a list of strings`);
+      }
+    }
+    if (
+      destination.enabled !== undefined &&
+      typeof destination.enabled !== "boolean"
+    ) {
+      errors.push(`${name}.enabled must be true or false`);
+    }
+    errors.push(
+      ...validateExportTemplate(destination.exportTemplate).map(
+        (error) => `${name}: ${error}`
+      )
+    );
+
+    // Two destinations writing the same tab would undo each other's rows
+    const target = `${destination.spreadsheetId || ""}|${
+      destination.sheetName || EXPORT_SHEET_NAME
+    }`;
+    if (targets.has(target)) {
+      errors.push(`${name} writes to the same tab as another destination`);
+    }
+    targets.add(target);
+  });
+
+  return errors;
+}
+
+// Trim inputs and give new destinations a stable id for sync history
+export function normalizeSheetDestinations(destinations) {
+  if (!destinations || destinations.length === 0) return null;
+  return destinations.map((destination) => ({
+    id: destination.id || crypto.randomUUID(),
+    name: destination.name.trim(),
+    spreadsheetId: destination.spreadsheetId?.trim() || null,
+    sheetName: destination.sheetName?.trim() || EXPORT_SHEET_NAME,
+    sourceFilter: (destination.sourceFilter || [])
+      .map((source) => source.trim())
+      .filter(Boolean),
+    statuses: (destination.statuses || [])
+      .map((status) => status.trim())
+      .filter(Boolean),
+    exportTemplate: destination.exportTemplate
+      ? normalizeExportTemplate(destination.exportTemplate)
+      : null,
+    enabled: destination.enabled !== false,
+  }));
+}
@@ -0,0 +1,130 @@
+// Manual edits read back from the sheets. Account managers can correct a
+// job's conversion value or mark it "do not upload" in a template's override
+// columns; the exporter compares those cells with the overrides it last wrote
+// and stores the differences per job in sheetOverrides, so every later export
+// (any destination, the CSV download) reapplies them.
+
+// Computed columns whose cells are read back as overrides
+export const OVERRIDE_COLUMNS = {
+  overrideValue: "conversionValue",
+  doNotUpload: "doNotUpload",
+};
+
+const TRUE_TEXT = ["true", "yes", "y", "x", "1"];
+const FALSE_TEXT = ["", "false", "no", "n", "0"];
+
+// Override value cell → number, null (blank) or undefined (unreadable)
+export function parseOverrideValue(cell) {
+  if (cell === undefined || cell === null || cell === "") return null;
+  if (typeof cell === "number") {
+    return Number.isFinite(cell) && cell >= 0 ? cell : undefined;
+  }
+  const text = String(cell)
+    .trim()
+    .replace(/[$,\s]/g, "");
+  if (text === "") return null;
+  const value = Number(text);
+  return Number.isFinite(value) && value >= 0 ? value : undefined;
+}
+
+// Do-not-upload cell (checkbox, TRUE, "x", "yes"...) → boolean, or undefined
+// when it can't be read
+export function parseDoNotUpload(cell) {
+  if (typeof cell === "boolean") return cell;
+  const text = String(cell ?? "")
+    .trim()
+    .toLowerCase();
+  if (TRUE_TEXT.includes(text)) return true;
+  if (FALSE_TEXT.includes(text)) return false;
+  return undefined;
+}
+
+export function hasOverrideColumns(template) {
+  return (template?.columns || []).some(
+    (column) => column.source === "computed" && OVERRIDE_COLUMNS[column.value]
+  );
+}
+
+// Sheet column indexes of a template's override columns, found by header in
+// the sheet as read. Columns the sheet doesn't have yet are left out.
+export function findOverrideColumns(template, sheetHeader) {
+  const header = (sheetHeader || []).map((cell) => String(cell ?? "").trim());
+  const columns = [];
+  for (const column of template?.columns || []) {
+    const field =
+      column.source === "computed" ? OVERRIDE_COLUMNS[column.value] : null;
+    if (!field) continue;
+    const index = header.indexOf(column.header.trim());
+    if (index !== -1) columns.push({ field, index, header: column.header });
+  }
+  return columns;
+}
+
+// The override cells as the exporter writes them for a job
+export function overrideCellValue(override, field) {
+  if (field === "doNotUpload") return override?.doNotUpload ? true : "";
+  return override?.conversionValue ?? "";
+}
+
+// Compare a sheet (header row first, key column named keyHeader) with the
+// stored overrides (Map jobUUID → { conversionValue, doNotUpload }). Returns
+// edits [{ jobUUID, changes }] for cells that differ from what was last
+// written, and errors for cells that can't be read.
+export function extractOverrideEdits(
+  currentRows,
+  template,
+  overrides,
+  keyHeader
+) {
+  const sheetHeader = currentRows[0] || [];
+  const keyIndex = sheetHeader.indexOf(keyHeader);
+  const columns = findOverrideColumns(template, sheetHeader);
+  if (keyIndex === -1 || columns.length === 0) {
+    return { edits: [], errors: [] };
+  }
+
+  const edits = [];
+  const errors = [];
+  for (let rowIndex = 1; rowIndex < currentRows.length; rowIndex++) {
+    const row = currentRows[rowIndex] || [];
+    const jobUUID = String(row[keyIndex] ?? "").trim();
+    if (!jobUUID) continue;
+
+    const stored = overrides.get(jobUUID);
+    const changes = {};
+    for (const { field, index, header } of columns) {
+      const cell = row[index];
+      const value =
+        field === "doNotUpload"
+          ? parseDoNotUpload(cell)
+          : parseOverrideValue(cell);
+      if (value === undefined) {
+        errors.push({ jobUUID, column: header, value: cell });
+        continue;
+      }
+      const current =
+        field === "doNotUpload"
+          ? !!stored?.doNotUpload
+          : stored?.conversionValue ?? null;
+      if (value !== current) changes[field] = value;
+    }
+    if (Object.keys(changes).length > 0) edits.push({ jobUUID, changes });
+  }
+  return { edits, errors };
+}
+
+// Overrides for one job once edits are merged in; null when nothing is
+// overridden any more
+export function mergeOverride(stored, changes) {
+  const conversionValue =
+    changes.conversionValue !== undefined
+      ? changes.conversionValue
+      : stored?.conversionValue ?? null;
+  const doNotUpload =
+    changes.doNotUpload !== undefined
+      ? changes.doNotUpload
+      : !!stored?.doNotUpload;
+  return conversionValue === null && !doNotUpload
+    ? null
+    : { conversionValue, doNotUpload };
+}
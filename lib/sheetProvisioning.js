@@ -0,0 +1,101 @@
+// New spreadsheets for accounts. The service account creates the spreadsheet
+// with one tab per destination, writes each tab's header row (template
+// headers plus the job UUID key column the incremental writer expects) and
+// shares it with the people who work on the account.
+
+import { EXPORT_SHEET_NAME } from "./exportTemplates.js";
+
+export const MAX_SHARE_EMAILS = 20;
+
+// Scopes the provisioning clients need: drive.file covers sharing files the
+// service account created itself
+export const PROVISIONING_SCOPES = [
+  "https://www.googleapis.com/auth/spreadsheets",
+  "https://www.googleapis.com/auth/drive.file",
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validate the list of addresses to share with. Returns a list of error
+// messages.
+export function validateShareEmails(emails) {
+  if (emails === undefined || emails === null) return [];
+  if (!Array.isArray(emails)) {
+    return ["shareWith must be a list of email addresses"];
+  }
+  const errors = [];
+  if (emails.length > MAX_SHARE_EMAILS) {
+    errors.push(`shareWith can have at most ${MAX_SHARE_EMAILS} addresses`);
+  }
+  for (const email of emails) {
+    if (typeof email !== "string" || !EMAIL_PATTERN.test(email.trim())) {
+      errors.push(`${email} is not a valid email address`);
+    }
+  }
+  return errors;
+}
+
+export function normalizeShareEmails(emails) {
+  return [
+    ...new Set((emails || []).map((email) => email.trim().toLowerCase())),
+  ];
+}
+
+// spreadsheets.create body: tabs [{ sheetName, header }] with the header in
+// row 1, frozen and bold
+export function buildSpreadsheetResource(title, tabs) {
+  return {
+    properties: { title },
+    sheets: tabs.map(({ sheetName = EXPORT_SHEET_NAME, header }) => ({
+      properties: {
+        title: sheetName,
+        gridProperties: { frozenRowCount: 1 },
+      },
+      data: [
+        {
+          startRow: 0,
+          startColumn: 0,
+          rowData: [
+            {
+              values: header.map((text) => ({
+                userEnteredValue: { stringValue: String(text) },
+                userEnteredFormat: { textFormat: { bold: true } },
+              })),
+            },
+          ],
+        },
+      ],
+    })),
+  };
+}
+
+// Create the spreadsheet and share it. Sharing failures don't undo the
+// spreadsheet; they come back in shareErrors so the caller can report them.
+export async function provisionSpreadsheet(
+  sheets,
+  drive,
+  { title, tabs, shareWith = [] }
+) {
+  const created = await sheets.spreadsheets.create({
+    requestBody: buildSpreadsheetResource(title, tabs),
+    fields: "spreadsheetId,spreadsheetUrl",
+  });
+  const { spreadsheetId, spreadsheetUrl } = created.data;
+
+  const sharedWith = [];
+  const shareErrors = [];
+  for (const emailAddress of shareWith) {
+    try {
+      await drive.permissions.create({
+        fileId: spreadsheetId,
+        requestBody: { type: "user", role: "writer", emailAddress },
+        sendNotificationEmail: true,
+      });
+      sharedWith.push(emailAddress);
+    } catch (error) {
+      shareErrors.push({ email: emailAddress, error: error.message });
+    }
+  }
+
+  return { spreadsheetId, spreadsheetUrl, sharedWith, shareErrors };
+}
@@ -0,0 +1,276 @@
+// Diff-based Google Sheets export. The sheet is read back, its rows are keyed
+// by the Workiz job UUID kept in a key column after the template columns, and
+// only the inserts, updates and deletes go out in one spreadsheets.batchUpdate.
+// batchUpdate is atomic, so a failed write leaves the sheet as it was.
+
+import { EXPORT_SHEET_NAME } from "./exportTemplates.js";
+
+export const SHEET_KEY_HEADER = "Workiz Job UUID";
+
+// A1 sheet reference, quoted so tab names with spaces work
+function quoteSheetName(sheetName) {
+  return `'${sheetName.replace(/'/g, "''")}'`;
+}
+
+function cellText(value) {
+  return value === undefined || value === null ? "" : String(value);
+}
+
+function rowsEqual(current, next) {
+  const length = Math.max(current.length, next.length);
+  for (let i = 0; i < length; i++) {
+    if (cellText(current[i]) !== cellText(next[i])) return false;
+  }
+  return true;
+}
+
+// Pad with blanks so cells left over from a wider layout get cleared
+function padRow(cells, length) {
+  return cells.length >= length
+    ? cells
+    : [...cells, ...Array(length - cells.length).fill("")];
+}
+
+// An empty CellData clears the cell when written with fields=userEnteredValue
+function toCellData(value) {
+  if (value === undefined || value === null || value === "") return {};
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return { userEnteredValue: { numberValue: value } };
+  }
+  if (typeof value === "boolean") {
+    return { userEnteredValue: { boolValue: value } };
+  }
+  return { userEnteredValue: { stringValue: String(value) } };
+}
+
+function toRowData(cells) {
+  return { values: cells.map(toCellData) };
+}
+
+// Work out what has to change. currentRows is the sheet as read (header row
+// first); rows are the export rows as { key, values }. Sheet rows without a
+// known key (stale jobs, duplicates, rows from before the key column existed)
+// are deleted.
+export function diffSheetRows(
+  currentRows,
+  header,
+  rows,
+  keyHeader = SHEET_KEY_HEADER
+) {
+  const desiredHeader = [...header, keyHeader];
+  const currentHeader = currentRows[0] || [];
+  const currentKeyIndex = currentHeader.indexOf(keyHeader);
+
+  const wanted = new Map();
+  for (const row of rows) {
+    const key = cellText(row.key);
+    if (key && !wanted.has(key)) {
+      wanted.set(key, [...row.values, key]);
+    }
+  }
+
+  const updates = [];
+  const deletes = [];
+  const seen = new Set();
+  let unchanged = 0;
+
+  for (let rowIndex = 1; rowIndex < currentRows.length; rowIndex++) {
+    const current = currentRows[rowIndex] || [];
+    const key =
+      currentKeyIndex === -1 ? "" : cellText(current[currentKeyIndex]);
+    const next = key && !seen.has(key) ? wanted.get(key) : undefined;
+
+    if (!next) {
+      deletes.push(rowIndex);
+      continue;
+    }
+
+    seen.add(key);
+    if (rowsEqual(current, next)) {
+      unchanged++;
+    } else {
+      updates.push({ rowIndex, cells: padRow(next, current.length) });
+    }
+  }
+
+  const inserts = [];
+  for (const [key, cells] of wanted) {
+    if (!seen.has(key)) inserts.push(cells);
+  }
+
+  return {
+    header: rowsEqual(currentHeader, desiredHeader)
+      ? null
+      : padRow(desiredHeader, currentHeader.length),
+    width: desiredHeader.length,
+    updates,
+    inserts,
+    deletes,
+    unchanged,
+  };
+}
+
+// batchUpdate requests for a diff. Updates go first at their original row
+// indexes, inserts are appended after the last row, and deletes run bottom
+// up so earlier indexes stay valid (and a frozen header never ends up with
+// every data row deleted before the inserts land). rowCount is the tab's
+// grid height: Sheets refuses to delete every row below a frozen header, so a
+// blank row is added first when a diff would.
+export function buildSheetRequests(
+  sheetId,
+  columnCount,
+  diff,
+  rowCount = Infinity
+) {
+  const requests = [];
+
+  if (diff.width > columnCount) {
+    requests.push({
+      appendDimension: {
+        sheetId,
+        dimension: "COLUMNS",
+        length: diff.width - columnCount,
+      },
+    });
+  }
+
+  const updateRow = (rowIndex, cells) => ({
+    updateCells: {
+      start: { sheetId, rowIndex, columnIndex: 0 },
+      rows: [toRowData(cells)],
+      fields: "userEnteredValue",
+    },
+  });
+
+  if (diff.header) {
+    requests.push(updateRow(0, diff.header));
+  }
+  for (const update of diff.updates) {
+    requests.push(updateRow(update.rowIndex, update.cells));
+  }
+
+  if (diff.inserts.length > 0) {
+    requests.push({
+      appendCells: {
+        sheetId,
+        rows: diff.inserts.map(toRowData),
+        fields: "userEnteredValue",
+      },
+    });
+  }
+
+  if (
+    diff.deletes.length > 0 &&
+    rowCount - diff.deletes.length + diff.inserts.length <= 1
+  ) {
+    requests.push({
+      appendDimension: { sheetId, dimension: "ROWS", length: 1 },
+    });
+  }
+
+  // Merge consecutive deleted rows into ranges, highest first
+  const deletes = [...diff.deletes].sort((a, b) => b - a);
+  let i = 0;
+  while (i < deletes.length) {
+    const endIndex = deletes[i] + 1;
+    let startIndex = deletes[i];
+    while (i + 1 < deletes.length && deletes[i + 1] === startIndex - 1) {
+      startIndex = deletes[++i];
+    }
+    requests.push({
+      deleteDimension: {
+        range: { sheetId, dimension: "ROWS", startIndex, endIndex },
+      },
+    });
+    i++;
+  }
+
+  return requests;
+}
+
+// A tab's cells as stored (header row first); [] when the tab doesn't exist
+// yet
+export async function readSheetValues(
+  sheets,
+  spreadsheetId,
+  sheetName = EXPORT_SHEET_NAME
+) {
+  const meta = await sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: "sheets.properties.title",
+  });
+  const exists = (meta.data.sheets || []).some(
+    (s) => s.properties.title === sheetName
+  );
+  if (!exists) return [];
+
+  const current = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: quoteSheetName(sheetName),
+    valueRenderOption: "UNFORMATTED_VALUE",
+  });
+  return current.data.values || [];
+}
+
+// Bring a sheet tab in line with the export rows. rows: [{ key, values }].
+// Resolves to counts of what changed.
+export async function syncSheetRows(
+  sheets,
+  spreadsheetId,
+  { sheetName = EXPORT_SHEET_NAME, header, rows, keyHeader = SHEET_KEY_HEADER }
+) {
+  const meta = await sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: "sheets.properties",
+  });
+  let sheet = (meta.data.sheets || []).find(
+    (s) => s.properties.title === sheetName
+  );
+  if (!sheet) {
+    // New destination tab: create it, then fill it like any other
+    const created = await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [{ addSheet: { properties: { title: sheetName } } }],
+      },
+    });
+    sheet = created.data.replies[0].addSheet;
+    console.log(`📄 Created sheet tab "${sheetName}"`);
+  }
+
+  const current = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: quoteSheetName(sheetName),
+    valueRenderOption: "UNFORMATTED_VALUE",
+  });
+
+  const diff = diffSheetRows(
+    current.data.values || [],
+    header,
+    rows,
+    keyHeader
+  );
+  const requests = buildSheetRequests(
+    sheet.properties.sheetId,
+    sheet.properties.gridProperties?.columnCount || 0,
+    diff,
+    sheet.properties.gridProperties?.rowCount ?? Infinity
+  );
+
+  if (requests.length > 0) {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests },
+    });
+  }
+
+  return {
+    inserted: diff.inserts.length,
+    updated: diff.updates.length,
+    deleted: diff.deletes.length,
+    unchanged: diff.unchanged,
+    headerUpdated: !!diff.header,
+    rowsChanged:
+      diff.inserts.length + diff.updates.length + diff.deletes.length,
+  };
+}
@@ -0,0 +1,266 @@
+// Server-side Workiz API client shared by every sync route
+
+import {
+  APIManager,
+  RetryHandler,
+  workizCircuitBreaker,
+} from "./resilience.js";
+import { getWorkizRateLimiter, parseRetryAfter } from "./rateLimiter.js";
+
+const WORKIZ_BASE_URL = "https://api.workiz.com/api/v1";
+
+export const WORKIZ_PAGE_SIZE = 100; // Max records Workiz returns per request
+export const WORKIZ_MAX_PAGES = 50; // Safety cap so a bad has_more can't loop forever
+
+// Base error for anything that goes wrong talking to Workiz
+export class WorkizError extends Error {
+  constructor(message, { status = null, body = null } = {}) {
+    super(message);
+    this.name = "WorkizError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Account has no usable API token
+export class WorkizConfigError extends WorkizError {
+  constructor(message) {
+    super(message);
+    this.name = "WorkizConfigError";
+  }
+}
+
+// 520s and HTML error pages. The message keeps "520" so RetryHandler
+// applies its extended backoff.
+export class WorkizServerError extends WorkizError {
+  constructor(status = 520, body = null) {
+    super(`Workiz API 520 error - server is experiencing issues`, {
+      status,
+      body,
+    });
+    this.name = "WorkizServerError";
+  }
+}
+
+// 429 Too Many Requests
+export class WorkizRateLimitError extends WorkizError {
+  constructor(retryAfter, body = null) {
+    super(`Rate limited: 429 - retry after ${retryAfter}s`, {
+      status: 429,
+      body,
+    });
+    this.name = "WorkizRateLimitError";
+    this.retryAfter = retryAfter;
+  }
+}
+
+// 200 response whose body isn't the expected { flag, data } shape
+export class WorkizResponseError extends WorkizError {
+  constructor(message, body = null) {
+    super(message, { body });
+    this.name = "WorkizResponseError";
+  }
+}
+
+// Workiz serves an HTML "Oops!" page instead of JSON when it's struggling
+function isHtmlErrorPage(text) {
+  return (
+    text.includes('<div class="text-container">') ||
+    text.includes("Oops!") ||
+    text.includes("Something went wrong")
+  );
+}
+
+export class WorkizClient {
+  constructor(
+    apiToken,
+    { timeout = 30000, maxRetries = 3, retryDelay = 2000 } = {}
+  ) {
+    if (!apiToken) {
+      throw new WorkizConfigError("Missing Workiz API token");
+    }
+    this.apiToken = apiToken;
+    this.timeout = timeout;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.rateLimiter = getWorkizRateLimiter(apiToken);
+  }
+
+  // Build a client from an account document
+  static forAccount(account, options = {}) {
+    if (!account?.workizApiToken) {
+      throw new WorkizConfigError(
+        `Missing API token for account ${account?.name || "Unknown"}`
+      );
+    }
+    return new WorkizClient(account.workizApiToken, options);
+  }
+
+  buildUrl(path, params = {}) {
+    const query = new URLSearchParams(
+      Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => [key, String(value)])
+    ).toString();
+    return `${WORKIZ_BASE_URL}/${this.apiToken}/${path}${
+      query ? `?${query}` : ""
+    }`;
+  }
+
+  // GET a Workiz endpoint with timeout, retries, the shared circuit breaker
+  // and the per-token rate limiter. Every attempt, retries included, waits for
+  // a slot. 429s are left to the rate limiter and don't trip the breaker.
+  // Resolves to the parsed JSON body; throws a WorkizError subclass.
+  async request(path, params = {}) {
+    const url = this.buildUrl(path, params);
+
+    const response = await RetryHandler.withRetry(
+      async () => {
+        await this.rateLimiter.acquire();
+
+        let resp;
+        try {
+          resp = await APIManager.fetchWithTimeout(url, {}, this.timeout);
+        } catch (error) {
+          // fetchWithTimeout rejects on 520 status codes and timeouts
+          if (error.message.includes("520")) {
+            throw new WorkizServerError(520);
+          }
+          throw new WorkizError(error.message);
+        }
+
+        if (!resp.ok) {
+          const errorText = await resp.text();
+
+          if (resp.status === 429) {
+            const retryAfter = parseRetryAfter(resp.headers.get("Retry-After"));
+            // The limiter holds back every caller on this token until Retry-After
+            await this.rateLimiter.onRateLimited(retryAfter);
+            throw new WorkizRateLimitError(retryAfter, errorText);
+          }
+
+          if (resp.status === 520 || isHtmlErrorPage(errorText)) {
+            console.log(
+              `🚨 Detected HTML error page from Workiz API (likely 520 error)`
+            );
+            throw new WorkizServerError(resp.status, errorText);
+          }
+
+          console.log(`❌ Workiz API error: ${resp.status} - ${errorText}`);
+          throw new WorkizError(
+            `Workiz API error: ${resp.status} - ${errorText}`,
+            { status: resp.status, body: errorText }
+          );
+        }
+
+        await this.rateLimiter.onSuccess();
+        return resp;
+      },
+      this.maxRetries,
+      this.retryDelay,
+      workizCircuitBreaker
+    );
+
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new WorkizResponseError(
+        `Invalid JSON from Workiz API: ${error.message}`
+      );
+    }
+  }
+
+  // One page of a Workiz list endpoint (job/all, lead/all, ...)
+  async listPage(
+    path,
+    { startDate, offset = 0, records = WORKIZ_PAGE_SIZE, onlyOpen = false } = {}
+  ) {
+    const data = await this.request(path, {
+      start_date: startDate,
+      offset,
+      records,
+      only_open: onlyOpen,
+    });
+
+    if (!data.flag || !Array.isArray(data.data)) {
+      throw new WorkizResponseError(
+        `Invalid response from Workiz API ${path} (offset ${offset})`,
+        data
+      );
+    }
+
+    return {
+      items: data.data,
+      hasMore: data.has_more === true,
+      found: data.found ?? null,
+    };
+  }
+
+  // Every page of a list endpoint, walking offsets until has_more is false.
+  // onPage (optional) is awaited after each page so callers can record progress.
+  async listAll(path, { startDate, onlyOpen = false, onPage = null } = {}) {
+    const items = [];
+    const pages = [];
+    let offset = 0;
+    let hasMore = true;
+
+    while (hasMore && pages.length < WORKIZ_MAX_PAGES) {
+      const page = await this.listPage(path, { startDate, offset, onlyOpen });
+      items.push(...page.items);
+
+      // Stop on an empty page even if has_more claims otherwise
+      hasMore = page.hasMore && page.items.length > 0;
+
+      const pageInfo = {
+        page: pages.length + 1,
+        offset,
+        records: page.items.length,
+        found: page.found,
+        hasMore,
+        fetchedAt: new Date(),
+      };
+      pages.push(pageInfo);
+
+      console.log(
+        `📄 Workiz ${path} page ${pageInfo.page}: ${pageInfo.records} records (offset ${offset}, found ${pageInfo.found}, has_more ${hasMore})`
+      );
+
+      if (onPage) {
+        await onPage(pageInfo);
+      }
+
+      offset += page.items.length;
+    }
+
+    if (hasMore) {
+      console.log(
+        `⚠️ Stopped Workiz ${path} pagination after ${WORKIZ_MAX_PAGES} pages, more records remain`
+      );
+    }
+
+    return { items, pages, truncated: hasMore };
+  }
+
+  // One page of job/all
+  async listJobs(options = {}) {
+    const { items, ...page } = await this.listPage("job/all/", options);
+    return { jobs: items, ...page };
+  }
+
+  // Every page of job/all
+  async listAllJobs(options = {}) {
+    const { items, ...result } = await this.listAll("job/all/", options);
+    return { jobs: items, ...result };
+  }
+
+  // job/get/{UUID}. Resolves to null when Workiz has no data for the job.
+  async getJob(uuid) {
+    const data = await this.request(`job/get/${uuid}/`);
+    if (!data.flag || !data.data) {
+      return null;
+    }
+
+    // job/get may wrap the job in an array
+    return Array.isArray(data.data) ? data.data[0] || null : data.data;
+  }
+}
@@ -2,203 +2,1044 @@ import express from "express";
 import cors from "cors";
 import { MongoClient, ObjectId } from "mongodb";
 import dotenv from "dotenv";
+import crypto from "crypto";
 import { google } from "googleapis";
 import { formatInTimeZone } from "date-fns-tz";
+import {
+  RetryHandler,
+  APIManager,
+  workizCircuitBreaker,
+  sheetsCircuitBreaker,
+} from "./lib/resilience.js";
+import {
+  WorkizClient,
+  WorkizServerError,
+  WorkizRateLimitError,
+} from "./lib/workizClient.js";
+import {
+  SYNC_WATERMARK_FIELDS,
+  getSyncWatermarkField,
+  filterJobsChangedSince,
+  computeSyncWatermark,
+} from "./lib/syncWatermark.js";
+import {
+  configureWorkizRateLimitStore,
+  getWorkizRateLimiterStates,
+} from "./lib/rateLimiter.js";
+import {
+  WORKIZ_ENTITY_TYPES,
+  parseEntityTypes,
+  syncWorkizEntity,
+  getPaymentTotalsByJob,
+} from "./lib/entitySync.js";
+import {
+  recordJobChanges,
+  recordJobEvent,
+  buildStatusTimeline,
+} from "./lib/jobHistory.js";
+import {
+  ACTIVE_JOB_FILTER,
+  ACTIVE_JOB_UNSET,
+  tombstoneJob,
+  tombstoneJobsWhere,
+  activeJobUpdate,
+  restoreJob,
+  flagJobMissing,
+  reconcileMissingJobs,
+} from "./lib/jobLifecycle.js";
+import {
+  LINE_ITEM_GROUPS,
+  syncJobLineItems,
+  buildLineItemRevenuePipeline,
+} from "./lib/lineItems.js";
+import {
+  COLUMN_SOURCES,
+  COMPUTED_COLUMNS,
+  DEFAULT_EXPORT_TEMPLATE,
+  getExportTemplate,
+  validateExportTemplate,
+  normalizeExportTemplate,
+  buildHeaderRow,
+  buildTemplateRow,
+  ENHANCED_EXPORT_TEMPLATE,
+} from "./lib/exportTemplates.js";
+import {
+  EXPORT_MODES,
+  isEnhancedMode,
+  validateExportMode,
+  findRawPiiColumns,
+} from "./lib/enhancedConversions.js";
+import {
+  SHEET_KEY_HEADER,
+  syncSheetRows,
+  readSheetValues,
+} from "./lib/sheetSync.js";
+import {
+  hasOverrideColumns,
+  extractOverrideEdits,
+  mergeOverride,
+} from "./lib/sheetOverrides.js";
+import {
+  getSheetDestinations,
+  hasExportSpreadsheets,
+  matchesDestination,
+  validateSheetDestinations,
+  normalizeSheetDestinations,
+} from "./lib/sheetDestinations.js";
+import { buildCallConversionCsv } from "./lib/conversionCsv.js";
+import {
+  CSV_LEDGER_DESTINATION,
+  validateExportScope,
+  isNewOrChangedScope,
+  getLedgerChange,
+  exportFingerprint,
+  selectNewOrChanged,
+  buildLedgerWrites,
+  buildAdjustmentLedgerWrites,
+} from "./lib/exportLedger.js";
+import {
+  ADJUSTMENT_HEADERS,
+  ADJUSTMENT_KEY_HEADER,
+  ADJUSTMENT_LOOKBACK_DAYS,
+  ADJUSTMENT_SHEET_DAYS,
+  adjustmentSheetName,
+  detectAdjustments,
+  adjustmentRow,
+  buildAdjustmentsCsv,
+  summarizeAdjustments,
+} from "./lib/conversionAdjustments.js";
+import {
+  PROVISIONING_SCOPES,
+  validateShareEmails,
+  normalizeShareEmails,
+  provisionSpreadsheet,
+} from "./lib/sheetProvisioning.js";
+import {
+  DEFAULT_PHONE_COUNTRY,
+  getJobPhone,
+  getAccountPhoneCountry,
+  validatePhoneCountry,
+} from "./lib/phoneNumbers.js";
+import {
+  DEFAULT_CURRENCY,
+  DEFAULT_EXCHANGE_RATES_URL,
+  validateCurrencySettings,
+  getAccountCurrencies,
+  getExchangeRate,
+  convertAmount,
+  parseRates,
+} from "./lib/currency.js";
+import {
+  getConversionNames,
+  resolveConversionName,
+  summarizeConversionNames,
+  validateConversionNames,
+  normalizeConversionNames,
+} from "./lib/conversionNames.js";
+import {
+  RULE_VALUE_TYPES,
+  DEFAULT_CONVERSION_RULES,
+  getConversionRules,
+  evaluateConversionValue,
+  summarizeRuleUsage,
+  validateConversionRules,
+  normalizeConversionRules,
+} from "./lib/conversionRules.js";
 
 dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 3001;
 
-// Enhanced error handling utilities
-
-// Circuit Breaker Pattern for API resilience
-class CircuitBreaker {
-  constructor(failureThreshold = 5, recoveryTimeout = 300000) {
-    // 5 failures, 5 minutes recovery
-    this.failureThreshold = failureThreshold;
-    this.recoveryTimeout = recoveryTimeout;
-    this.failureCount = 0;
-    this.lastFailureTime = null;
-    this.state = "CLOSED"; // CLOSED, OPEN, HALF_OPEN
-  }
-
-  async execute(operation) {
-    if (this.state === "OPEN") {
-      if (Date.now() - this.lastFailureTime >= this.recoveryTimeout) {
-        console.log("🔄 Circuit breaker transitioning to HALF_OPEN state");
-        this.state = "HALF_OPEN";
-      } else {
-        throw new Error("Circuit breaker is OPEN - too many recent failures");
-      }
-    }
-
+// Database connection management with health checks
+class DatabaseManager {
+  static async healthCheck(db) {
     try {
-      const result = await operation();
-      this.onSuccess();
-      return result;
+      await db.admin().ping();
+      return true;
     } catch (error) {
-      this.onFailure();
-      throw error;
+      console.error("❌ Database health check failed:", error.message);
+      return false;
+    }
+  }
+
+  static async ensureHealthyConnection(db) {
+    const isHealthy = await this.healthCheck(db);
+    if (!isHealthy) {
+      throw new Error("Database connection is unhealthy");
     }
   }
+}
+
+// Per-account sync windows (in days)
+const DEFAULT_SYNC_WINDOWS = {
+  fetchLookbackDays: 14, // How far back to request jobs from Workiz
+  retentionDays: 32, // How long jobs are kept in MongoDB
+  sheetExportDays: 32, // How far back jobs are exported to Google Sheets
+};
+
+// Coerce a window setting to a positive whole number of days, or null if invalid
+function parseWindowDays(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const days = Number(value);
+  return Number.isInteger(days) && days > 0 ? days : null;
+}
 
-  onSuccess() {
-    this.failureCount = 0;
-    this.state = "CLOSED";
+// Resolve the sync windows for an account, falling back to the defaults
+function getAccountSyncWindows(account, now = new Date()) {
+  const windows = {};
+  for (const [key, defaultDays] of Object.entries(DEFAULT_SYNC_WINDOWS)) {
+    windows[key] = parseWindowDays(account?.[key]) ?? defaultDays;
   }
 
-  onFailure() {
-    this.failureCount++;
-    this.lastFailureTime = Date.now();
+  const daysAgo = (days) => {
+    const date = new Date(now);
+    date.setDate(date.getDate() - days);
+    return date;
+  };
+
+  return {
+    ...windows,
+    fetchStartDate: daysAgo(windows.fetchLookbackDays)
+      .toISOString()
+      .split("T")[0],
+    retentionCutoff: daysAgo(windows.retentionDays),
+    sheetExportCutoff: daysAgo(windows.sheetExportDays),
+  };
+}
 
-    if (this.failureCount >= this.failureThreshold) {
-      this.state = "OPEN";
-      console.log(
-        `🚨 Circuit breaker opened after ${
-          this.failureCount
-        } failures. Will retry in ${this.recoveryTimeout / 1000} seconds`
-      );
+// Validate window settings from an account request body, against the
+// account's current settings (current) for fields the body leaves out.
+// Returns { values, errors } where values only contains the provided fields.
+function validateSyncWindowSettings(body, current = {}) {
+  const values = {};
+  const errors = [];
+  for (const key of Object.keys(DEFAULT_SYNC_WINDOWS)) {
+    if (body[key] === undefined) continue;
+    const days = parseWindowDays(body[key]);
+    if (days === null) {
+      errors.push(`${key} must be a positive whole number of days`);
     } else {
-      console.log(
-        `⚠️ Circuit breaker failure count: ${this.failureCount}/${this.failureThreshold}`
+      values[key] = days;
+    }
+  }
+
+  // Every sync brings back the jobs it fetches, so a lookback past retention
+  // would restore and re-tombstone the same jobs on every run
+  if (errors.length === 0) {
+    const { fetchLookbackDays, retentionDays } = getAccountSyncWindows({
+      ...current,
+      ...values,
+    });
+    if (fetchLookbackDays > retentionDays) {
+      errors.push(
+        `fetchLookbackDays (${fetchLookbackDays}) can't be more than retentionDays (${retentionDays})`
       );
     }
   }
+  return { values, errors };
+}
 
-  getState() {
-    return {
-      state: this.state,
-      failureCount: this.failureCount,
-      lastFailureTime: this.lastFailureTime,
-      timeUntilRecovery:
-        this.state === "OPEN"
-          ? Math.max(
-              0,
-              this.recoveryTimeout - (Date.now() - this.lastFailureTime)
-            )
-          : 0,
-    };
+// Where a job's conversion value comes from before cancellation rules apply:
+// the Workiz JobTotalPrice, or the payments actually collected for the job
+const CONVERSION_VALUE_SOURCES = ["jobTotal", "payments"];
+
+function validateConversionValueSource(value) {
+  if (value === undefined || CONVERSION_VALUE_SOURCES.includes(value)) {
+    return null;
+  }
+  return `conversionValueSource must be one of ${CONVERSION_VALUE_SOURCES.join(
+    ", "
+  )}`;
+}
+
+// Revenue for a job: collected payments when paymentTotals is given,
+// otherwise JobTotalPrice
+function getJobRevenue(job, paymentTotals = null) {
+  if (paymentTotals) {
+    return paymentTotals.get(job.UUID) || 0;
+  }
+  return job.JobTotalPrice || 0;
+}
+
+// Load payment totals for the jobs being exported, or null when the
+// account values conversions by JobTotalPrice
+async function loadPaymentTotals(db, account, jobs) {
+  if (account.conversionValueSource !== "payments") {
+    return null;
+  }
+  return await getPaymentTotalsByJob(
+    db,
+    account._id || account.id,
+    jobs.map((job) => job.UUID)
+  );
+}
+
+// Call times in Sheets and CSV exports are written in the account's IANA
+// time zone; accounts without one keep the original Pacific time
+const DEFAULT_TIME_ZONE = "America/Los_Angeles";
+
+// Canonical IANA name for a zone (e.g. "america/chicago" → "America/Chicago"),
+// or null if the runtime's time zone database doesn't know it
+function resolveTimeZone(value) {
+  // Intl also accepts UTC offsets on newer runtimes; only names are allowed
+  if (typeof value !== "string" || !/^[A-Za-z]/.test(value)) return null;
+  try {
+    return new Intl.DateTimeFormat("en-US", {
+      timeZone: value,
+    }).resolvedOptions().timeZone;
+  } catch {
+    return null;
   }
 }
 
-// Global circuit breaker instances
-const workizCircuitBreaker = new CircuitBreaker(3, 600000); // 3 failures, 10 minutes recovery
-const sheetsCircuitBreaker = new CircuitBreaker(3, 180000); // 3 failures, 3 minutes recovery
-
-// Enhanced error handling with retry logic
-class RetryHandler {
-  static async withRetry(
-    operation,
-    maxRetries = 3,
-    delay = 1000,
-    circuitBreaker = null
+// null or "" resets the account to the default zone
+function validateTimeZone(value) {
+  if (value === undefined || value === null || value === "") return null;
+  return resolveTimeZone(value)
+    ? null
+    : "timeZone must be an IANA time zone such as America/New_York";
+}
+
+function getAccountTimeZone(account) {
+  return resolveTimeZone(account.timeZone) || DEFAULT_TIME_ZONE;
+}
+
+// Jobs an account exports: active, matching its sourceFilter and inside
+// its sheet export window
+async function loadExportableJobs(db, account) {
+  // Get all active (non-tombstoned) jobs for this account
+  const allJobs = await db
+    .collection("jobs")
+    .find({ accountId: account._id || account.id, ...ACTIVE_JOB_FILTER })
+    .toArray();
+
+  console.log(`📊 Found ${allJobs.length} total jobs for account`);
+
+  // Filter jobs by sourceFilter
+  let filteredJobs = allJobs;
+  if (
+    account.sourceFilter &&
+    Array.isArray(account.sourceFilter) &&
+    account.sourceFilter.length > 0
   ) {
-    let lastError;
+    filteredJobs = allJobs.filter((job) =>
+      account.sourceFilter.includes(job.JobSource)
+    );
+    console.log(
+      `🔍 Filtered jobs by sourceFilter: ${allJobs.length} → ${filteredJobs.length} jobs`
+    );
+    console.log(
+      `📋 Job sources found: ${[
+        ...new Set(filteredJobs.map((job) => job.JobSource)),
+      ].join(", ")}`
+    );
+  } else {
+    console.log(
+      `⚠️ No sourceFilter configured, using all ${allJobs.length} jobs`
+    );
+  }
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        // Use circuit breaker if provided
-        if (circuitBreaker) {
-          return await circuitBreaker.execute(operation);
-        }
-        return await operation();
-      } catch (error) {
-        lastError = error;
+  // Only export jobs inside the account's sheet export window
+  const syncWindows = getAccountSyncWindows(account);
+  filteredJobs = filteredJobs.filter(
+    (job) => new Date(job.JobDateTime) >= syncWindows.sheetExportCutoff
+  );
+  console.log(
+    `📅 Jobs within ${syncWindows.sheetExportDays}-day export window: ${filteredJobs.length}`
+  );
 
-        // Check if it's a circuit breaker error
-        if (error.message.includes("Circuit breaker is OPEN")) {
-          console.log(`🚨 Circuit breaker blocked operation: ${error.message}`);
-          throw error;
-        }
+  return { allJobs, filteredJobs, syncWindows };
+}
 
-        // Handle 520 errors with longer delays
-        const is520Error =
-          error.message.includes("520") ||
-          (error.response && error.response.status === 520);
+// Conversion and adjustment times as Google Ads reads them, with the zone
+// name as suffix
+function formatConversionTime(value, timeZone) {
+  return (
+    formatInTimeZone(new Date(value), timeZone, "yyyy-MM-dd'T'HH:mm:ss") +
+    ` ${timeZone}`
+  );
+}
 
-        if (is520Error) {
-          console.log(
-            `⚠️ 520 error detected on attempt ${attempt}, using extended delay`
-          );
-          // Use longer delays for 520 errors: 10s, 20s, 40s
-          const waitTime = 10000 * Math.pow(2, attempt - 1);
-          console.log(
-            `⏳ Waiting ${waitTime / 1000}s before retry due to 520 error`
-          );
-          await new Promise((resolve) => setTimeout(resolve, waitTime));
-        } else if (attempt === maxRetries) {
-          throw error;
-        } else {
-          // Exponential backoff for other errors
-          const waitTime = delay * Math.pow(2, attempt - 1);
-          console.log(
-            `⚠️ Attempt ${attempt} failed, retrying in ${waitTime}ms: ${error.message}`
-          );
-          await new Promise((resolve) => setTimeout(resolve, waitTime));
-        }
-      }
-    }
+// Stored exchange rates as Map(currency → { perUsd, updatedAt, source })
+async function loadExchangeRates(db) {
+  const rates = await db.collection("exchangeRates").find().toArray();
+  return new Map(rates.map((rate) => [rate.currency, rate]));
+}
+
+// Currency the account's conversion values are reported in, with the rate
+// from its billing currency. Throws when a needed rate isn't stored.
+async function resolveExportCurrency(db, account) {
+  const { currency, reportingCurrency } = getAccountCurrencies(account);
+  if (currency === reportingCurrency) {
+    return { currency, sourceCurrency: currency, exchangeRate: 1 };
+  }
+  const rates = await loadExchangeRates(db);
+  const exchangeRate = getExchangeRate(rates, currency, reportingCurrency);
+  const ratesUpdatedAt = [currency, reportingCurrency]
+    .map((code) => rates.get(code)?.updatedAt)
+    .filter(Boolean)
+    .sort((a, b) => a - b)[0];
+  return {
+    currency: reportingCurrency,
+    sourceCurrency: currency,
+    exchangeRate,
+    ratesUpdatedAt: ratesUpdatedAt || null,
+  };
+}
+
+// Overrides read back from the sheets, as Map(jobUUID → { conversionValue,
+// doNotUpload })
+async function loadSheetOverrides(db, account) {
+  const overrides = await db
+    .collection("sheetOverrides")
+    .find({ accountId: account._id })
+    .toArray();
+  return new Map(overrides.map((override) => [override.jobUUID, override]));
+}
+
+// Ledger entries of one export destination as Map(jobUUID → entry)
+async function loadExportLedger(db, accountId, destinationId, exportJobs) {
+  const entries = await db
+    .collection("exportLedger")
+    .find({
+      accountId,
+      destinationId,
+      jobUUID: { $in: exportJobs.map(({ job }) => job.UUID) },
+    })
+    .toArray();
+  return new Map(entries.map((entry) => [entry.jobUUID, entry]));
+}
+
+// Record the new and changed conversions an export sent. Returns their counts.
+async function recordExportLedger(db, destination, exportJobs, ledger) {
+  const { operations, counts } = buildLedgerWrites(
+    destination,
+    exportJobs,
+    ledger
+  );
+  if (operations.length > 0) {
+    await RetryHandler.withRetry(async () => {
+      await db.collection("exportLedger").bulkWrite(operations);
+    });
   }
+  return counts;
 }
 
-// API rate limiting and timeout handling
-class APIManager {
-  static async fetchWithTimeout(url, options = {}, timeout = 30000) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+// Compare what a ledger destination ({ accountId, destinationId,
+// destinationName }) sent with this export and work out a retraction or
+// restatement for each job cancelled, deleted or repriced since. Nothing is
+// written. Resolves to { detected, adjustments } for saveConversionAdjustments.
+async function findConversionAdjustments(db, account, destination, exportJobs) {
+  const none = { detected: [], adjustments: [] };
+  const since = new Date(
+    Date.now() - ADJUSTMENT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000
+  );
+  const entries = await db
+    .collection("exportLedger")
+    .find({
+      accountId: account._id,
+      destinationId: destination.destinationId,
+      lastExportedAt: { $gte: since },
+      retractedAt: { $exists: false },
+    })
+    .toArray();
+  if (entries.length === 0) return none;
+
+  // Tombstoned jobs included: a job deleted in Workiz is retracted, one past
+  // retention is left alone
+  const jobs = await db
+    .collection("jobs")
+    .find({
+      accountId: account._id,
+      UUID: { $in: entries.map((entry) => entry.jobUUID) },
+    })
+    .toArray();
+  const jobsByUUID = new Map(jobs.map((job) => [job.UUID, job]));
+  const detected = detectAdjustments(
+    entries,
+    jobsByUUID,
+    new Map(exportJobs.map((exportJob) => [exportJob.job.UUID, exportJob]))
+  );
+  if (detected.length === 0) return none;
+
+  const now = new Date();
+  const adjustmentTime = formatConversionTime(now, getAccountTimeZone(account));
+  const phoneCountry = getAccountPhoneCountry(account);
+  const adjustments = detected.map(
+    ({ entry, type, reason, adjustedValue, currency }) => ({
+      accountId: account._id,
+      destinationId: destination.destinationId,
+      destinationName: destination.destinationName,
+      jobUUID: entry.jobUUID,
+      type,
+      reason,
+      // Entries from before the ledger kept the phone use the job's
+      callerPhone:
+        entry.callerPhone ||
+        getJobPhone(jobsByUUID.get(entry.jobUUID), phoneCountry).e164 ||
+        "",
+      conversionName: entry.conversionName,
+      conversionTime: entry.conversionTime,
+      previousValue: entry.conversionValue,
+      adjustedValue,
+      currency,
+      adjustmentTime,
+      createdAt: now,
+    })
+  );
+  return { detected, adjustments };
+}
 
-    try {
-      const response = await fetch(url, {
-        ...options,
-        signal: controller.signal,
+// Store adjustments from findConversionAdjustments and bring the ledger in
+// line, so each change is only raised once
+async function saveConversionAdjustments(
+  db,
+  account,
+  destination,
+  { detected, adjustments }
+) {
+  if (adjustments.length === 0) return;
+  const now = new Date();
+  await RetryHandler.withRetry(async () => {
+    await db.collection("conversionAdjustments").insertMany(adjustments);
+  });
+  await RetryHandler.withRetry(async () => {
+    await db
+      .collection("exportLedger")
+      .bulkWrite(buildAdjustmentLedgerWrites(detected, now));
+  });
+  console.log(
+    `↩️ ${account.name} → ${destination.destinationName}: ${
+      adjustments.length
+    } conversion adjustment(s) (${detected
+      .map(({ entry, type }) => `${entry.jobUUID} ${type}`)
+      .slice(0, 5)
+      .join(", ")})`
+  );
+}
+
+// Find and store the adjustments for a destination's export. Returns the new
+// adjustments.
+async function recordConversionAdjustments(
+  db,
+  account,
+  destination,
+  exportJobs
+) {
+  const found = await findConversionAdjustments(
+    db,
+    account,
+    destination,
+    exportJobs
+  );
+  await saveConversionAdjustments(db, account, destination, found);
+  return found.adjustments;
+}
+
+// Write a destination's recent adjustments to its "<tab> Adjustments" tab.
+// Destinations that never had an adjustment don't get the tab.
+async function writeAdjustmentsTab(db, sheets, account, destination) {
+  const filter = { accountId: account._id, destinationId: destination.id };
+  const everAdjusted = await db
+    .collection("conversionAdjustments")
+    .countDocuments(filter, { limit: 1 });
+  if (everAdjusted === 0) return null;
+
+  const since = new Date(
+    Date.now() - ADJUSTMENT_SHEET_DAYS * 24 * 60 * 60 * 1000
+  );
+  const adjustments = await db
+    .collection("conversionAdjustments")
+    .find({ ...filter, createdAt: { $gte: since } })
+    .sort({ createdAt: 1 })
+    .toArray();
+  const sheetName = adjustmentSheetName(destination.sheetName);
+  const changes = await RetryHandler.withRetry(
+    async () => {
+      return await syncSheetRows(sheets, destination.spreadsheetId, {
+        sheetName,
+        header: ADJUSTMENT_HEADERS,
+        keyHeader: ADJUSTMENT_KEY_HEADER,
+        rows: adjustments.map((adjustment) => ({
+          key: adjustment._id.toString(),
+          values: adjustmentRow(adjustment),
+        })),
       });
-      clearTimeout(timeoutId);
+    },
+    3,
+    1000,
+    sheetsCircuitBreaker
+  );
+  return { sheetName, rows: adjustments.length, ...changes };
+}
 
-      // Check for 520 error specifically
-      if (response.status === 520) {
-        console.log(`🚨 520 error detected from Workiz API`);
-        throw new Error(`Workiz API 520 error - server is experiencing issues`);
-      }
+// Per-job export values (caller phone, formatted call time, revenue,
+// conversion name and value) shared by the Sheets and CSV exports. Conversion
+// values come from the account's rules unless a rule list is passed in (rule
+// previews), then are converted to the account's reporting currency; values
+// corrected in a sheet replace them. Jobs without a usable phone number are
+// returned in rejectedJobs, and jobs marked "do not upload" in heldJobs,
+// instead of being exported.
+async function buildExportJobs(
+  db,
+  account,
+  jobs,
+  rules = getConversionRules(account)
+) {
+  // Collected payments replace JobTotalPrice when the account opts in
+  const paymentTotals = await loadPaymentTotals(db, account, jobs);
+  const defaultValue = account.defaultConversionValue || 0;
+  const timeZone = getAccountTimeZone(account);
+  const phoneCountry = getAccountPhoneCountry(account);
+  const conversionNames = getConversionNames(account);
+  const currencyDetails = await resolveExportCurrency(db, account);
+  const overrides = await loadSheetOverrides(db, account);
+
+  console.log(`📝 Preparing ${jobs.length} jobs for export...`);
+  let totalConversionValue = 0;
+  const exportJobs = [];
+  const rejectedJobs = [];
+  const heldJobs = [];
+  for (const job of jobs) {
+    const override = overrides.get(job.UUID) || null;
+    if (override?.doNotUpload) {
+      heldJobs.push({ job, override });
+      continue;
+    }
 
-      return response;
-    } catch (error) {
-      clearTimeout(timeoutId);
-      if (error.name === "AbortError") {
-        throw new Error(`Request timeout after ${timeout}ms`);
-      }
-      throw error;
+    const phone = getJobPhone(job, phoneCountry);
+    if (!phone.e164) {
+      rejectedJobs.push({ job, error: phone.error });
+      continue;
     }
-  }
 
-  static async handleRateLimit(response, retryAfter = 60) {
-    if (response.status === 429) {
-      console.log(`⏳ Rate limited, waiting ${retryAfter} seconds...`);
-      await new Promise((resolve) => setTimeout(resolve, retryAfter * 1000));
-      return true;
+    const formattedTime = formatConversionTime(job.JobDateTime, timeZone);
+
+    if (exportJobs.length < 3) {
+      console.log(
+        `📋 Sample job ${exportJobs.length + 1}: ${
+          phone.e164
+        } | ${formattedTime} | ${job.JobSource}`
+      );
     }
-    return false;
+
+    // The first matching rule sets the value (JobTotalPrice or payments)
+    const jobRevenue = getJobRevenue(job, paymentTotals);
+    const { value, rule } = evaluateConversionValue(job, {
+      rules,
+      jobRevenue,
+      defaultValue,
+    });
+    // A sheet override sets the reported value directly, unconverted
+    const overridden =
+      override?.conversionValue !== undefined &&
+      override?.conversionValue !== null;
+    const conversionValue = overridden
+      ? override.conversionValue
+      : convertAmount(value, currencyDetails.exchangeRate);
+
+    const conversionName = resolveConversionName(job, conversionNames);
+
+    totalConversionValue += conversionValue;
+    exportJobs.push({
+      job,
+      phone: phone.e164,
+      phoneField: phone.field,
+      formattedTime,
+      conversionName: conversionName.name,
+      conversionNameUnmapped: conversionName.unmapped,
+      conversionValue,
+      currency: currencyDetails.currency,
+      // Before conversion, so the ledger can tell repricing from a new rate
+      sourceValue: overridden ? null : value,
+      sourceCurrency: currencyDetails.sourceCurrency,
+      exchangeRate: currencyDetails.exchangeRate,
+      jobRevenue,
+      rule,
+      override,
+    });
+  }
+
+  if (rejectedJobs.length > 0) {
+    console.log(
+      `⚠️ ${rejectedJobs.length} jobs left out of the export: no valid phone number`
+    );
+  }
+  if (heldJobs.length > 0) {
+    console.log(
+      `✋ ${heldJobs.length} jobs left out of the export: marked "do not upload" in a sheet`
+    );
+  }
+  const unmapped = exportJobs.filter(
+    ({ conversionNameUnmapped }) => conversionNameUnmapped
+  ).length;
+  if (unmapped > 0) {
+    console.log(
+      `⚠️ ${unmapped} jobs match no conversion name mapping; using "${conversionNames.defaultName}"`
+    );
   }
+
+  return {
+    exportJobs,
+    rejectedJobs,
+    heldJobs,
+    paymentTotals,
+    totalConversionValue,
+    currencyDetails,
+    ruleUsage: summarizeRuleUsage(rules, exportJobs),
+  };
 }
 
-// Database connection management with health checks
-class DatabaseManager {
-  static async healthCheck(db) {
+// Phone numbers behind an export: jobs left out for an unusable number and
+// jobs exported under SecondPhone
+function summarizePhoneQuality(exportJobs, rejectedJobs) {
+  return {
+    rejected: rejectedJobs.length,
+    fromSecondPhone: exportJobs.filter(
+      ({ phoneField }) => phoneField === "SecondPhone"
+    ).length,
+  };
+}
+
+// Sheet overrides behind an export: jobs valued or held back by an override,
+// plus what this sync read back from the sheets
+function summarizeSheetOverrides(exportJobs, heldJobs, readBack = null) {
+  return {
+    valueOverrides: exportJobs.filter(
+      ({ override }) => override?.conversionValue != null
+    ).length,
+    doNotUpload: heldJobs.length,
+    ...(readBack && {
+      edited: readBack.edited,
+      cleared: readBack.cleared,
+      unreadable: readBack.unreadable.length,
+      unreadableSample: readBack.unreadable.slice(0, 10),
+    }),
+  };
+}
+
+// Read manual edits in the destinations' override columns back into
+// sheetOverrides before the rows are rebuilt. Destinations whose sheet
+// couldn't be read are returned in failed (id → error) so they aren't
+// written over.
+async function readSheetOverrides(db, sheets, account) {
+  const result = { edited: 0, cleared: 0, unreadable: [], failed: new Map() };
+  const destinations = getSheetDestinations(account).filter((destination) =>
+    hasOverrideColumns(destination.template)
+  );
+  if (destinations.length === 0) return result;
+
+  const overrides = await loadSheetOverrides(db, account);
+  const edits = new Map();
+  for (const destination of destinations) {
     try {
-      await db.admin().ping();
-      return true;
+      const rows = await RetryHandler.withRetry(
+        async () => {
+          return await readSheetValues(
+            sheets,
+            destination.spreadsheetId,
+            destination.sheetName
+          );
+        },
+        3,
+        1000,
+        sheetsCircuitBreaker
+      );
+      const found = extractOverrideEdits(
+        rows,
+        destination.template,
+        overrides,
+        SHEET_KEY_HEADER
+      );
+      // The first destination to change a job wins
+      for (const edit of found.edits) {
+        if (!edits.has(edit.jobUUID)) {
+          edits.set(edit.jobUUID, { ...edit, destination });
+        }
+      }
+      result.unreadable.push(...found.errors);
     } catch (error) {
-      console.error("❌ Database health check failed:", error.message);
-      return false;
+      console.log(
+        `❌ ${account.name} → ${destination.name} (${destination.sheetName}): couldn't read manual edits: ${error.message}`
+      );
+      result.failed.set(destination.id, error.message);
     }
   }
 
-  static async ensureHealthyConnection(db) {
-    const isHealthy = await this.healthCheck(db);
-    if (!isHealthy) {
-      throw new Error("Database connection is unhealthy");
+  if (result.unreadable.length > 0) {
+    console.log(
+      `⚠️ ${account.name}: ${result.unreadable.length} override cell(s) couldn't be read and were ignored`
+    );
+  }
+  if (edits.size === 0) return result;
+
+  const now = new Date();
+  const operations = [...edits.values()].map(
+    ({ jobUUID, changes, destination }) => {
+      const filter = { accountId: account._id, jobUUID };
+      const merged = mergeOverride(overrides.get(jobUUID), changes);
+      if (!merged) {
+        result.cleared++;
+        return { deleteOne: { filter } };
+      }
+      result.edited++;
+      return {
+        updateOne: {
+          filter,
+          update: {
+            $set: {
+              ...merged,
+              updatedAt: now,
+              source: {
+                destinationId: destination.id,
+                sheetName: destination.sheetName,
+              },
+            },
+            $setOnInsert: { createdAt: now },
+          },
+          upsert: true,
+        },
+      };
+    }
+  );
+  await RetryHandler.withRetry(
+    async () => {
+      await db.collection("sheetOverrides").bulkWrite(operations);
+    },
+    3,
+    1000
+  );
+  console.log(
+    `✏️ ${account.name}: ${result.edited} sheet override(s) saved, ${result.cleared} cleared`
+  );
+  return result;
+}
+
+// Accounts in enhanced export mode can't save a layout that writes raw
+// customer data. Returns a list of error messages.
+function validateEnhancedExport(account) {
+  if (!isEnhancedMode(account)) return [];
+  return getSheetDestinations(account).flatMap((destination) => {
+    const columns = findRawPiiColumns(destination.template);
+    return columns.length > 0
+      ? [
+          `${
+            destination.name
+          } would write raw customer data in enhanced mode (${columns.join(
+            ", "
+          )})`,
+        ]
+      : [];
+  });
+}
+
+// Write export rows to each of the account's sheet destinations. exportJobs
+// are { job, phone, formattedTime, conversionName, conversionValue,
+// currency, sourceValue, sourceCurrency, exchangeRate, jobRevenue, rule,
+// override }. A failing destination is recorded
+// and the rest still get written. Destinations in readFailures (id → error)
+// are skipped: their manual edits weren't read back yet. What each
+// destination was sent is recorded in the export ledger.
+async function writeSheetDestinations(
+  db,
+  sheets,
+  account,
+  exportJobs,
+  readFailures = new Map()
+) {
+  const results = [];
+  for (const destination of getSheetDestinations(account)) {
+    const destinationJobs = exportJobs.filter(({ job }) =>
+      matchesDestination(job, destination)
+    );
+    const result = {
+      id: destination.id,
+      name: destination.name,
+      spreadsheetId: destination.spreadsheetId,
+      sheetName: destination.sheetName,
+      columns: buildHeaderRow(destination.template),
+      jobs: destinationJobs.length,
+    };
+
+    try {
+      if (readFailures.has(destination.id)) {
+        throw new Error(
+          `Manual edits couldn't be read back, sheet left as is: ${readFailures.get(
+            destination.id
+          )}`
+        );
+      }
+
+      // Enhanced mode never writes raw customer data, whatever the template
+      const rawColumns = isEnhancedMode(account)
+        ? findRawPiiColumns(destination.template)
+        : [];
+      if (rawColumns.length > 0) {
+        throw new Error(
+          `Enhanced export mode can't write raw customer data (columns: ${rawColumns.join(
+            ", "
+          )})`
+        );
+      }
+
+      const ledgerKey = {
+        accountId: account._id,
+        destinationId: destination.id,
+        destinationName: destination.name,
+      };
+      // Changes to jobs already sent go out as adjustments, before the
+      // ledger is compared for this export
+      const adjustments = await recordConversionAdjustments(
+        db,
+        account,
+        ledgerKey,
+        destinationJobs
+      );
+      result.adjustments = summarizeAdjustments(adjustments);
+
+      const ledger = await loadExportLedger(
+        db,
+        account._id,
+        destination.id,
+        destinationJobs
+      );
+      // newOrChanged sheets only hold conversions Google Ads hasn't seen
+      const rowJobs = isNewOrChangedScope(account)
+        ? selectNewOrChanged(destinationJobs, ledger)
+        : destinationJobs;
+
+      const changes = await RetryHandler.withRetry(
+        async () => {
+          return await syncSheetRows(sheets, destination.spreadsheetId, {
+            sheetName: destination.sheetName,
+            header: result.columns,
+            rows: rowJobs.map(({ job, ...context }) => ({
+              key: job.UUID,
+              values: buildTemplateRow(destination.template, job, context),
+            })),
+          });
+        },
+        3,
+        1000,
+        sheetsCircuitBreaker
+      );
+      const ledgerCounts = await recordExportLedger(
+        db,
+        ledgerKey,
+        rowJobs,
+        ledger
+      );
+      console.log(
+        `✅ ${account.name} → ${destination.name} (${destination.sheetName}): ${changes.inserted} inserted, ${changes.updated} updated, ${changes.deleted} deleted (${ledgerCounts.new} new, ${ledgerCounts.changed} changed conversions)`
+      );
+
+      // Enhanced accounts don't get the tab: it identifies calls by raw phone
+      if (!isEnhancedMode(account)) {
+        try {
+          result.adjustmentsSheet = await writeAdjustmentsTab(
+            db,
+            sheets,
+            account,
+            destination
+          );
+        } catch (error) {
+          console.log(
+            `❌ ${account.name} → ${destination.name} adjustments tab failed: ${error.message}`
+          );
+          result.adjustmentsSheet = { error: error.message };
+        }
+      }
+
+      results.push({
+        ...result,
+        status: "success",
+        ...changes,
+        exported: rowJobs.length,
+        newConversions: ledgerCounts.new,
+        changedConversions: ledgerCounts.changed,
+      });
+    } catch (error) {
+      console.log(
+        `❌ ${account.name} → ${destination.name} (${destination.sheetName}) failed: ${error.message}`
+      );
+      results.push({ ...result, status: "error", error: error.message });
     }
   }
+  return results;
+}
+
+// Adjustments raised across destination results for sync history
+function totalAdjustments(destinations) {
+  return destinations.reduce(
+    (totals, destination) => ({
+      retractions:
+        totals.retractions + (destination.adjustments?.retractions || 0),
+      restatements:
+        totals.restatements + (destination.adjustments?.restatements || 0),
+    }),
+    { retractions: 0, restatements: 0 }
+  );
+}
+
+// Totals across destination results for sync history
+function summarizeDestinations(destinations) {
+  const succeeded = destinations.filter((d) => d.status === "success");
+  const failed = destinations.filter((d) => d.status === "error");
+  return {
+    updatedRows: succeeded.reduce((sum, d) => sum + d.inserted + d.updated, 0),
+    rowsChanged: succeeded.reduce((sum, d) => sum + d.rowsChanged, 0),
+    failed: failed.length,
+    errorMessage:
+      failed.length > 0
+        ? `Failed destinations: ${failed
+            .map((d) => `${d.name} (${d.error})`)
+            .join(", ")}`
+        : null,
+  };
+}
+
+// Webhook helpers
+
+function generateWebhookSecret() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+// Header Workiz should send the webhook secret in. ?secret= is still accepted
+// for senders that can't set headers, but it ends up in access logs.
+const WEBHOOK_SECRET_HEADER = "X-Webhook-Secret";
+
+// Keys of a webhook envelope that are never job fields
+const WEBHOOK_ENVELOPE_KEYS = ["event", "type", "action"];
+
+// The job a webhook payload carries: wrapped in data/job, or at the top level
+// without the envelope keys. null unless it's a job object with a UUID.
+function extractWebhookJob(payload) {
+  let job = payload.data ?? payload.job;
+  if (job === undefined) {
+    job = Object.fromEntries(
+      Object.entries(payload).filter(
+        ([key]) => !WEBHOOK_ENVELOPE_KEYS.includes(key)
+      )
+    );
+  }
+  if (Array.isArray(job)) job = job[0];
+
+  const isJobObject = !!job && typeof job === "object" && !Array.isArray(job);
+  return isJobObject && typeof job.UUID === "string" && job.UUID.trim()
+    ? job
+    : null;
+}
+
+// Constant-time comparison of the secret sent with a webhook call
+function isValidWebhookSecret(expected, provided) {
+  if (!expected || !provided) return false;
+  const expectedBuffer = Buffer.from(String(expected));
+  const providedBuffer = Buffer.from(String(provided));
+  return (
+    expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer)
+  );
 }
 
 // Global error handler
@@ -268,6 +1109,7 @@ async function connectToMongoDB() {
   try {
     const client = await MongoClient.connect(MONGODB_URI);
     db = client.db("workiz-sync");
+    configureWorkizRateLimitStore(db);
     console.log("Connected to MongoDB Atlas");
   } catch (error) {
     console.error("Error connecting to MongoDB:", error);
@@ -288,8 +1130,49 @@ async function ensureDbConnection() {
 app.post("/api/accounts", async (req, res) => {
   try {
     const db = await ensureDbConnection();
+    const { values: syncWindows, errors } = validateSyncWindowSettings(
+      req.body
+    );
+    const valueSourceError = validateConversionValueSource(
+      req.body.conversionValueSource
+    );
+    if (valueSourceError) errors.push(valueSourceError);
+    errors.push(...validateExportTemplate(req.body.exportTemplate));
+    errors.push(...validateSheetDestinations(req.body.sheetDestinations));
+    errors.push(...validateConversionRules(req.body.conversionRules));
+    const timeZoneError = validateTimeZone(req.body.timeZone);
+    if (timeZoneError) errors.push(timeZoneError);
+    const phoneCountryError = validatePhoneCountry(req.body.phoneCountry);
+    if (phoneCountryError) errors.push(phoneCountryError);
+    const exportModeError = validateExportMode(req.body.exportMode);
+    if (exportModeError) errors.push(exportModeError);
+    errors.push(...validateConversionNames(req.body.conversionNames));
+    errors.push(...validateCurrencySettings(req.body));
+    const exportScopeError = validateExportScope(req.body.exportScope);
+    if (exportScopeError) errors.push(exportScopeError);
+    if (errors.length === 0) errors.push(...validateEnhancedExport(req.body));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(", ") });
+    }
     const accountData = {
       ...req.body,
+      ...DEFAULT_SYNC_WINDOWS,
+      ...syncWindows,
+      conversionValueSource: req.body.conversionValueSource || "jobTotal",
+      timeZone: resolveTimeZone(req.body.timeZone) || DEFAULT_TIME_ZONE,
+      phoneCountry: req.body.phoneCountry || DEFAULT_PHONE_COUNTRY,
+      exportMode: req.body.exportMode || "standard",
+      exportScope: req.body.exportScope || "all",
+      currency: req.body.currency || DEFAULT_CURRENCY,
+      // null reports conversion values in the billing currency
+      reportingCurrency: req.body.reportingCurrency || null,
+      exportTemplate: req.body.exportTemplate
+        ? normalizeExportTemplate(req.body.exportTemplate)
+        : null,
+      sheetDestinations: normalizeSheetDestinations(req.body.sheetDestinations),
+      conversionRules: normalizeConversionRules(req.body.conversionRules),
+      conversionNames: normalizeConversionNames(req.body.conversionNames),
+      webhookSecret: req.body.webhookSecret || generateWebhookSecret(),
       syncEnabled: false, // Disabled by default - using Vercel cron jobs instead
       syncFrequency: req.body.syncFrequency ?? "daily",
       syncTime: req.body.syncTime ?? "09:00",
@@ -325,10 +1208,85 @@ app.put("/api/accounts/:id", async (req, res) => {
   try {
     const db = await ensureDbConnection();
     const { id, ...updateData } = req.body;
+    const existing = await db
+      .collection("accounts")
+      .findOne({ _id: new ObjectId(req.params.id) });
+    const { values: syncWindows, errors } = validateSyncWindowSettings(
+      updateData,
+      existing || {}
+    );
+    const valueSourceError = validateConversionValueSource(
+      updateData.conversionValueSource
+    );
+    if (valueSourceError) errors.push(valueSourceError);
+    errors.push(...validateExportTemplate(updateData.exportTemplate));
+    errors.push(...validateSheetDestinations(updateData.sheetDestinations));
+    errors.push(...validateConversionRules(updateData.conversionRules));
+    const timeZoneError = validateTimeZone(updateData.timeZone);
+    if (timeZoneError) errors.push(timeZoneError);
+    const phoneCountryError = validatePhoneCountry(updateData.phoneCountry);
+    if (phoneCountryError) errors.push(phoneCountryError);
+    const exportModeError = validateExportMode(updateData.exportMode);
+    if (exportModeError) errors.push(exportModeError);
+    errors.push(...validateConversionNames(updateData.conversionNames));
+    errors.push(...validateCurrencySettings(updateData));
+    const exportScopeError = validateExportScope(updateData.exportScope);
+    if (exportScopeError) errors.push(exportScopeError);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(", ") });
+    }
+
+    // Check the export layout as it will be saved, including fields the
+    // request leaves unchanged
+    if (
+      ["exportMode", "exportTemplate", "sheetDestinations"].some(
+        (key) => updateData[key] !== undefined
+      )
+    ) {
+      const enhancedErrors = validateEnhancedExport({
+        ...existing,
+        ...updateData,
+      });
+      if (enhancedErrors.length > 0) {
+        return res.status(400).json({ error: enhancedErrors.join(", ") });
+      }
+    }
+
     const updatePayload = {
       ...updateData,
+      ...syncWindows,
       updatedAt: new Date(),
     };
+    if (updateData.exportTemplate !== undefined) {
+      updatePayload.exportTemplate = normalizeExportTemplate(
+        updateData.exportTemplate
+      );
+    }
+    if (updateData.sheetDestinations !== undefined) {
+      updatePayload.sheetDestinations = normalizeSheetDestinations(
+        updateData.sheetDestinations
+      );
+    }
+    if (updateData.timeZone !== undefined) {
+      updatePayload.timeZone =
+        resolveTimeZone(updateData.timeZone) || DEFAULT_TIME_ZONE;
+    }
+    if (updateData.currency !== undefined) {
+      updatePayload.currency = updateData.currency || DEFAULT_CURRENCY;
+    }
+    if (updateData.reportingCurrency !== undefined) {
+      updatePayload.reportingCurrency = updateData.reportingCurrency || null;
+    }
+    if (updateData.conversionNames !== undefined) {
+      updatePayload.conversionNames = normalizeConversionNames(
+        updateData.conversionNames
+      );
+    }
+    if (updateData.conversionRules !== undefined) {
+      updatePayload.conversionRules = normalizeConversionRules(
+        updateData.conversionRules
+      );
+    }
 
     const result = await db
       .collection("accounts")
@@ -374,8 +1332,412 @@ app.delete("/api/accounts/:id", async (req, res) => {
   }
 });
 
-// Sync history endpoints
-app.post("/api/sync-history", async (req, res) => {
+// Column sources and computed expressions available to export templates
+app.get("/api/export-templates/options", (req, res) => {
+  res.json({
+    sources: COLUMN_SOURCES,
+    computed: Object.entries(COMPUTED_COLUMNS).map(([name, { label }]) => ({
+      name,
+      label,
+    })),
+    defaultTemplate: DEFAULT_EXPORT_TEMPLATE,
+    enhancedTemplate: ENHANCED_EXPORT_TEMPLATE,
+    exportModes: EXPORT_MODES,
+  });
+});
+
+// The account's Sheets export template (the default layout if it has none)
+app.get("/api/accounts/:id/export-template", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const account = await db
+      .collection("accounts")
+      .findOne({ _id: new ObjectId(req.params.id) });
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+    res.json({
+      template: getExportTemplate(account),
+      isDefault: !account.exportTemplate,
+    });
+  } catch (error) {
+    console.error("Error fetching export template:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace the account's export template. A body of { columns: null } or
+// an empty body resets it to the default layout.
+app.put("/api/accounts/:id/export-template", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const template = req.body?.columns ? req.body : null;
+    const errors = validateExportTemplate(template);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(", ") });
+    }
+
+    const account = await db
+      .collection("accounts")
+      .findOne({ _id: new ObjectId(req.params.id) });
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const exportTemplate = normalizeExportTemplate(template);
+    const enhancedErrors = validateEnhancedExport({
+      ...account,
+      exportTemplate,
+    });
+    if (enhancedErrors.length > 0) {
+      return res.status(400).json({ error: enhancedErrors.join(", ") });
+    }
+
+    await db
+      .collection("accounts")
+      .updateOne(
+        { _id: account._id },
+        { $set: { exportTemplate, updatedAt: new Date() } }
+      );
+
+    res.json({
+      template: getExportTemplate({ ...account, exportTemplate }),
+      isDefault: !exportTemplate,
+    });
+  } catch (error) {
+    console.error("Error updating export template:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The account's conversion value rules (the default rules if it has none)
+app.get("/api/accounts/:id/conversion-rules", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const account = await db
+      .collection("accounts")
+      .findOne({ _id: new ObjectId(req.params.id) });
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+    res.json({
+      rules: getConversionRules(account),
+      isDefault: !account.conversionRules?.length,
+      valueTypes: RULE_VALUE_TYPES,
+    });
+  } catch (error) {
+    console.error("Error fetching conversion rules:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Value the account's exportable jobs with its saved rules, or with draft
+// { rules } from the body before saving them, and show which rule fired for
+// each job. Nothing is written.
+app.post("/api/accounts/:id/conversion-rules/preview", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const account = await db
+      .collection("accounts")
+      .findOne({ _id: new ObjectId(req.params.id) });
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const draftRules = req.body?.rules;
+    const errors = validateConversionRules(draftRules);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(", ") });
+    }
+    // A body without rules previews the saved rules; null or [] the defaults
+    const rules =
+      draftRules === undefined
+        ? getConversionRules(account)
+        : normalizeConversionRules(draftRules) || DEFAULT_CONVERSION_RULES;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    const { filteredJobs } = await loadExportableJobs(db, account);
+    const {
+      exportJobs,
+      rejectedJobs,
+      heldJobs,
+      totalConversionValue,
+      currencyDetails,
+      ruleUsage,
+    } = await buildExportJobs(db, account, filteredJobs, rules);
+
+    console.log(
+      `🧮 Conversion rule preview for ${account.name}: ${exportJobs.length} jobs, total ${totalConversionValue}`
+    );
+
+    res.json({
+      rules,
+      timeZone: getAccountTimeZone(account),
+      totalJobs: exportJobs.length,
+      // Left out of the export for an unusable phone number
+      rejectedJobs: rejectedJobs.length,
+      totalConversionValue,
+      ...currencyDetails,
+      ruleUsage,
+      conversionNames: summarizeConversionNames(exportJobs),
+      sheetOverrides: summarizeSheetOverrides(exportJobs, heldJobs),
+      jobs: exportJobs
+        .slice(0, limit)
+        .map(
+          ({
+            job,
+            jobRevenue,
+            conversionName,
+            conversionValue,
+            rule,
+            override,
+          }) => ({
+            UUID: job.UUID,
+            JobDateTime: job.JobDateTime,
+            Status: job.Status,
+            SubStatus: job.SubStatus,
+            JobType: job.JobType,
+            JobSource: job.JobSource,
+            jobRevenue,
+            conversionName,
+            conversionValue,
+            rule,
+            // Set when the value was corrected in a sheet
+            overrideValue: override?.conversionValue ?? null,
+          })
+        ),
+    });
+  } catch (error) {
+    console.error("Error previewing conversion rules:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-job overrides read back from the account's sheets
+app.get("/api/accounts/:id/sheet-overrides", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const account = await db
+      .collection("accounts")
+      .findOne({ _id: new ObjectId(req.params.id) });
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+    const overrides = await db
+      .collection("sheetOverrides")
+      .find({ accountId: account._id }, { projection: { _id: 0 } })
+      .sort({ updatedAt: -1 })
+      .toArray();
+    res.json({ overrides });
+  } catch (error) {
+    console.error("Error fetching sheet overrides:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Drop a job's override. Jobs marked "do not upload" are no longer in the
+// sheet, so this is how they go back into the export.
+app.delete("/api/accounts/:id/sheet-overrides/:jobUUID", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const result = await RetryHandler.withRetry(async () => {
+      return await db.collection("sheetOverrides").deleteOne({
+        accountId: new ObjectId(req.params.id),
+        jobUUID: req.params.jobUUID,
+      });
+    });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: "Override not found" });
+    }
+    console.log(`🗑️ Cleared sheet override for job ${req.params.jobUUID}`);
+    res.json({ message: "Override cleared" });
+  } catch (error) {
+    console.error("Error clearing sheet override:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The account's export ledger, most recently sent first. Optional
+// ?destinationId= ("csv" for downloads), ?jobUUID= and ?limit= filters.
+app.get("/api/accounts/:id/export-ledger", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const accountId = new ObjectId(req.params.id);
+    const filter = { accountId };
+    if (req.query.destinationId) filter.destinationId = req.query.destinationId;
+    if (req.query.jobUUID) filter.jobUUID = req.query.jobUUID;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 200, 2000);
+
+    const [entries, total, destinations] = await Promise.all([
+      db
+        .collection("exportLedger")
+        .find(filter, { projection: { _id: 0, accountId: 0 } })
+        .sort({ lastExportedAt: -1 })
+        .limit(limit)
+        .toArray(),
+      db.collection("exportLedger").countDocuments(filter),
+      db.collection("exportLedger").distinct("destinationId", { accountId }),
+    ]);
+    res.json({ entries, total, destinations });
+  } catch (error) {
+    console.error("Error fetching export ledger:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create the account's spreadsheet: one tab per destination that writes to
+// the account's own sheet, each with its header row, shared with
+// { shareWith: [emails] }. The new id is saved as the account's
+// googleSheetsId.
+app.post("/api/accounts/:id/provision-sheet", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const account = await db
+      .collection("accounts")
+      .findOne({ _id: new ObjectId(req.params.id) });
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+    if (account.googleSheetsId) {
+      return res
+        .status(409)
+        .json({ error: "Account already has a Google Sheet" });
+    }
+
+    const errors = validateShareEmails(req.body?.shareWith);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(", ") });
+    }
+    const shareWith = normalizeShareEmails(req.body?.shareWith);
+
+    // Destinations with their own spreadsheet are left alone
+    const tabs = [];
+    for (const destination of getSheetDestinations(account)) {
+      if (destination.spreadsheetId) continue;
+      if (tabs.some((tab) => tab.sheetName === destination.sheetName)) continue;
+      tabs.push({
+        sheetName: destination.sheetName,
+        header: [...buildHeaderRow(destination.template), SHEET_KEY_HEADER],
+      });
+    }
+
+    const credentialsStr =
+      process.env.VITE_GOOGLE_SHEETS_CREDENTIALS ||
+      process.env.GOOGLE_SHEETS_CREDENTIALS;
+    if (!credentialsStr) {
+      return res.status(500).json({
+        error: "Google Sheets credentials not found in environment variables",
+      });
+    }
+    const auth = new google.auth.GoogleAuth({
+      credentials: JSON.parse(credentialsStr),
+      scopes: PROVISIONING_SCOPES,
+    });
+    const sheets = google.sheets({ version: "v4", auth });
+    const drive = google.drive({ version: "v3", auth });
+
+    const title =
+      String(req.body?.title || "").trim() || `${account.name} Conversions`;
+    // Not retried: a create that timed out may still have made a spreadsheet
+    const provisioned = await provisionSpreadsheet(sheets, drive, {
+      title,
+      tabs,
+      shareWith,
+    });
+
+    await RetryHandler.withRetry(async () => {
+      await db.collection("accounts").updateOne(
+        { _id: account._id },
+        {
+          $set: {
+            googleSheetsId: provisioned.spreadsheetId,
+            updatedAt: new Date(),
+          },
+        }
+      );
+    });
+
+    console.log(
+      `📄 Created spreadsheet "${title}" for ${account.name} (${tabs.length} tab(s), shared with ${provisioned.sharedWith.length})`
+    );
+    if (provisioned.shareErrors.length > 0) {
+      console.log(
+        `⚠️ Couldn't share with: ${provisioned.shareErrors
+          .map((failure) => `${failure.email} (${failure.error})`)
+          .join(", ")}`
+      );
+    }
+
+    res.json({
+      ...provisioned,
+      title,
+      tabs: tabs.map((tab) => tab.sheetName),
+    });
+  } catch (error) {
+    console.error("Error provisioning spreadsheet:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate (or rotate) the shared secret Workiz must send with webhook calls
+app.post("/api/accounts/:id/webhook-secret", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const webhookSecret = generateWebhookSecret();
+    const result = await db
+      .collection("accounts")
+      .updateOne(
+        { _id: new ObjectId(req.params.id) },
+        { $set: { webhookSecret, updatedAt: new Date() } }
+      );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    res.json({
+      webhookSecret,
+      webhookSecretHeader: WEBHOOK_SECRET_HEADER,
+      webhookUrl: `${req.protocol}://${req.get("host")}/api/webhooks/workiz/${
+        req.params.id
+      }`,
+    });
+  } catch (error) {
+    console.error("Error rotating webhook secret:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reset the incremental sync watermarks so the next job syncs are full resyncs
+app.post("/api/accounts/:id/reset-sync-watermark", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const result = await db.collection("accounts").updateOne(
+      { _id: new ObjectId(req.params.id) },
+      {
+        $unset: Object.fromEntries(
+          Object.values(SYNC_WATERMARK_FIELDS).map((field) => [field, ""])
+        ),
+        $set: { updatedAt: new Date() },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    console.log(`🔄 Sync watermark reset for account ${req.params.id}`);
+    res.json({
+      message: "Sync watermark reset - next sync will be a full resync",
+    });
+  } catch (error) {
+    console.error("Error resetting sync watermark:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sync history endpoints
+app.post("/api/sync-history", async (req, res) => {
   try {
     const db = await ensureDbConnection();
     const syncHistoryData = {
@@ -428,7 +1790,7 @@ app.get("/api/jobs", async (req, res) => {
     const db = await ensureDbConnection();
     const jobs = await db
       .collection("jobs")
-      .find()
+      .find(ACTIVE_JOB_FILTER)
       .sort({ JobDateTime: -1 })
       .toArray();
     res.json(jobs);
@@ -438,6 +1800,339 @@ app.get("/api/jobs", async (req, res) => {
   }
 });
 
+// Change history for a single job, oldest first, with its status timeline.
+// Optional ?limit= caps the number of entries (most recent kept).
+app.get("/api/jobs/:uuid/history", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const { uuid } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+
+    const entries = await db
+      .collection("jobHistory")
+      .find({ UUID: uuid })
+      .sort({ changedAt: -1 })
+      .limit(limit)
+      .toArray();
+    entries.reverse();
+
+    const job = await db.collection("jobs").findOne({ UUID: uuid });
+    if (!job && entries.length === 0) {
+      return res.status(404).json({ error: "No job or history found" });
+    }
+
+    res.json({
+      UUID: uuid,
+      currentStatus: job?.Status ?? null,
+      deletedAt: job?.deletedAt ?? null,
+      statusTimeline: buildStatusTimeline(entries),
+      history: entries,
+    });
+  } catch (error) {
+    console.error("Error fetching job history:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tombstoned jobs, newest first. Optional ?accountId= and ?reason= filters.
+app.get("/api/jobs/deleted", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const filter = { deletedAt: { $exists: true } };
+    if (req.query.accountId) {
+      filter.accountId = ObjectId.isValid(req.query.accountId)
+        ? new ObjectId(req.query.accountId)
+        : req.query.accountId;
+    }
+    if (req.query.reason) {
+      filter.deletedReason = req.query.reason;
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+
+    const jobs = await db
+      .collection("jobs")
+      .find(filter)
+      .sort({ deletedAt: -1 })
+      .limit(limit)
+      .toArray();
+    res.json(jobs);
+  } catch (error) {
+    console.error("Error fetching deleted jobs:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore a tombstoned job so it shows up in syncs and exports again
+app.post("/api/jobs/:uuid/restore", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const job = await restoreJob(db, req.params.uuid, { source: "manual" });
+    if (!job) {
+      return res.status(404).json({ error: "No tombstoned job found" });
+    }
+    res.json({ message: `Job ${req.params.uuid} restored`, job });
+  } catch (error) {
+    console.error("Error restoring job:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revenue by line item, service (job type) or job source across accounts.
+// Query: ?accountIds=a,b&startDate=&endDate=&status=Done,Paid&groupBy=item
+app.get("/api/reports/line-item-revenue", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const groupBy = req.query.groupBy || "item";
+    if (!LINE_ITEM_GROUPS[groupBy]) {
+      return res.status(400).json({
+        error: `Invalid groupBy: ${groupBy}`,
+        validGroups: Object.keys(LINE_ITEM_GROUPS),
+      });
+    }
+
+    const parseList = (value) =>
+      value
+        ? String(value)
+            .split(",")
+            .map((v) => v.trim())
+            .filter(Boolean)
+        : [];
+    const accountIds = parseList(req.query.accountIds).map((id) =>
+      ObjectId.isValid(id) ? new ObjectId(id) : id
+    );
+
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : null;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+    if (
+      (startDate && Number.isNaN(startDate.getTime())) ||
+      (endDate && Number.isNaN(endDate.getTime()))
+    ) {
+      return res.status(400).json({ error: "Invalid startDate or endDate" });
+    }
+
+    const rows = await db
+      .collection("lineItems")
+      .aggregate(
+        buildLineItemRevenuePipeline({
+          accountIds,
+          startDate,
+          endDate,
+          statuses: parseList(req.query.status),
+          groupBy,
+        })
+      )
+      .toArray();
+
+    res.json({
+      groupBy,
+      startDate,
+      endDate,
+      totals: {
+        revenue: rows.reduce((sum, row) => sum + row.revenue, 0),
+        cost: rows.reduce((sum, row) => sum + row.cost, 0),
+        lineItems: rows.reduce((sum, row) => sum + row.lineItems, 0),
+      },
+      rows,
+    });
+  } catch (error) {
+    console.error("Error building line item revenue report:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Data-quality report: exportable jobs whose phone number can't be
+// normalized to E.164 and are therefore left out of conversion exports
+app.get("/api/reports/phone-quality", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const accountIds = String(req.query.accountIds || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter((id) => ObjectId.isValid(id))
+      .map((id) => new ObjectId(id));
+    const accounts = await db
+      .collection("accounts")
+      .find(accountIds.length > 0 ? { _id: { $in: accountIds } } : {})
+      .toArray();
+
+    const report = [];
+    for (const account of accounts) {
+      const phoneCountry = getAccountPhoneCountry(account);
+      const { filteredJobs } = await loadExportableJobs(db, account);
+
+      let fromSecondPhone = 0;
+      const flagged = [];
+      for (const job of filteredJobs) {
+        const phone = getJobPhone(job, phoneCountry);
+        if (phone.field === "SecondPhone") fromSecondPhone++;
+        if (!phone.e164) {
+          flagged.push({
+            UUID: job.UUID,
+            JobDateTime: job.JobDateTime,
+            Status: job.Status,
+            JobSource: job.JobSource,
+            ClientName: [job.FirstName, job.LastName].filter(Boolean).join(" "),
+            Phone: job.Phone || null,
+            PhoneExt: job.PhoneExt || null,
+            SecondPhone: job.SecondPhone || null,
+            error: phone.error,
+          });
+        }
+      }
+
+      report.push({
+        accountId: account._id.toString(),
+        accountName: account.name,
+        phoneCountry,
+        totalJobs: filteredJobs.length,
+        valid: filteredJobs.length - flagged.length,
+        fromSecondPhone,
+        rejected: flagged.length,
+        jobs: flagged,
+      });
+    }
+
+    console.log(
+      `📞 Phone quality report: ${report.reduce(
+        (sum, entry) => sum + entry.rejected,
+        0
+      )} jobs flagged across ${report.length} account(s)`
+    );
+    res.json({ accounts: report });
+  } catch (error) {
+    console.error("Error building phone quality report:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stored exchange rates (units per US dollar) used for reporting-currency
+// conversion
+app.get("/api/exchange-rates", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const rates = await db
+      .collection("exchangeRates")
+      .find({}, { projection: { _id: 0 } })
+      .sort({ currency: 1 })
+      .toArray();
+    res.json({ base: "USD", rates });
+  } catch (error) {
+    console.error("Error fetching exchange rates:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Refresh the stored exchange rates from the rates provider, or store the
+// rates given in the body ({ rates: { CAD: 1.36, ... } }, units per USD)
+app.post("/api/exchange-rates/refresh", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+
+    let rates;
+    let source;
+    if (req.body?.rates !== undefined) {
+      const parsed = parseRates(req.body.rates);
+      if (parsed.errors.length > 0) {
+        return res.status(400).json({ error: parsed.errors.join(", ") });
+      }
+      rates = parsed.rates;
+      source = "manual";
+    } else {
+      source = process.env.EXCHANGE_RATES_URL || DEFAULT_EXCHANGE_RATES_URL;
+      const body = await RetryHandler.withRetry(
+        async () => {
+          const response = await APIManager.fetchWithTimeout(source);
+          if (!response.ok) {
+            throw new Error(
+              `Exchange rates provider returned ${response.status}`
+            );
+          }
+          return await response.json();
+        },
+        3,
+        1000
+      );
+      // Providers list currencies Intl doesn't know; those are skipped
+      rates = parseRates(body?.rates).rates;
+    }
+
+    const currencies = Object.keys(rates);
+    if (currencies.length === 0) {
+      return res.status(400).json({ error: "No exchange rates to store" });
+    }
+
+    const updatedAt = new Date();
+    await RetryHandler.withRetry(
+      async () => {
+        await db.collection("exchangeRates").bulkWrite(
+          currencies.map((currency) => ({
+            updateOne: {
+              filter: { currency },
+              update: {
+                $set: { currency, perUsd: rates[currency], updatedAt, source },
+              },
+              upsert: true,
+            },
+          }))
+        );
+      },
+      3,
+      1000
+    );
+
+    console.log(
+      `💱 Stored ${currencies.length} exchange rate(s) from ${source}`
+    );
+    res.json({ updated: currencies.length, updatedAt, source });
+  } catch (error) {
+    console.error("Error refreshing exchange rates:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rebuild an account's lineItems from the jobs already stored in Mongo
+// (backfill for jobs synced before line items were normalized)
+app.post("/api/line-items/rebuild/:accountId", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const { accountId } = req.params;
+    const account = await db.collection("accounts").findOne({
+      _id: new ObjectId(accountId),
+    });
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const jobs = await db
+      .collection("jobs")
+      .find({ accountId: account._id, ...ACTIVE_JOB_FILTER })
+      .toArray();
+
+    let lineItemsWritten = 0;
+    for (let i = 0; i < jobs.length; i += 500) {
+      lineItemsWritten += await syncJobLineItems(
+        db,
+        jobs.slice(i, i + 500),
+        account._id
+      );
+    }
+
+    console.log(
+      `✅ Rebuilt line items for ${account.name}: ${lineItemsWritten} items from ${jobs.length} jobs`
+    );
+    res.json({
+      message: "Line items rebuilt",
+      jobsProcessed: jobs.length,
+      lineItemsWritten,
+    });
+  } catch (error) {
+    console.error("Error rebuilding line items:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Sync jobs from Workiz and save to MongoDB
 app.post("/api/sync-jobs/:accountId", async (req, res) => {
   const accountStartTime = Date.now();
@@ -461,57 +2156,37 @@ app.post("/api/sync-jobs/:accountId", async (req, res) => {
         .json({ error: "Missing API token for this account" });
     }
 
-    // Fetch jobs from Workiz API using the token from the account
-    const workizUrl = `https://api.workiz.com/api/v1/${account.workizApiToken}/job/all/?start_date=2025-01-01&offset=0&records=100&only_open=false`;
-
-    const response = await RetryHandler.withRetry(
-      async () => {
-        const resp = await APIManager.fetchWithTimeout(workizUrl, {}, 45000);
-
-        if (!resp.ok) {
-          const errorText = await resp.text();
-          console.log(`❌ Workiz API error: ${resp.status} - ${errorText}`);
-
-          // Check if response is HTML (520 error page)
-          if (
-            errorText.includes('<div class="text-container">') ||
-            errorText.includes("Oops!") ||
-            errorText.includes("Something went wrong")
-          ) {
-            console.log(
-              `🚨 Detected HTML error page from Workiz API (likely 520 error)`
-            );
-            throw new Error(
-              `Workiz API 520 error - server is experiencing issues`
-            );
-          }
-
-          throw new Error(`Workiz API error: ${resp.status} - ${errorText}`);
-        }
-
-        return resp;
-      },
-      5,
-      2000,
-      workizCircuitBreaker
-    ); // 5 retries, 2s base delay, with circuit breaker
-
-    const data = await response.json();
-
-    if (!data.flag || !Array.isArray(data.data)) {
-      return res
-        .status(500)
-        .json({ error: "Invalid response from Workiz API" });
-    }
+    const syncWindows = getAccountSyncWindows(account);
+
+    // Incremental sync: the whole lookback window is fetched (start_date
+    // filters on JobDateTime), but only jobs changed since the last
+    // successful full run are upserted
+    const watermarkField = getSyncWatermarkField(false);
+    const watermarkBefore = account[watermarkField] || null;
+
+    // Fetch every page of jobs from Workiz using the token from the account
+    const workiz = WorkizClient.forAccount(account, {
+      timeout: 45000,
+      maxRetries: 5,
+      retryDelay: 2000,
+    }); // 5 retries per page, 2s base delay, with circuit breaker
+    const {
+      jobs: workizJobs,
+      pages,
+      truncated,
+    } = await workiz.listAllJobs({
+      startDate: syncWindows.fetchStartDate,
+      onlyOpen: false,
+    });
 
     // Filter jobs by sourceFilter if configured
-    let filteredJobs = data.data;
+    let filteredJobs = workizJobs;
     if (
       account.sourceFilter &&
       Array.isArray(account.sourceFilter) &&
       account.sourceFilter.length > 0
     ) {
-      filteredJobs = data.data.filter((job) =>
+      filteredJobs = workizJobs.filter((job) =>
         account.sourceFilter.includes(job.JobSource)
       );
     }
@@ -522,15 +2197,27 @@ app.post("/api/sync-jobs/:accountId", async (req, res) => {
           account.name || "Unknown"
         }`,
         details: {
-          jobsFromWorkiz: data.data.length,
+          jobsFromWorkiz: workizJobs.length,
           filteredJobs: 0,
           sourceFilter: account.sourceFilter,
+          workizPages: pages.length,
         },
       });
     }
 
-    // Add accountId to each filtered job
-    const jobs = filteredJobs.map((job) => ({
+    const changedJobs = filterJobsChangedSince(filteredJobs, watermarkBefore);
+    if (watermarkBefore) {
+      console.log(
+        `⏩ Incremental sync since ${new Date(
+          watermarkBefore
+        ).toISOString()}: ${changedJobs.length}/${
+          filteredJobs.length
+        } jobs changed`
+      );
+    }
+
+    // Add accountId to each changed job
+    const jobs = changedJobs.map((job) => ({
       ...job,
       accountId: account._id || account.id,
     }));
@@ -540,45 +2227,59 @@ app.post("/api/sync-jobs/:accountId", async (req, res) => {
       UUID: { $in: jobs.map((job) => job.UUID) },
     });
 
+    // Record field-level changes before the upsert overwrites them
+    const historyEntries = await recordJobChanges(db, jobs, {
+      accountId: account._id || account.id,
+      source: "sync_jobs",
+    });
+
     // Upsert jobs into MongoDB
     const bulkOps = jobs.map((job) => ({
       updateOne: {
         filter: { UUID: job.UUID },
-        update: { $set: job },
+        update: { $set: job, $unset: ACTIVE_JOB_UNSET },
         upsert: true,
       },
     }));
 
     if (bulkOps.length > 0) {
       const bulkResult = await db.collection("jobs").bulkWrite(bulkOps);
+      await syncJobLineItems(db, jobs, account._id || account.id);
     }
 
-    // Get all existing jobs for this account
+    // Get all active jobs for this account
     const existingJobs = await db
       .collection("jobs")
-      .find({ accountId: account._id || account.id })
+      .find({ accountId: account._id || account.id, ...ACTIVE_JOB_FILTER })
       .toArray();
 
-    // Calculate 32-day cutoff date (standardized with cron job)
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - 32);
-
-    // Clean up old jobs (older than 32 days)
-    console.log(`🧹 Cleaning up old jobs (older than 32 days)...`);
-
-    const deleteResult = await db.collection("jobs").deleteMany({
-      accountId: account._id,
-      JobDateTime: { $lt: cutoffDate.toISOString() },
-    });
-
+    // Tombstone jobs outside the account's retention window
     console.log(
-      `📊 Cleanup completed: ${deleteResult.deletedCount} old jobs deleted`
+      `🧹 Cleaning up old jobs (older than ${syncWindows.retentionDays} days)...`
+    );
+
+    const jobsTombstoned = await tombstoneJobsWhere(
+      db,
+      {
+        accountId: account._id,
+        JobDateTime: { $lt: syncWindows.retentionCutoff.toISOString() },
+      },
+      "retention",
+      { accountId: account._id, source: "sync_jobs" }
     );
 
+    console.log(`📊 Cleanup completed: ${jobsTombstoned} old jobs tombstoned`);
+
     // Get final job count after sync and cleanup
-    const finalJobCount = await db
-      .collection("jobs")
-      .countDocuments({ accountId: account._id || account.id });
+    const finalJobCount = await db.collection("jobs").countDocuments({
+      accountId: account._id || account.id,
+      ...ACTIVE_JOB_FILTER,
+    });
+
+    // Advance the watermark unless pagination stopped early and jobs were missed
+    const watermarkAfter = truncated
+      ? watermarkBefore
+      : computeSyncWatermark(workizJobs, watermarkBefore);
 
     // Record sync history
     const syncHistoryRecord = {
@@ -588,21 +2289,34 @@ app.post("/api/sync-jobs/:accountId", async (req, res) => {
       timestamp: new Date(),
       duration: Date.now() - accountStartTime,
       details: {
-        jobsFromWorkiz: data.data.length,
-        filteredJobs: jobs.length,
+        jobsFromWorkiz: workizJobs.length,
+        filteredJobs: filteredJobs.length,
+        jobsUpserted: jobs.length,
+        jobsSkippedUnchanged: filteredJobs.length - jobs.length,
+        jobHistoryEntries: historyEntries,
+        incremental: !!watermarkBefore,
+        watermarkField,
+        watermarkBefore,
+        watermarkAfter,
         existingJobsFound: existingJobs.length,
         finalJobCount: finalJobCount,
-        jobsDeleted: deleteResult.deletedCount,
+        jobsDeleted: jobsTombstoned,
         syncMethod: "manual_standardized",
         sourceFilter: account.sourceFilter,
+        syncWindows,
+        workizPages: pages.length,
+        workizFound: pages[0]?.found ?? null,
+        paginationTruncated: truncated,
+        pages,
         jobStatusBreakdown: {
-          submitted: jobs.filter((j) => j.Status === "Submitted").length,
-          pending: jobs.filter((j) => j.Status === "Pending").length,
-          completed: jobs.filter(
+          submitted: filteredJobs.filter((j) => j.Status === "Submitted")
+            .length,
+          pending: filteredJobs.filter((j) => j.Status === "Pending").length,
+          completed: filteredJobs.filter(
             (j) =>
               j.Status === "Completed" || j.Status === "done pending approval"
           ).length,
-          cancelled: jobs.filter((j) =>
+          cancelled: filteredJobs.filter((j) =>
             ["Cancelled", "Canceled", "cancelled", "CANCELLED"].includes(
               j.Status
             )
@@ -615,14 +2329,17 @@ app.post("/api/sync-jobs/:accountId", async (req, res) => {
       await db.collection("syncHistory").insertOne(syncHistoryRecord);
     });
 
-    // Update account's lastSyncDate
+    // Update account's lastSyncDate and incremental sync watermark
     await RetryHandler.withRetry(async () => {
-      await db
-        .collection("accounts")
-        .updateOne(
-          { _id: account._id || new ObjectId(account.id) },
-          { $set: { lastSyncDate: new Date() } }
-        );
+      await db.collection("accounts").updateOne(
+        { _id: account._id || new ObjectId(account.id) },
+        {
+          $set: {
+            lastSyncDate: new Date(),
+            [watermarkField]: watermarkAfter,
+          },
+        }
+      );
     });
 
     res.json({
@@ -630,12 +2347,17 @@ app.post("/api/sync-jobs/:accountId", async (req, res) => {
         account.name || "Unknown"
       }`,
       details: {
-        jobsFromWorkiz: data.data.length,
-        filteredJobs: jobs.length,
+        jobsFromWorkiz: workizJobs.length,
+        filteredJobs: filteredJobs.length,
+        jobsUpserted: jobs.length,
+        incremental: !!watermarkBefore,
+        syncWatermark: watermarkAfter,
         existingJobsFound: existingJobs.length,
         finalJobCount: finalJobCount,
-        jobsDeleted: deleteResult.deletedCount,
+        jobsDeleted: jobsTombstoned,
         sourceFilter: account.sourceFilter,
+        workizPages: pages.length,
+        paginationTruncated: truncated,
       },
     });
   } catch (error) {
@@ -669,6 +2391,7 @@ app.post("/api/sync-jobs/:accountId", async (req, res) => {
           timestamp: new Date(),
           duration: Date.now() - accountStartTime,
           errorMessage: error.message,
+          errorType: error.name,
           details: {},
         };
         await db.collection("syncHistory").insertOne(syncHistoryRecord);
@@ -680,6 +2403,257 @@ app.post("/api/sync-jobs/:accountId", async (req, res) => {
       }
     }
 
+    if (error instanceof WorkizRateLimitError) {
+      return res
+        .status(429)
+        .json({ error: error.message, retryAfter: error.retryAfter });
+    }
+
+    res
+      .status(error instanceof WorkizServerError ? 502 : 500)
+      .json({ error: error.message });
+  }
+});
+
+// Workiz webhook receiver for job created/updated/status-changed events.
+// The account's webhookSecret must be sent in the X-Webhook-Secret header
+// (or, as a fallback, ?secret=).
+app.post("/api/webhooks/workiz/:accountId", async (req, res) => {
+  const webhookStartTime = Date.now();
+  const { accountId } = req.params;
+  const payload =
+    req.body && typeof req.body === "object" && !Array.isArray(req.body)
+      ? req.body
+      : {};
+  const event =
+    payload.event ||
+    payload.type ||
+    payload.action ||
+    req.get("X-Workiz-Event") ||
+    "job.updated";
+
+  let db;
+  let account;
+  try {
+    db = await ensureDbConnection();
+
+    if (!ObjectId.isValid(accountId)) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    account = await db
+      .collection("accounts")
+      .findOne({ _id: new ObjectId(accountId) });
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const providedSecret = req.get(WEBHOOK_SECRET_HEADER) || req.query.secret;
+    if (!isValidWebhookSecret(account.webhookSecret, providedSecret)) {
+      console.log(
+        `❌ Rejected Workiz webhook for ${account.name}: invalid secret`
+      );
+      return res.status(401).json({ error: "Invalid webhook secret" });
+    }
+
+    let job = extractWebhookJob(payload);
+    if (!job) {
+      return res.status(400).json({ error: "Webhook payload has no job UUID" });
+    }
+
+    // Status-change events can be partial - fetch the full job when needed
+    let fetchedFromWorkiz = false;
+    if (!job.JobSource || !job.JobDateTime) {
+      const fullJob = await WorkizClient.forAccount(account).getJob(job.UUID);
+      if (fullJob) {
+        job = { ...fullJob, ...job };
+        fetchedFromWorkiz = true;
+      }
+    }
+
+    // Apply the same sourceFilter rules as /api/sync-jobs
+    const matchesSourceFilter =
+      !account.sourceFilter ||
+      !Array.isArray(account.sourceFilter) ||
+      account.sourceFilter.length === 0 ||
+      account.sourceFilter.includes(job.JobSource);
+
+    let upsertResult = null;
+    if (matchesSourceFilter) {
+      await recordJobChanges(db, [job], {
+        accountId: account._id,
+        source: "webhook",
+      });
+      upsertResult = await RetryHandler.withRetry(async () => {
+        return await db.collection("jobs").updateOne(
+          { UUID: job.UUID },
+          {
+            $set: {
+              ...job,
+              accountId: account._id,
+              lastUpdated: new Date(),
+              lastWebhookEvent: event,
+            },
+            $unset: ACTIVE_JOB_UNSET,
+          },
+          { upsert: true }
+        );
+      });
+      await syncJobLineItems(db, [job], account._id);
+    }
+
+    const details = {
+      event,
+      UUID: job.UUID,
+      Status: job.Status,
+      JobSource: job.JobSource,
+      sourceFilter: account.sourceFilter,
+      matchedSourceFilter: matchesSourceFilter,
+      fetchedFromWorkiz,
+      jobInserted: !!upsertResult?.upsertedCount,
+      jobUpdated: !!upsertResult?.modifiedCount,
+      syncMethod: "webhook",
+    };
+
+    await RetryHandler.withRetry(async () => {
+      await db.collection("syncHistory").insertOne({
+        accountId: account._id,
+        syncType: "webhook",
+        status: matchesSourceFilter ? "success" : "ignored",
+        timestamp: new Date(),
+        duration: Date.now() - webhookStartTime,
+        details,
+      });
+    });
+
+    console.log(
+      `🔔 Workiz webhook ${event} for ${account.name}: job ${job.UUID} ${
+        matchesSourceFilter ? "upserted" : "ignored (sourceFilter)"
+      }`
+    );
+
+    res.json({
+      message: matchesSourceFilter
+        ? `Job ${job.UUID} upserted`
+        : `Job ${job.UUID} ignored - JobSource not in sourceFilter`,
+      details,
+    });
+  } catch (error) {
+    console.error(`❌ Workiz webhook error: ${error.message}`);
+
+    if (account) {
+      try {
+        await db.collection("syncHistory").insertOne({
+          accountId: account._id,
+          syncType: "webhook",
+          status: "error",
+          timestamp: new Date(),
+          duration: Date.now() - webhookStartTime,
+          errorMessage: error.message,
+          details: { event, UUID: payload.UUID || payload.data?.UUID },
+        });
+      } catch (historyError) {
+        console.log(
+          `❌ Failed to record sync history: ${historyError.message}`
+        );
+      }
+    }
+
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sync Workiz leads/clients/payments for one account and record a syncHistory
+// entry. Each entity type is fetched independently so one failing endpoint
+// doesn't block the others.
+async function syncAccountEntities(db, account, types, syncMethod) {
+  const startTime = Date.now();
+  const syncWindows = getAccountSyncWindows(account);
+  const workiz = WorkizClient.forAccount(account, {
+    timeout: 45000,
+    maxRetries: 5,
+    retryDelay: 2000,
+  });
+
+  const entities = {};
+  const errors = [];
+  for (const type of types) {
+    try {
+      entities[type] = await syncWorkizEntity(db, workiz, account, type, {
+        startDate: syncWindows.fetchStartDate,
+      });
+    } catch (error) {
+      console.log(`❌ ${account.name} ${type} sync failed: ${error.message}`);
+      entities[type] = { error: error.message, errorType: error.name };
+      errors.push(`${type}: ${error.message}`);
+    }
+  }
+
+  const status = errors.length === types.length ? "error" : "success";
+  await RetryHandler.withRetry(async () => {
+    await db.collection("syncHistory").insertOne({
+      accountId: account._id || account.id,
+      syncType: "entities",
+      status,
+      timestamp: new Date(),
+      duration: Date.now() - startTime,
+      errorMessage: errors.length > 0 ? errors.join("; ") : undefined,
+      details: {
+        syncMethod,
+        entityTypes: types,
+        entities,
+        syncWindows,
+      },
+    });
+  });
+
+  return { status, entities, errors, duration: Date.now() - startTime };
+}
+
+// Sync Workiz leads, clients and payments into their own collections.
+// Optional body { entities: ["leads", "payments"] } limits the entity types.
+app.post("/api/sync-entities/:accountId", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const { accountId } = req.params;
+
+    const { types, invalid } = parseEntityTypes(req.body?.entities);
+    if (invalid.length > 0 || types.length === 0) {
+      return res.status(400).json({
+        error: `entities must be a subset of ${WORKIZ_ENTITY_TYPES.join(", ")}`,
+      });
+    }
+
+    // Find account by ID - try both id and _id fields
+    const account = await db.collection("accounts").findOne({
+      $or: [{ _id: new ObjectId(accountId) }, { id: accountId }],
+    });
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    if (!account.workizApiToken) {
+      return res
+        .status(400)
+        .json({ error: "Missing API token for this account" });
+    }
+
+    const result = await syncAccountEntities(db, account, types, "manual");
+    if (result.status === "error") {
+      return res.status(502).json({
+        error: "Failed to sync Workiz entities",
+        details: result,
+      });
+    }
+
+    res.json({
+      message: `Synced ${types.join(", ")} for account ${account.name}`,
+      details: result,
+    });
+  } catch (error) {
+    console.log(`❌ Entity sync error: ${error.message}`);
     res.status(500).json({ error: error.message });
   }
 });
@@ -710,59 +2684,32 @@ app.post("/api/sync-to-sheets/:accountId", async (req, res) => {
       `💰 Default conversion value: ${account.defaultConversionValue}`
     );
 
-    if (!account.googleSheetsId) {
+    if (!hasExportSpreadsheets(account)) {
       console.log(`❌ Missing Google Sheet ID for account: ${account.name}`);
-      return res
-        .status(400)
-        .json({ error: "Missing Google Sheet ID for this account" });
+      return res.status(400).json({
+        error:
+          "Missing Google Sheet ID for this account or one of its destinations",
+      });
     }
 
-    console.log(`📄 Google Sheet ID: ${account.googleSheetsId}`);
-
-    // Get all jobs for this account
-    const allJobs = await db
-      .collection("jobs")
-      .find({ accountId: account._id || account.id })
-      .toArray();
+    if (account.googleSheetsId) {
+      console.log(`📄 Google Sheet ID: ${account.googleSheetsId}`);
+    }
 
-    console.log(`📊 Found ${allJobs.length} total jobs for account`);
+    // Active jobs matching the sourceFilter inside the export window
+    const { allJobs, filteredJobs, syncWindows } = await loadExportableJobs(
+      db,
+      account
+    );
 
-    // Filter jobs by sourceFilter
-    let filteredJobs = allJobs;
-    if (
-      account.sourceFilter &&
-      Array.isArray(account.sourceFilter) &&
-      account.sourceFilter.length > 0
-    ) {
-      filteredJobs = allJobs.filter((job) =>
-        account.sourceFilter.includes(job.JobSource)
-      );
-      console.log(
-        `🔍 Filtered jobs by sourceFilter: ${allJobs.length} → ${filteredJobs.length} jobs`
-      );
-      console.log(
-        `📋 Job sources found: ${[
-          ...new Set(filteredJobs.map((job) => job.JobSource)),
-        ].join(", ")}`
-      );
-    } else {
+    // No matching jobs still syncs, so rows of jobs that left the window are
+    // removed
+    if (filteredJobs.length === 0) {
       console.log(
-        `⚠️ No sourceFilter configured, using all ${allJobs.length} jobs`
+        `⚠️ No jobs match the sourceFilter criteria, clearing exported rows`
       );
     }
 
-    if (filteredJobs.length === 0) {
-      console.log(`⚠️ No jobs match the sourceFilter criteria`);
-      return res.json({
-        message: `No jobs to sync for account ${account.name}`,
-        details: {
-          totalJobs: allJobs.length,
-          filteredJobs: 0,
-          sourceFilter: account.sourceFilter,
-        },
-      });
-    }
-
     // Parse Google Sheets credentials
     let credentials;
     try {
@@ -796,114 +2743,57 @@ app.post("/api/sync-to-sheets/:accountId", async (req, res) => {
     const sheets = google.sheets({ version: "v4", auth });
     console.log(`🔐 Google Sheets client initialized`);
 
-    // Clear the sheet first (skip header row)
-    console.log(`🧹 Clearing existing data from sheet (preserving headers)...`);
-    try {
-      await RetryHandler.withRetry(
-        async () => {
-          await sheets.spreadsheets.values.clear({
-            spreadsheetId: account.googleSheetsId,
-            range: "Sheet1!A2:F", // Start from row 2 to preserve headers
-          });
-        },
-        3,
-        1000,
-        sheetsCircuitBreaker
-      );
-      console.log(`✅ Sheet cleared successfully (headers preserved)`);
-    } catch (error) {
-      console.log(`❌ Error clearing sheet: ${error.message}`);
-      return res.status(500).json({
-        error: "Failed to clear Google Sheet",
-        details: error.message,
-      });
-    }
-
-    // Prepare data for Google Sheets
-    console.log(
-      `📝 Preparing ${filteredJobs.length} jobs for Google Sheets...`
+    // Manual edits in override columns are saved before rows are rebuilt
+    const sheetEdits = await readSheetOverrides(db, sheets, account);
+
+    // Conversion values and formatted times for every exported job
+    const {
+      exportJobs,
+      rejectedJobs,
+      heldJobs,
+      paymentTotals,
+      totalConversionValue,
+      currencyDetails,
+      ruleUsage,
+    } = await buildExportJobs(db, account, filteredJobs);
+
+    console.log(`📊 Prepared ${exportJobs.length} jobs for Google Sheets`);
+
+    // Write each destination's changed rows; destinations fail independently
+    const destinations = await writeSheetDestinations(
+      db,
+      sheets,
+      account,
+      exportJobs,
+      sheetEdits.failed
     );
-    const values = filteredJobs.map((job, index) => {
-      const formattedTime =
-        formatInTimeZone(
-          new Date(job.JobDateTime),
-          "America/Los_Angeles",
-          "yyyy-MM-dd'T'HH:mm:ss"
-        ) + " America/Los_Angeles";
-
-      if (index < 3) {
-        console.log(
-          `📋 Sample job ${index + 1}: ${job.Phone} | ${formattedTime} | ${
-            job.JobSource
-          }`
-        );
-      }
-
-      // New conversion value logic
-      let conversionValue = account.defaultConversionValue || 0;
-
-      // If JobTotalPrice has a value and is not 0, use it
-      if (job.JobTotalPrice && job.JobTotalPrice !== 0) {
-        conversionValue = job.JobTotalPrice;
-      }
-
-      // If Status is cancelled (case-insensitive), set to 0
-      if (
-        job.Status &&
-        ["Cancelled", "Canceled", "cancelled", "CANCELLED"].includes(job.Status)
-      ) {
-        conversionValue = 0;
-      }
-
-      return [
-        job.Phone || "", // Caller's Phone Number
-        formattedTime, // Call Start Time
-        "Google Ads Convert", // Conversion Name
-        "", // Conversion Time (blank)
-        conversionValue, // Conversion Value
-        "USD", // Conversion Currency
-      ];
-    });
-
-    console.log(`📊 Prepared ${values.length} rows for Google Sheets`);
-
-    // Add to Google Sheet (starting from row 2 to preserve headers)
-    console.log(`📤 Adding data to Google Sheet (starting from row 2)...`);
-    const response = await RetryHandler.withRetry(
-      async () => {
-        return await sheets.spreadsheets.values.append({
-          spreadsheetId: account.googleSheetsId,
-          range: "Sheet1!A2:F", // Start from row 2 to preserve headers
-          valueInputOption: "USER_ENTERED",
-          requestBody: {
-            values,
-          },
-        });
-      },
-      3,
-      1000,
-      sheetsCircuitBreaker
+    const sheetTotals = summarizeDestinations(destinations);
+    console.log(
+      `📈 Rows changed: ${sheetTotals.rowsChanged} across ${destinations.length} destination(s), ${sheetTotals.failed} failed`
     );
 
-    console.log(`✅ Google Sheets sync completed successfully`);
-    console.log(`📈 Updated rows: ${response.data.updates?.updatedRows || 0}`);
-
     // Record sync history
     const syncHistoryRecord = {
       accountId: account._id || account.id,
       syncType: "sheets",
-      status: "success",
+      status: sheetTotals.errorMessage ? "error" : "success",
+      ...(sheetTotals.errorMessage && {
+        errorMessage: sheetTotals.errorMessage,
+      }),
       timestamp: new Date(),
       duration: Date.now() - accountStartTime,
       details: {
         totalJobs: allJobs.length,
         filteredJobs: filteredJobs.length,
-        updatedRows: response.data.updates?.updatedRows || 0,
+        updatedRows: sheetTotals.updatedRows,
+        rowsChanged: sheetTotals.rowsChanged,
+        destinations,
         sourceFilter: account.sourceFilter,
         sampleJobSources: [
           ...new Set(filteredJobs.slice(0, 5).map((job) => job.JobSource)),
         ],
         syncMethod: "manual",
+        syncWindows,
         jobStatusBreakdown: {
           submitted: filteredJobs.filter((j) => j.Status === "Submitted")
             .length,
@@ -918,8 +2808,20 @@ app.post("/api/sync-to-sheets/:accountId", async (req, res) => {
             )
           ).length,
         },
+        phoneQuality: summarizePhoneQuality(exportJobs, rejectedJobs),
+        conversionNames: summarizeConversionNames(exportJobs),
+        adjustments: totalAdjustments(destinations),
+        sheetOverrides: summarizeSheetOverrides(
+          exportJobs,
+          heldJobs,
+          sheetEdits
+        ),
         conversionValueLogic: {
           defaultValue: account.defaultConversionValue || 0,
+          valueSource: account.conversionValueSource || "jobTotal",
+          jobsWithPayments: paymentTotals
+            ? filteredJobs.filter((j) => paymentTotals.get(j.UUID)).length
+            : null,
           jobsWithJobTotalPrice: filteredJobs.filter(
             (j) => j.JobTotalPrice && j.JobTotalPrice !== 0
           ).length,
@@ -928,10 +2830,9 @@ app.post("/api/sync-to-sheets/:accountId", async (req, res) => {
               j.Status
             )
           ).length,
-          totalConversionValue: values.reduce(
-            (sum, row) => sum + (row[4] || 0),
-            0
-          ),
+          totalConversionValue,
+          ...currencyDetails,
+          ruleUsage,
         },
       },
     };
@@ -946,31 +2847,35 @@ app.post("/api/sync-to-sheets/:accountId", async (req, res) => {
     );
     console.log(`   - Total jobs: ${allJobs.length}`);
     console.log(`   - Filtered jobs: ${filteredJobs.length}`);
-    console.log(
-      `   - Updated rows: ${response.data.updates?.updatedRows || 0}`
-    );
+    console.log(`   - Rows changed: ${sheetTotals.rowsChanged}`);
 
-    // Update account's lastSyncDate
-    await RetryHandler.withRetry(async () => {
-      await db
-        .collection("accounts")
-        .updateOne(
-          { _id: account._id || new ObjectId(account.id) },
-          { $set: { lastSyncDate: new Date() } }
-        );
-    });
+    // Update account's lastSyncDate if any destination was written
+    if (sheetTotals.failed < destinations.length) {
+      await RetryHandler.withRetry(async () => {
+        await db
+          .collection("accounts")
+          .updateOne(
+            { _id: account._id || new ObjectId(account.id) },
+            { $set: { lastSyncDate: new Date() } }
+          );
+      });
+    }
 
-    res.json({
+    res.status(sheetTotals.errorMessage ? 500 : 200).json({
       message: `Synced ${filteredJobs.length} jobs to Google Sheets for account ${account.name}`,
+      ...(sheetTotals.errorMessage && { error: sheetTotals.errorMessage }),
       details: {
         totalJobs: allJobs.length,
         filteredJobs: filteredJobs.length,
-        updatedRows: response.data.updates?.updatedRows || 0,
+        updatedRows: sheetTotals.updatedRows,
+        rowsChanged: sheetTotals.rowsChanged,
+        destinations,
         sourceFilter: account.sourceFilter,
         sampleJobSources: [
           ...new Set(filteredJobs.slice(0, 5).map((job) => job.JobSource)),
         ],
         syncMethod: "manual",
+        syncWindows,
         jobStatusBreakdown: {
           submitted: filteredJobs.filter((j) => j.Status === "Submitted")
             .length,
@@ -985,8 +2890,20 @@ app.post("/api/sync-to-sheets/:accountId", async (req, res) => {
             )
           ).length,
         },
+        phoneQuality: summarizePhoneQuality(exportJobs, rejectedJobs),
+        conversionNames: summarizeConversionNames(exportJobs),
+        adjustments: totalAdjustments(destinations),
+        sheetOverrides: summarizeSheetOverrides(
+          exportJobs,
+          heldJobs,
+          sheetEdits
+        ),
         conversionValueLogic: {
           defaultValue: account.defaultConversionValue || 0,
+          valueSource: account.conversionValueSource || "jobTotal",
+          jobsWithPayments: paymentTotals
+            ? filteredJobs.filter((j) => paymentTotals.get(j.UUID)).length
+            : null,
           jobsWithJobTotalPrice: filteredJobs.filter(
             (j) => j.JobTotalPrice && j.JobTotalPrice !== 0
           ).length,
@@ -995,10 +2912,9 @@ app.post("/api/sync-to-sheets/:accountId", async (req, res) => {
               j.Status
             )
           ).length,
-          totalConversionValue: values.reduce(
-            (sum, row) => sum + (row[4] || 0),
-            0
-          ),
+          totalConversionValue,
+          ...currencyDetails,
+          ruleUsage,
         },
       },
     });
@@ -1033,6 +2949,259 @@ app.post("/api/sync-to-sheets/:accountId", async (req, res) => {
   }
 });
 
+// Ledger destination of the conversions CSV download
+const CSV_LEDGER = {
+  destinationId: CSV_LEDGER_DESTINATION,
+  destinationName: "CSV download",
+};
+
+// Rows of a conversions CSV download, worked out without writing anything.
+// onlyNew leaves out conversions an earlier confirmed download sent with the
+// same values, and jobs whose change goes out as an adjustment instead.
+async function prepareConversionsCsv(db, account, onlyNew) {
+  const csvLedger = { accountId: account._id, ...CSV_LEDGER };
+  const { filteredJobs } = await loadExportableJobs(db, account);
+  const { exportJobs } = await buildExportJobs(db, account, filteredJobs);
+  const found = await findConversionAdjustments(
+    db,
+    account,
+    csvLedger,
+    exportJobs
+  );
+  const ledger = await loadExportLedger(
+    db,
+    account._id,
+    CSV_LEDGER_DESTINATION,
+    exportJobs
+  );
+
+  let rows = exportJobs;
+  if (onlyNew) {
+    const adjusted = new Set(found.detected.map(({ entry }) => entry.jobUUID));
+    rows = exportJobs.filter(
+      (exportJob) =>
+        !adjusted.has(exportJob.job.UUID) &&
+        getLedgerChange(ledger.get(exportJob.job.UUID), exportJob) !== null
+    );
+  }
+  return { csvLedger, rows, ledger, found };
+}
+
+// ?onlyNew=true (the default for newOrChanged accounts)
+function isOnlyNewRequest(value, account) {
+  return value === undefined || value === null
+    ? isNewOrChangedScope(account)
+    : value === true || value === "true";
+}
+
+// Google Ads offline call-conversion upload file for manual uploads. Uses the
+// same job filtering and conversion values as /api/sync-to-sheets.
+// ?onlyNew=true leaves out jobs already included in an earlier confirmed
+// download. Nothing is recorded here: once the file is uploaded, POST
+// .../conversions/mark-exported with the X-Export-Fingerprint it came with.
+app.get("/api/export/:accountId/conversions.csv", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const { accountId } = req.params;
+    if (!ObjectId.isValid(accountId)) {
+      return res.status(400).json({ error: "Invalid account ID" });
+    }
+    const account = await db
+      .collection("accounts")
+      .findOne({ _id: new ObjectId(accountId) });
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const onlyNew = isOnlyNewRequest(req.query.onlyNew, account);
+    const { rows } = await prepareConversionsCsv(db, account, onlyNew);
+    const csv = buildCallConversionCsv(rows, {
+      timeZone: getAccountTimeZone(account),
+    });
+
+    console.log(
+      `📄 Conversions CSV for ${account.name}: ${rows.length} rows${
+        onlyNew ? " (new only)" : ""
+      }`
+    );
+
+    const fileName = `${String(account.name || "account")
+      .replace(/[^a-z0-9]+/gi, "-")
+      .replace(/^-|-$/g, "")}-conversions-${
+      new Date().toISOString().split("T")[0]
+    }.csv`;
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("X-Export-Fingerprint", exportFingerprint(rows));
+    res.setHeader("X-Export-Rows", String(rows.length));
+    res.setHeader("X-Export-Only-New", String(onlyNew));
+    res.setHeader(
+      "Access-Control-Expose-Headers",
+      "Content-Disposition, X-Export-Fingerprint, X-Export-Rows, X-Export-Only-New"
+    );
+    res.send(csv);
+  } catch (error) {
+    console.error("Error exporting conversions CSV:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm a conversions CSV download was uploaded: { onlyNew, fingerprint }
+// as returned with the file. Records the rows in the export ledger and the
+// adjustments found for the CSV destination. 409 when the export has changed
+// since the download, so nothing is recorded that wasn't in the file.
+app.post(
+  "/api/export/:accountId/conversions/mark-exported",
+  async (req, res) => {
+    try {
+      const db = await ensureDbConnection();
+      const { accountId } = req.params;
+      if (!ObjectId.isValid(accountId)) {
+        return res.status(400).json({ error: "Invalid account ID" });
+      }
+      const { fingerprint } = req.body || {};
+      if (typeof fingerprint !== "string" || !fingerprint) {
+        return res.status(400).json({ error: "fingerprint is required" });
+      }
+      const account = await db
+        .collection("accounts")
+        .findOne({ _id: new ObjectId(accountId) });
+      if (!account) {
+        return res.status(404).json({ error: "Account not found" });
+      }
+
+      const onlyNew = isOnlyNewRequest(req.body.onlyNew, account);
+      const { csvLedger, rows, ledger, found } = await prepareConversionsCsv(
+        db,
+        account,
+        onlyNew
+      );
+      if (exportFingerprint(rows) !== fingerprint) {
+        return res.status(409).json({
+          error:
+            "Conversions changed since this file was downloaded - download it again",
+        });
+      }
+
+      // Changes to downloaded jobs wait for the adjustments CSV. Restated
+      // entries take their new values, so reload the ledger before comparing.
+      await saveConversionAdjustments(db, account, csvLedger, found);
+      const counts = await recordExportLedger(
+        db,
+        csvLedger,
+        rows,
+        found.detected.length > 0
+          ? await loadExportLedger(
+              db,
+              account._id,
+              CSV_LEDGER_DESTINATION,
+              rows
+            )
+          : ledger
+      );
+
+      console.log(
+        `✅ Conversions CSV for ${account.name} marked exported: ${rows.length} rows (${counts.new} new, ${counts.changed} changed)`
+      );
+      res.json({
+        exported: rows.length,
+        newConversions: counts.new,
+        changedConversions: counts.changed,
+        adjustments: found.adjustments.length,
+      });
+    } catch (error) {
+      console.error("Error marking conversions CSV exported:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Google Ads conversion adjustments for downloaded conversions: retractions
+// for jobs cancelled or deleted since, restatements for repriced ones. Each
+// adjustment is in one download only; the download is recorded in sync
+// history.
+app.get("/api/export/:accountId/adjustments.csv", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const { accountId } = req.params;
+    if (!ObjectId.isValid(accountId)) {
+      return res.status(400).json({ error: "Invalid account ID" });
+    }
+    const account = await db
+      .collection("accounts")
+      .findOne({ _id: new ObjectId(accountId) });
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const { filteredJobs } = await loadExportableJobs(db, account);
+    const { exportJobs } = await buildExportJobs(db, account, filteredJobs);
+    await recordConversionAdjustments(
+      db,
+      account,
+      {
+        accountId: account._id,
+        destinationId: CSV_LEDGER_DESTINATION,
+        destinationName: "CSV download",
+      },
+      exportJobs
+    );
+
+    const pending = await db
+      .collection("conversionAdjustments")
+      .find({
+        accountId: account._id,
+        destinationId: CSV_LEDGER_DESTINATION,
+        downloadedAt: { $exists: false },
+      })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    const csv = buildAdjustmentsCsv(pending, {
+      timeZone: getAccountTimeZone(account),
+    });
+
+    if (pending.length > 0) {
+      const now = new Date();
+      await RetryHandler.withRetry(async () => {
+        await db
+          .collection("conversionAdjustments")
+          .updateMany(
+            { _id: { $in: pending.map((adjustment) => adjustment._id) } },
+            { $set: { downloadedAt: now } }
+          );
+        await db.collection("syncHistory").insertOne({
+          accountId: account._id,
+          syncType: "adjustments",
+          status: "success",
+          timestamp: now,
+          details: {
+            syncMethod: "manual",
+            channel: "csv",
+            adjustments: summarizeAdjustments(pending),
+          },
+        });
+      });
+    }
+
+    console.log(
+      `↩️ Adjustments CSV for ${account.name}: ${pending.length} rows`
+    );
+
+    const fileName = `${String(account.name || "account")
+      .replace(/[^a-z0-9]+/gi, "-")
+      .replace(/^-|-$/g, "")}-adjustments-${
+      new Date().toISOString().split("T")[0]
+    }.csv`;
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.send(csv);
+  } catch (error) {
+    console.error("Error exporting conversion adjustments CSV:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Manual trigger endpoint for testing cron functionality
 app.post("/api/trigger-sync/:accountId", async (req, res) => {
   const accountStartTime = Date.now();
@@ -1052,61 +3221,61 @@ app.post("/api/trigger-sync/:accountId", async (req, res) => {
 
     console.log(`📋 Processing account: ${account.name}`);
 
+    const syncWindows = getAccountSyncWindows(account);
+
     // Sync jobs
     try {
-      const workizUrl = `https://api.workiz.com/api/v1/${account.workizApiToken}/job/all/?start_date=2025-01-01&offset=0&records=100&only_open=false`;
-      const response = await fetch(workizUrl);
-
-      if (!response.ok) {
-        throw new Error(`Workiz API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      if (!data.flag || !Array.isArray(data.data)) {
-        throw new Error("Invalid response from Workiz API");
-      }
+      const workiz = WorkizClient.forAccount(account, { retryDelay: 1000 }); // 3 retries, 1s base delay, with circuit breaker
+      const { jobs: workizJobs } = await workiz.listAllJobs({
+        startDate: syncWindows.fetchStartDate,
+        onlyOpen: false,
+      });
 
       // Add accountId to each job
-      const jobs = data.data.map((job) => ({
+      const jobs = workizJobs.map((job) => ({
         ...job,
         accountId: account._id || account.id,
       }));
 
+      // Record field-level changes before the upsert overwrites them
+      await recordJobChanges(db, jobs, {
+        accountId: account._id || account.id,
+        source: "trigger_sync",
+      });
+
       // Upsert jobs into MongoDB
       const bulkOps = jobs.map((job) => ({
         updateOne: {
           filter: { UUID: job.UUID },
-          update: { $set: job },
+          update: { $set: job, $unset: ACTIVE_JOB_UNSET },
           upsert: true,
         },
       }));
 
       if (bulkOps.length > 0) {
         const bulkResult = await db.collection("jobs").bulkWrite(bulkOps);
+        await syncJobLineItems(db, jobs, account._id || account.id);
         console.log(
           `✅ Jobs sync completed: ${bulkResult.upsertedCount} new, ${bulkResult.modifiedCount} updated`
         );
       }
 
-      // Get all existing jobs for this account
+      // Get all active jobs for this account
       const existingJobs = await db
         .collection("jobs")
-        .find({ accountId: account._id || account.id })
+        .find({ accountId: account._id || account.id, ...ACTIVE_JOB_FILTER })
         .toArray();
 
       console.log(`📋 Found ${existingJobs.length} existing jobs in database`);
 
-      // Calculate 1-year cutoff date
-      const oneYearAgo = new Date();
-      oneYearAgo.setDate(oneYearAgo.getDate() - 365);
-
       let updatedJobsCount = 0;
       let deletedJobsCount = 0;
+      let flaggedMissingCount = 0;
       let failedUpdatesCount = 0;
 
-      // Process jobs in batches of 29 with 60-second delays
+      // Process jobs in batches of 29. Workiz calls are paced by the
+      // per-token rate limiter inside WorkizClient.
       const BATCH_SIZE = 29;
-      const DELAY_BETWEEN_BATCHES = 60000; // 60 seconds in milliseconds
 
       for (let i = 0; i < existingJobs.length; i += BATCH_SIZE) {
         const batch = existingJobs.slice(i, i + BATCH_SIZE);
@@ -1120,105 +3289,58 @@ app.post("/api/trigger-sync/:accountId", async (req, res) => {
           try {
             const jobDate = new Date(existingJob.JobDateTime);
 
-            // Check if job is older than 1 year
-            if (jobDate < oneYearAgo) {
-              await RetryHandler.withRetry(async () => {
-                await db
-                  .collection("jobs")
-                  .deleteOne({ UUID: existingJob.UUID });
+            // Tombstone jobs outside the account's retention window
+            if (jobDate < syncWindows.retentionCutoff) {
+              await tombstoneJob(db, existingJob.UUID, "retention", {
+                accountId: account._id || account.id,
+                source: "trigger_sync",
               });
               deletedJobsCount++;
               continue;
             }
 
-            // Update job using Workiz API
-            const updateUrl = `https://api.workiz.com/api/v1/${account.workizApiToken}/job/get/${existingJob.UUID}/`;
-
-            const updateResponse = await RetryHandler.withRetry(
-              async () => {
-                const resp = await APIManager.fetchWithTimeout(
-                  updateUrl,
-                  {},
-                  30000
-                );
-
-                if (!resp.ok) {
-                  const errorText = await resp.text();
-
-                  // Check if response is HTML (520 error page)
-                  if (
-                    errorText.includes('<div class="text-container">') ||
-                    errorText.includes("Oops!") ||
-                    errorText.includes("Something went wrong")
-                  ) {
-                    throw new Error(
-                      `Workiz API 520 error - server is experiencing issues`
-                    );
-                  }
-
-                  throw new Error(
-                    `Job update error: ${resp.status} - ${errorText}`
-                  );
-                }
-
-                return resp;
-              },
-              3,
-              1000,
-              workizCircuitBreaker
-            ); // 3 retries, 1s base delay, with circuit breaker
-
-            if (updateResponse.ok) {
-              const updateData = await updateResponse.json();
-
-              if (updateData.flag && updateData.data) {
-                // Update the job with fresh data from Workiz
-                const updatedJob = {
-                  ...updateData.data,
-                  accountId: account._id || account.id,
-                };
-
-                await RetryHandler.withRetry(async () => {
-                  await db
-                    .collection("jobs")
-                    .updateOne(
-                      { UUID: existingJob.UUID },
-                      { $set: updatedJob }
-                    );
-                });
-
-                updatedJobsCount++;
-              } else {
-                // Job might have been deleted in Workiz, so delete from our database
-                await RetryHandler.withRetry(async () => {
-                  await db
-                    .collection("jobs")
-                    .deleteOne({ UUID: existingJob.UUID });
-                });
-                deletedJobsCount++;
-              }
+            // Update job using Workiz API
+            const freshJob = await workiz.getJob(existingJob.UUID);
+
+            if (freshJob) {
+              // Update the job with fresh data from Workiz
+              const updatedJob = {
+                ...freshJob,
+                accountId: account._id || account.id,
+              };
+
+              await recordJobChanges(db, [freshJob], {
+                accountId: account._id || account.id,
+                source: "trigger_sync",
+              });
+              await RetryHandler.withRetry(async () => {
+                await db
+                  .collection("jobs")
+                  .updateOne(
+                    { UUID: existingJob.UUID },
+                    { $set: updatedJob, $unset: ACTIVE_JOB_UNSET }
+                  );
+              });
+              await syncJobLineItems(db, [freshJob], account._id || account.id);
+
+              updatedJobsCount++;
             } else {
-              failedUpdatesCount++;
+              // Job might have been deleted in Workiz. Flag it for the
+              // reconciliation pass to confirm before tombstoning.
+              await flagJobMissing(db, existingJob.UUID, {
+                source: "trigger_sync",
+              });
+              flaggedMissingCount++;
             }
-
-            // Add a small delay between individual job updates (100ms)
-            await new Promise((resolve) => setTimeout(resolve, 100));
           } catch (error) {
             failedUpdatesCount++;
           }
         }
-
-        // Add delay between batches (except for the last batch)
-        if (i + BATCH_SIZE < existingJobs.length) {
-          await new Promise((resolve) =>
-            setTimeout(resolve, DELAY_BETWEEN_BATCHES)
-          );
-        }
       }
 
       const accountDuration = Date.now() - accountStartTime;
       console.log(
-        `${account.name}: ${existingJobs.length} jobs processed, ${updatedJobsCount} updated, ${failedUpdatesCount} failed, ${deletedJobsCount} deleted (${accountDuration}ms)`
+        `${account.name}: ${existingJobs.length} jobs processed, ${updatedJobsCount} updated, ${failedUpdatesCount} failed, ${deletedJobsCount} tombstoned, ${flaggedMissingCount} flagged missing (${accountDuration}ms)`
       );
 
       // Record sync history
@@ -1231,13 +3353,16 @@ app.post("/api/trigger-sync/:accountId", async (req, res) => {
         details: {
           jobsFromWorkiz: jobs.length,
           existingJobsFound: existingJobs.length,
-          finalJobCount: await db
-            .collection("jobs")
-            .countDocuments({ accountId: account._id || account.id }),
+          finalJobCount: await db.collection("jobs").countDocuments({
+            accountId: account._id || account.id,
+            ...ACTIVE_JOB_FILTER,
+          }),
           jobsUpdated: updatedJobsCount,
           jobsDeleted: deletedJobsCount,
+          jobsFlaggedMissing: flaggedMissingCount,
           failedUpdates: failedUpdatesCount,
           syncMethod: "manual",
+          syncWindows,
           jobStatusBreakdown: {
             submitted: jobs.filter((j) => j.Status === "Submitted").length,
             pending: jobs.filter((j) => j.Status === "Pending").length,
@@ -1275,6 +3400,7 @@ app.post("/api/trigger-sync/:accountId", async (req, res) => {
           jobsSynced: jobs.length,
           jobsUpdated: updatedJobsCount,
           jobsDeleted: deletedJobsCount,
+          jobsFlaggedMissing: flaggedMissingCount,
           failedUpdates: failedUpdatesCount,
         },
       });
@@ -1390,63 +3516,77 @@ app.get("/api/cron/sync-jobs", async (req, res) => {
           }
         );
 
-        // Step 1: Fetch recent jobs from Workiz (14 days)
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - 14);
-        const formattedStartDate = startDate.toISOString().split("T")[0];
-
-        const workizUrl = `https://api.workiz.com/api/v1/${account.workizApiToken}/job/all/?start_date=${formattedStartDate}&offset=0&records=100&only_open=true`;
-
-        const response = await RetryHandler.withRetry(
-          () => APIManager.fetchWithTimeout(workizUrl, {}, 30000),
-          3,
-          2000,
-          workizCircuitBreaker
-        );
-
-        if (!response.ok) {
-          throw new Error(
-            `Workiz API error: ${response.status} ${response.statusText}`
-          );
-        }
-
-        const data = await response.json();
-
-        if (!data.flag || !data.data) {
-          throw new Error("Invalid response from Workiz API");
-        }
+        // Step 1: Fetch recent open jobs from Workiz (account lookback window)
+        const syncWindows = getAccountSyncWindows(account);
+        const watermarkField = getSyncWatermarkField(true);
+        const watermarkBefore = account[watermarkField] || null;
+
+        const workiz = WorkizClient.forAccount(account);
+        const {
+          jobs: workizJobs,
+          pages,
+          truncated,
+        } = await workiz.listAllJobs({
+          startDate: syncWindows.fetchStartDate,
+          onlyOpen: true,
+          onPage: (pageInfo) =>
+            db.collection("syncSessions").updateOne(
+              {
+                sessionId: syncSession.sessionId,
+                "accounts.accountId": account._id,
+              },
+              {
+                $push: { "accounts.$.workizPages": pageInfo },
+                $set: {
+                  "accounts.$.workizJobsFetched":
+                    pageInfo.offset + pageInfo.records,
+                },
+              }
+            ),
+        });
 
         // Filter recent jobs by sourceFilter if configured
-        let filteredRecentJobs = data.data;
+        let filteredRecentJobs = workizJobs;
         if (
           account.sourceFilter &&
           Array.isArray(account.sourceFilter) &&
           account.sourceFilter.length > 0
         ) {
-          filteredRecentJobs = data.data.filter((job) =>
+          filteredRecentJobs = workizJobs.filter((job) =>
             account.sourceFilter.includes(job.JobSource)
           );
         }
 
-        // Step 2: Get all existing jobs from database for this account
+        // Step 2: Get all active jobs from database for this account
         const existingJobs = await db
           .collection("jobs")
-          .find({ accountId: account._id })
+          .find({ accountId: account._id, ...ACTIVE_JOB_FILTER })
           .toArray();
 
-        // Step 3: Combine recent jobs with existing jobs (avoid duplicates)
-        const recentJobUuids = new Set(
-          filteredRecentJobs.map((job) => job.UUID)
+        // Step 3: Pick the jobs to upsert. Incremental runs only take jobs
+        // changed since the watermark; full runs re-upsert recent + existing.
+        const changedRecentJobs = filterJobsChangedSince(
+          filteredRecentJobs,
+          watermarkBefore
         );
-        const existingJobUuids = new Set(existingJobs.map((job) => job.UUID));
 
-        // Add existing jobs that aren't in recent list
-        const allJobsToUpdate = [...filteredRecentJobs];
-        existingJobs.forEach((existingJob) => {
-          if (!recentJobUuids.has(existingJob.UUID)) {
-            allJobsToUpdate.push(existingJob);
-          }
-        });
+        let allJobsToUpdate;
+        if (watermarkBefore) {
+          allJobsToUpdate = changedRecentJobs;
+        } else {
+          // Combine recent jobs with existing jobs (avoid duplicates)
+          const recentJobUuids = new Set(
+            filteredRecentJobs.map((job) => job.UUID)
+          );
+
+          // Add existing jobs that aren't in recent list
+          allJobsToUpdate = [...filteredRecentJobs];
+          existingJobs.forEach((existingJob) => {
+            if (!recentJobUuids.has(existingJob.UUID)) {
+              allJobsToUpdate.push(existingJob);
+            }
+          });
+        }
 
         // Jobs to update calculated (logging removed for Vercel limit)
 
@@ -1512,6 +3652,12 @@ app.get("/api/cron/sync-jobs", async (req, res) => {
             }
           );
 
+          // Record field-level changes before the upserts overwrite them
+          await recordJobChanges(db, batch, {
+            accountId: account._id,
+            source: "cron_sync_jobs",
+          });
+
           // Process each job in the batch (using data from Workiz list API)
           for (let jobIndex = 0; jobIndex < batch.length; jobIndex++) {
             const job = batch[jobIndex];
@@ -1529,7 +3675,7 @@ app.get("/api/cron/sync-jobs", async (req, res) => {
                 .collection("jobs")
                 .updateOne(
                   { UUID: job.UUID, accountId: account._id },
-                  { $set: jobWithMetadata },
+                  activeJobUpdate(jobWithMetadata),
                   { upsert: true }
                 );
 
@@ -1541,6 +3687,8 @@ app.get("/api/cron/sync-jobs", async (req, res) => {
             }
           }
 
+          await syncJobLineItems(db, batch, account._id);
+
           const batchDuration = Date.now() - batchStartTime;
 
           // Update batch status
@@ -1605,14 +3753,29 @@ app.get("/api/cron/sync-jobs", async (req, res) => {
           }
         );
 
-        // Step 4: Clean up old jobs (older than 32 days)
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - 32);
+        // Step 4: Tombstone jobs outside the account's retention window
+        const jobsTombstoned = await tombstoneJobsWhere(
+          db,
+          {
+            accountId: account._id,
+            CreatedDate: { $lt: syncWindows.retentionCutoff.toISOString() },
+          },
+          "retention",
+          { accountId: account._id, source: "cron_sync_jobs" }
+        );
 
-        const deleteResult = await db.collection("jobs").deleteMany({
-          accountId: account._id,
-          CreatedDate: { $lt: cutoffDate.toISOString() },
-        });
+        // Step 5: Advance the incremental sync watermark only when every job landed
+        const watermarkAfter =
+          truncated || failedUpdatesCount > 0
+            ? watermarkBefore
+            : computeSyncWatermark(workizJobs, watermarkBefore);
+
+        await db
+          .collection("accounts")
+          .updateOne(
+            { _id: account._id },
+            { $set: { [watermarkField]: watermarkAfter } }
+          );
 
         // Record sync history
         const syncHistoryRecord = {
@@ -1622,17 +3785,28 @@ app.get("/api/cron/sync-jobs", async (req, res) => {
           timestamp: new Date(),
           duration: accountDuration,
           details: {
-            jobsFromWorkiz: data.data.length,
+            jobsFromWorkiz: workizJobs.length,
+            workizPages: pages.length,
+            workizFound: pages[0]?.found ?? null,
+            paginationTruncated: truncated,
+            pages,
             recentJobsFiltered: filteredRecentJobs.length,
+            incremental: !!watermarkBefore,
+            watermarkField,
+            watermarkBefore,
+            watermarkAfter,
+            jobsSkippedUnchanged:
+              filteredRecentJobs.length - changedRecentJobs.length,
             existingJobsInDb: existingJobs.length,
             totalJobsToUpdate: jobs.length,
             totalBatches: batches.length,
             batchSize: batchSize,
             jobsUpdated: updatedJobsCount,
             failedUpdates: failedUpdatesCount,
-            jobsDeleted: deleteResult.deletedCount,
+            jobsDeleted: jobsTombstoned,
             syncMethod: "cron_comprehensive",
             sourceFilter: account.sourceFilter,
+            syncWindows,
             jobStatusBreakdown: {
               submitted: jobs.filter((j) => j.Status === "Submitted").length,
               pending: jobs.filter((j) => j.Status === "Pending").length,
@@ -1650,102 +3824,295 @@ app.get("/api/cron/sync-jobs", async (req, res) => {
           },
         };
 
-        await db.collection("syncHistory").insertOne(syncHistoryRecord);
+        await db.collection("syncHistory").insertOne(syncHistoryRecord);
+
+        // Account processing completed (logging removed for Vercel limit)
+
+        return {
+          account: account.name,
+          success: true,
+          duration: accountDuration,
+          jobsSynced: jobs.length,
+          jobsUpdated: updatedJobsCount,
+          failedUpdates: failedUpdatesCount,
+          jobsDeleted: jobsTombstoned,
+          recentJobs: filteredRecentJobs.length,
+          existingJobs: existingJobs.length,
+        };
+      } catch (error) {
+        console.error(`Error processing account ${account.name}:`, error);
+
+        // Update account status to failed
+        await db.collection("syncSessions").updateOne(
+          {
+            sessionId: syncSession.sessionId,
+            "accounts.accountId": account._id,
+          },
+          {
+            $set: {
+              "accounts.$.status": "failed",
+              "accounts.$.error": error.message,
+              "accounts.$.endTime": new Date(),
+            },
+          }
+        );
+
+        return {
+          account: account.name,
+          success: false,
+          duration: Date.now() - accountStartTime,
+          error: error.message,
+        };
+      }
+    });
+
+    // Wait for all accounts to complete
+    const results = await Promise.allSettled(accountPromises);
+
+    // Process results
+    const syncResults = results.map((result, index) => {
+      if (result.status === "fulfilled") {
+        return result.value;
+      } else {
+        return {
+          account: accounts[index]?.name || `Account ${index}`,
+          success: false,
+          duration: 0,
+          error: result.reason?.message || "Unknown error",
+        };
+      }
+    });
+
+    const totalDuration = Date.now() - startTime;
+    const successfulSyncs = syncResults.filter((r) => r.success).length;
+    const failedSyncs = syncResults.filter((r) => !r.success).length;
+
+    // Update overall session status
+    await db.collection("syncSessions").updateOne(
+      { sessionId: syncSession.sessionId },
+      {
+        $set: {
+          overallStatus: "completed",
+          endTime: new Date(),
+          duration: totalDuration,
+          successfulAccounts: successfulSyncs,
+          failedAccounts: failedSyncs,
+        },
+      }
+    );
+
+    // Cron sync completed (logging removed for Vercel limit)
+
+    res.json({
+      message: `Cron parallel sync completed: ${successfulSyncs} successful, ${failedSyncs} failed`,
+      sessionId: syncSession.sessionId,
+      duration: totalDuration,
+      results: syncResults,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    console.log(
+      `❌ Cron parallel sync error after ${duration}ms: ${error.message}`
+    );
+    console.error("Full error:", error);
+
+    res.status(500).json({
+      error: error.message,
+      duration: duration,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Cron job endpoint for leads/clients/payments sync
+app.get("/api/cron/sync-entities", async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const userAgent = req.get("User-Agent");
+    if (!userAgent || !userAgent.includes("vercel-cron")) {
+      console.log(`❌ Unauthorized cron access attempt:`, {
+        userAgent,
+        clientIP: req.ip || req.connection.remoteAddress,
+        timestamp: new Date().toISOString(),
+      });
+      return res.status(403).json({
+        error: "Unauthorized",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    console.log(
+      `🕐 Vercel Cron Job for Workiz entity sync triggered at: ${new Date().toISOString()}`
+    );
+
+    const db = await ensureDbConnection();
+    await DatabaseManager.ensureHealthyConnection(db);
+
+    const accounts = await RetryHandler.withRetry(async () => {
+      return await db
+        .collection("accounts")
+        .find({ workizApiToken: { $exists: true, $ne: "" } })
+        .toArray();
+    });
+
+    // Accounts run one after another; the per-token rate limiter paces calls
+    const results = [];
+    for (const account of accounts) {
+      try {
+        const result = await syncAccountEntities(
+          db,
+          account,
+          WORKIZ_ENTITY_TYPES,
+          "cron"
+        );
+        results.push({ account: account.name, ...result });
+      } catch (error) {
+        console.log(
+          `❌ Entity sync failed for account ${account.name}: ${error.message}`
+        );
+        results.push({
+          account: account.name,
+          status: "error",
+          errors: [error.message],
+        });
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    console.log(
+      `✅ Workiz entity sync finished for ${accounts.length} accounts (${duration}ms)`
+    );
+
+    res.json({
+      message: "Workiz entity sync completed",
+      accountsProcessed: accounts.length,
+      successfulAccounts: results.filter((r) => r.status === "success").length,
+      results,
+      duration,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    console.log(
+      `❌ Entity sync cron error after ${duration}ms: ${error.message}`
+    );
+    res.status(500).json({
+      error: error.message,
+      duration,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Run the missing-job reconciliation pass for one account and record a
+// syncHistory entry
+async function reconcileAccountJobs(db, account, syncMethod) {
+  const startTime = Date.now();
+  const workiz = WorkizClient.forAccount(account);
+  const summary = await reconcileMissingJobs(db, workiz, account, {
+    source: "reconciliation",
+  });
+
+  await RetryHandler.withRetry(async () => {
+    await db.collection("syncHistory").insertOne({
+      accountId: account._id || account.id,
+      syncType: "reconcile",
+      status: "success",
+      timestamp: new Date(),
+      duration: Date.now() - startTime,
+      details: { syncMethod, ...summary },
+    });
+  });
+
+  return summary;
+}
+
+// Confirm flagged jobs are really gone from Workiz before tombstoning them
+app.post("/api/reconcile-jobs/:accountId", async (req, res) => {
+  try {
+    const db = await ensureDbConnection();
+    const { accountId } = req.params;
+
+    // Find account by ID - try both id and _id fields
+    const account = await db.collection("accounts").findOne({
+      $or: [{ _id: new ObjectId(accountId) }, { id: accountId }],
+    });
+
+    if (!account) {
+      return res.status(404).json({ error: "Account not found" });
+    }
+
+    const summary = await reconcileAccountJobs(db, account, "manual");
+    res.json({
+      message: `Reconciled ${summary.flagged} flagged jobs for account ${account.name}`,
+      details: summary,
+    });
+  } catch (error) {
+    console.log(`❌ Reconciliation error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cron job endpoint for the missing-job reconciliation pass
+app.get("/api/cron/reconcile-jobs", async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const userAgent = req.get("User-Agent");
+    if (!userAgent || !userAgent.includes("vercel-cron")) {
+      console.log(`❌ Unauthorized cron access attempt:`, {
+        userAgent,
+        clientIP: req.ip || req.connection.remoteAddress,
+        timestamp: new Date().toISOString(),
+      });
+      return res.status(403).json({
+        error: "Unauthorized",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const db = await ensureDbConnection();
+    await DatabaseManager.ensureHealthyConnection(db);
 
-        // Account processing completed (logging removed for Vercel limit)
+    const accounts = await db
+      .collection("accounts")
+      .find({ workizApiToken: { $exists: true, $ne: "" } })
+      .toArray();
 
-        return {
-          account: account.name,
-          success: true,
-          duration: accountDuration,
-          jobsSynced: jobs.length,
-          jobsUpdated: updatedJobsCount,
-          failedUpdates: failedUpdatesCount,
-          jobsDeleted: deleteResult.deletedCount,
-          recentJobs: filteredRecentJobs.length,
-          existingJobs: existingJobs.length,
-        };
+    const results = [];
+    for (const account of accounts) {
+      try {
+        const summary = await reconcileAccountJobs(db, account, "cron");
+        results.push({ account: account.name, success: true, ...summary });
       } catch (error) {
-        console.error(`Error processing account ${account.name}:`, error);
-
-        // Update account status to failed
-        await db.collection("syncSessions").updateOne(
-          {
-            sessionId: syncSession.sessionId,
-            "accounts.accountId": account._id,
-          },
-          {
-            $set: {
-              "accounts.$.status": "failed",
-              "accounts.$.error": error.message,
-              "accounts.$.endTime": new Date(),
-            },
-          }
+        // A failed probe means Workiz isn't answering; nothing is tombstoned
+        console.log(
+          `❌ Reconciliation failed for account ${account.name}: ${error.message}`
         );
-
-        return {
+        results.push({
           account: account.name,
           success: false,
-          duration: Date.now() - accountStartTime,
           error: error.message,
-        };
-      }
-    });
-
-    // Wait for all accounts to complete
-    const results = await Promise.allSettled(accountPromises);
-
-    // Process results
-    const syncResults = results.map((result, index) => {
-      if (result.status === "fulfilled") {
-        return result.value;
-      } else {
-        return {
-          account: accounts[index]?.name || `Account ${index}`,
-          success: false,
-          duration: 0,
-          error: result.reason?.message || "Unknown error",
-        };
-      }
-    });
-
-    const totalDuration = Date.now() - startTime;
-    const successfulSyncs = syncResults.filter((r) => r.success).length;
-    const failedSyncs = syncResults.filter((r) => !r.success).length;
-
-    // Update overall session status
-    await db.collection("syncSessions").updateOne(
-      { sessionId: syncSession.sessionId },
-      {
-        $set: {
-          overallStatus: "completed",
-          endTime: new Date(),
-          duration: totalDuration,
-          successfulAccounts: successfulSyncs,
-          failedAccounts: failedSyncs,
-        },
+        });
       }
-    );
-
-    // Cron sync completed (logging removed for Vercel limit)
+    }
 
     res.json({
-      message: `Cron parallel sync completed: ${successfulSyncs} successful, ${failedSyncs} failed`,
-      sessionId: syncSession.sessionId,
-      duration: totalDuration,
-      results: syncResults,
+      message: "Job reconciliation completed",
+      accountsProcessed: accounts.length,
+      jobsTombstoned: results.reduce((sum, r) => sum + (r.tombstoned || 0), 0),
+      jobsRecovered: results.reduce((sum, r) => sum + (r.recovered || 0), 0),
+      results,
+      duration: Date.now() - startTime,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    const duration = Date.now() - startTime;
-    console.log(
-      `❌ Cron parallel sync error after ${duration}ms: ${error.message}`
-    );
-    console.error("Full error:", error);
-
+    console.log(`❌ Reconciliation cron error: ${error.message}`);
     res.status(500).json({
       error: error.message,
-      duration: duration,
+      duration: Date.now() - startTime,
       timestamp: new Date().toISOString(),
     });
   }
@@ -1781,16 +4148,28 @@ app.get("/api/cron/sync-sheets", async (req, res) => {
     const db = await ensureDbConnection();
     await DatabaseManager.ensureHealthyConnection(db);
 
-    // Get all accounts with Google Sheets ID
-    const accounts = await RetryHandler.withRetry(async () => {
+    // Get all accounts with a Google Sheet to write to: their own, or one
+    // per destination
+    const candidates = await RetryHandler.withRetry(async () => {
       const result = await db
         .collection("accounts")
         .find({
-          googleSheetsId: { $exists: true, $ne: "" },
+          $or: [
+            { googleSheetsId: { $exists: true, $ne: "" } },
+            { "sheetDestinations.0": { $exists: true } },
+          ],
         })
         .toArray();
       return result;
     });
+    const accounts = candidates.filter(hasExportSpreadsheets);
+    for (const account of candidates) {
+      if (!accounts.includes(account)) {
+        console.log(
+          `⚠️ Skipping ${account.name}: a destination has no Google Sheet ID and the account has none`
+        );
+      }
+    }
 
     if (accounts.length === 0) {
       console.log("📭 No accounts with Google Sheets ID found to sync");
@@ -1841,150 +4220,71 @@ app.get("/api/cron/sync-sheets", async (req, res) => {
       console.log(`Processing Google Sheets sync for account: ${account.name}`);
 
       try {
-        // Get all jobs for this account
-        const allJobs = await RetryHandler.withRetry(async () => {
-          return await db
-            .collection("jobs")
-            .find({ accountId: account._id || account.id })
-            .toArray();
-        });
-
-        console.log(
-          `📊 Found ${allJobs.length} total jobs for account ${account.name}`
-        );
-
-        // Filter jobs by sourceFilter
-        let filteredJobs = allJobs;
-        if (
-          account.sourceFilter &&
-          Array.isArray(account.sourceFilter) &&
-          account.sourceFilter.length > 0
-        ) {
-          filteredJobs = allJobs.filter((job) =>
-            account.sourceFilter.includes(job.JobSource)
-          );
-          console.log(
-            `🔍 Filtered jobs by sourceFilter: ${allJobs.length} → ${filteredJobs.length} jobs`
-          );
-        } else {
-          console.log(
-            `⚠️ No sourceFilter configured, using all ${allJobs.length} jobs`
-          );
-        }
+        // Active jobs matching the sourceFilter inside the export window
+        const { allJobs, filteredJobs, syncWindows } =
+          await RetryHandler.withRetry(async () => {
+            return await loadExportableJobs(db, account);
+          });
 
+        // No matching jobs still syncs, so rows of jobs that left the window
+        // are removed
         if (filteredJobs.length === 0) {
           console.log(
-            `⚠️ No jobs match the sourceFilter criteria for ${account.name}`
+            `⚠️ No jobs match the sourceFilter criteria for ${account.name}, clearing exported rows`
           );
-          return {
-            account: account.name,
-            success: true,
-            duration: Date.now() - accountStartTime,
-            jobsSynced: 0,
-            message: "No jobs to sync",
-          };
         }
 
-        // Clear the sheet first (skip header row)
-        console.log(
-          `🧹 Clearing existing data from sheet for ${account.name}...`
-        );
-        await RetryHandler.withRetry(
-          async () => {
-            await sheets.spreadsheets.values.clear({
-              spreadsheetId: account.googleSheetsId,
-              range: "Sheet1!A2:F", // Start from row 2 to preserve headers
-            });
-          },
-          3,
-          1000,
-          sheetsCircuitBreaker
-        );
-        console.log(`✅ Sheet cleared successfully for ${account.name}`);
-
-        // Prepare data for Google Sheets with new conversion value logic
-        console.log(
-          `📝 Preparing ${filteredJobs.length} jobs for Google Sheets...`
-        );
-        const values = filteredJobs.map((job, index) => {
-          const formattedTime =
-            formatInTimeZone(
-              new Date(job.JobDateTime),
-              "America/Los_Angeles",
-              "yyyy-MM-dd'T'HH:mm:ss"
-            ) + " America/Los_Angeles";
-
-          // New conversion value logic
-          let conversionValue = account.defaultConversionValue || 0;
-
-          // If JobTotalPrice has a value and is not 0, use it
-          if (job.JobTotalPrice && job.JobTotalPrice !== 0) {
-            conversionValue = job.JobTotalPrice;
-          }
-
-          // If Status is cancelled (case-insensitive), set to 0
-          if (
-            job.Status &&
-            ["Cancelled", "Canceled", "cancelled", "CANCELLED"].includes(
-              job.Status
-            )
-          ) {
-            conversionValue = 0;
-          }
-
-          return [
-            job.Phone || "", // Caller's Phone Number
-            formattedTime, // Call Start Time
-            "Google Ads Convert", // Conversion Name
-            "", // Conversion Time (blank)
-            conversionValue, // Conversion Value
-            "USD", // Conversion Currency
-          ];
-        });
-
-        console.log(`📊 Prepared ${values.length} rows for Google Sheets`);
-
-        // Add to Google Sheet (starting from row 2 to preserve headers)
-        console.log(`📤 Adding data to Google Sheet for ${account.name}...`);
-        const response = await RetryHandler.withRetry(
-          async () => {
-            return await sheets.spreadsheets.values.append({
-              spreadsheetId: account.googleSheetsId,
-              range: "Sheet1!A2:F", // Start from row 2 to preserve headers
-              valueInputOption: "USER_ENTERED",
-              requestBody: {
-                values,
-              },
-            });
-          },
-          3,
-          1000,
-          sheetsCircuitBreaker
-        );
-
-        console.log(
-          `✅ Google Sheets sync completed successfully for ${account.name}`
+        // Manual edits in override columns are saved before rows are rebuilt
+        const sheetEdits = await readSheetOverrides(db, sheets, account);
+
+        // Conversion values and formatted times for every exported job
+        const {
+          exportJobs,
+          rejectedJobs,
+          heldJobs,
+          paymentTotals,
+          totalConversionValue,
+          currencyDetails,
+          ruleUsage,
+        } = await buildExportJobs(db, account, filteredJobs);
+
+        console.log(`📊 Prepared ${exportJobs.length} jobs for Google Sheets`);
+
+        // Write each destination's changed rows; destinations fail independently
+        const destinations = await writeSheetDestinations(
+          db,
+          sheets,
+          account,
+          exportJobs,
+          sheetEdits.failed
         );
+        const sheetTotals = summarizeDestinations(destinations);
         console.log(
-          `📈 Updated rows: ${response.data.updates?.updatedRows || 0}`
+          `📈 ${account.name}: ${sheetTotals.rowsChanged} rows changed across ${destinations.length} destination(s), ${sheetTotals.failed} failed`
         );
 
         // Record sync history
         const syncHistoryRecord = {
           accountId: account._id || account.id,
           syncType: "sheets",
-          status: "success",
+          status: sheetTotals.errorMessage ? "error" : "success",
+          ...(sheetTotals.errorMessage && {
+            errorMessage: sheetTotals.errorMessage,
+          }),
           timestamp: new Date(),
           duration: Date.now() - accountStartTime,
           details: {
             totalJobs: allJobs.length,
             filteredJobs: filteredJobs.length,
-            updatedRows: response.data.updates?.updatedRows || 0,
+            updatedRows: sheetTotals.updatedRows,
+            rowsChanged: sheetTotals.rowsChanged,
+            destinations,
             sourceFilter: account.sourceFilter,
             sampleJobSources: [
               ...new Set(filteredJobs.slice(0, 5).map((job) => job.JobSource)),
             ],
             syncMethod: "cron",
+            syncWindows,
             jobStatusBreakdown: {
               submitted: filteredJobs.filter((j) => j.Status === "Submitted")
                 .length,
@@ -2001,8 +4301,20 @@ app.get("/api/cron/sync-sheets", async (req, res) => {
                 )
               ).length,
             },
+            phoneQuality: summarizePhoneQuality(exportJobs, rejectedJobs),
+            conversionNames: summarizeConversionNames(exportJobs),
+            adjustments: totalAdjustments(destinations),
+            sheetOverrides: summarizeSheetOverrides(
+              exportJobs,
+              heldJobs,
+              sheetEdits
+            ),
             conversionValueLogic: {
               defaultValue: account.defaultConversionValue || 0,
+              valueSource: account.conversionValueSource || "jobTotal",
+              jobsWithPayments: paymentTotals
+                ? filteredJobs.filter((j) => paymentTotals.get(j.UUID)).length
+                : null,
               jobsWithJobTotalPrice: filteredJobs.filter(
                 (j) => j.JobTotalPrice && j.JobTotalPrice !== 0
               ).length,
@@ -2011,10 +4323,9 @@ app.get("/api/cron/sync-sheets", async (req, res) => {
                   j.Status
                 )
               ).length,
-              totalConversionValue: values.reduce(
-                (sum, row) => sum + (row[4] || 0),
-                0
-              ),
+              totalConversionValue,
+              ...currencyDetails,
+              ruleUsage,
             },
           },
         };
@@ -2029,16 +4340,17 @@ app.get("/api/cron/sync-sheets", async (req, res) => {
         );
         console.log(`   - Total jobs: ${allJobs.length}`);
         console.log(`   - Filtered jobs: ${filteredJobs.length}`);
-        console.log(
-          `   - Updated rows: ${response.data.updates?.updatedRows || 0}`
-        );
+        console.log(`   - Rows changed: ${sheetTotals.rowsChanged}`);
 
         return {
           account: account.name,
-          success: true,
+          success: !sheetTotals.errorMessage,
           duration: accountDuration,
           jobsSynced: filteredJobs.length,
-          updatedRows: response.data.updates?.updatedRows || 0,
+          updatedRows: sheetTotals.updatedRows,
+          rowsChanged: sheetTotals.rowsChanged,
+          destinations,
+          ...(sheetTotals.errorMessage && { error: sheetTotals.errorMessage }),
         };
       } catch (error) {
         const accountDuration = Date.now() - accountStartTime;
@@ -2163,7 +4475,16 @@ app.get("/api/metrics", async (req, res) => {
 
     // Get basic metrics
     const accountCount = await db.collection("accounts").countDocuments();
-    const jobCount = await db.collection("jobs").countDocuments();
+    const jobCount = await db
+      .collection("jobs")
+      .countDocuments(ACTIVE_JOB_FILTER);
+    const tombstonedJobCount = await db
+      .collection("jobs")
+      .countDocuments({ deletedAt: { $exists: true } });
+    const missingJobCount = await db.collection("jobs").countDocuments({
+      missingSince: { $exists: true },
+      ...ACTIVE_JOB_FILTER,
+    });
     const syncHistoryCount = await db
       .collection("syncHistory")
       .countDocuments();
@@ -2190,6 +4511,8 @@ app.get("/api/metrics", async (req, res) => {
       counts: {
         accounts: accountCount,
         jobs: jobCount,
+        tombstonedJobs: tombstonedJobCount,
+        jobsPendingReconciliation: missingJobCount,
         syncHistory: syncHistoryCount,
       },
       recentSyncs: {
@@ -2292,6 +4615,22 @@ app.get("/api/cron/status", async (req, res) => {
   }
 });
 
+// Workiz rate limiter status endpoint (one entry per API token in use)
+app.get("/api/rate-limiter/status", async (req, res) => {
+  try {
+    await ensureDbConnection();
+    res.json({
+      timestamp: new Date().toISOString(),
+      workiz: await getWorkizRateLimiterStates(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
 // Circuit breaker status endpoint
 app.get("/api/circuit-breaker/status", (req, res) => {
   try {
@@ -2396,7 +4735,7 @@ app.post("/api/sync/parallel/init", async (req, res) => {
 // Process a single account's jobs in batches
 app.post("/api/sync/parallel/account/:accountId", async (req, res) => {
   const { accountId } = req.params;
-  const { sessionId, batchSize = 29, delayMs = 2000 } = req.body;
+  const { sessionId, batchSize = 29 } = req.body;
 
   const accountStartTime = Date.now();
 
@@ -2430,44 +4769,27 @@ app.post("/api/sync/parallel/account/:accountId", async (req, res) => {
       );
     }
 
-    // Fetch jobs from Workiz
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 14);
-    const formattedStartDate = startDate.toISOString().split("T")[0];
-
-    const workizUrl = `https://api.workiz.com/api/v1/${account.workizToken}/job/all/?start_date=${formattedStartDate}&offset=0&records=100&only_open=true`;
-
-    const response = await RetryHandler.withRetry(
-      () => APIManager.fetchWithTimeout(workizUrl, {}, 30000),
-      3,
-      2000,
-      workizCircuitBreaker
-    );
-
-    if (!response.ok) {
-      throw new Error(
-        `Workiz API error: ${response.status} ${response.statusText}`
-      );
-    }
-
-    const data = await response.json();
+    // Fetch jobs from Workiz (account lookback window)
+    const syncWindows = getAccountSyncWindows(account);
 
-    if (!data.flag || !data.data) {
-      throw new Error("Invalid response from Workiz API");
-    }
+    const workiz = WorkizClient.forAccount(account);
+    const { jobs: workizJobs, pages } = await workiz.listAllJobs({
+      startDate: syncWindows.fetchStartDate,
+      onlyOpen: true,
+    });
 
     // Filter jobs by sourceFilter if configured
-    let filteredJobs = data.data;
+    let filteredJobs = workizJobs;
     if (
       account.sourceFilter &&
       Array.isArray(account.sourceFilter) &&
       account.sourceFilter.length > 0
     ) {
-      filteredJobs = data.data.filter((job) =>
+      filteredJobs = workizJobs.filter((job) =>
         account.sourceFilter.includes(job.JobSource)
       );
       console.log(
-        `Recent jobs filtered: ${data.data.length} → ${filteredJobs.length} jobs`
+        `Recent jobs filtered: ${workizJobs.length} → ${filteredJobs.length} jobs`
       );
     }
 
@@ -2541,6 +4863,12 @@ app.post("/api/sync/parallel/account/:accountId", async (req, res) => {
         );
       }
 
+      // Record field-level changes before the upserts overwrite them
+      await recordJobChanges(db, batch, {
+        accountId: account._id,
+        source: "parallel_sync",
+      });
+
       // Process each job in the batch (using data from Workiz list API)
       for (let jobIndex = 0; jobIndex < batch.length; jobIndex++) {
         const job = batch[jobIndex];
@@ -2558,7 +4886,7 @@ app.post("/api/sync/parallel/account/:accountId", async (req, res) => {
             .collection("jobs")
             .updateOne(
               { UUID: job.UUID, accountId: account._id },
-              { $set: jobWithMetadata },
+              { $set: jobWithMetadata, $unset: ACTIVE_JOB_UNSET },
               { upsert: true }
             );
 
@@ -2570,6 +4898,8 @@ app.post("/api/sync/parallel/account/:accountId", async (req, res) => {
         }
       }
 
+      await syncJobLineItems(db, batch, account._id);
+
       const batchDuration = Date.now() - batchStartTime;
       console.log(
         `Batch ${batchIndex + 1}/${batches.length}: ${
@@ -2647,7 +4977,8 @@ app.post("/api/sync/parallel/account/:accountId", async (req, res) => {
       timestamp: new Date(),
       duration: accountDuration,
       details: {
-        jobsFromWorkiz: data.data.length,
+        jobsFromWorkiz: workizJobs.length,
+        workizPages: pages.length,
         filteredJobs: jobs.length,
         totalBatches: batches.length,
         batchSize: batchSize,
@@ -2655,6 +4986,7 @@ app.post("/api/sync/parallel/account/:accountId", async (req, res) => {
         failedUpdates: failedUpdatesCount,
         syncMethod: "parallel",
         sourceFilter: account.sourceFilter,
+        syncWindows,
         jobStatusBreakdown: {
           submitted: jobs.filter((j) => j.Status === "Submitted").length,
           pending: jobs.filter((j) => j.Status === "Pending").length,
@@ -2683,7 +5015,8 @@ app.post("/api/sync/parallel/account/:accountId", async (req, res) => {
       accountName: account.name,
       duration: accountDuration,
       details: {
-        jobsFromWorkiz: data.data.length,
+        jobsFromWorkiz: workizJobs.length,
+        workizPages: pages.length,
         filteredJobs: jobs.length,
         totalBatches: batches.length,
         jobsUpdated: updatedJobsCount,
@@ -2875,10 +5208,10 @@ app.get("/api/cron/update-jobs-uuid", async (req, res) => {
       console.log(`🔄 Processing account: ${account.name}`);
 
       try {
-        // Get all jobs for this account
+        // Get all active jobs for this account
         const existingJobs = await db
           .collection("jobs")
-          .find({ accountId: account._id })
+          .find({ accountId: account._id, ...ACTIVE_JOB_FILTER })
           .toArray();
 
         if (existingJobs.length === 0) {
@@ -2887,7 +5220,7 @@ app.get("/api/cron/update-jobs-uuid", async (req, res) => {
             account: account.name,
             success: true,
             jobsUpdated: 0,
-            jobsDeleted: 0,
+            jobsFlaggedMissing: 0,
             failedUpdates: 0,
             duration: Date.now() - accountStartTime,
           });
@@ -2898,11 +5231,13 @@ app.get("/api/cron/update-jobs-uuid", async (req, res) => {
           `📊 Found ${existingJobs.length} jobs to update for ${account.name}`
         );
 
-        // Process jobs in batches
+        const workiz = WorkizClient.forAccount(account);
+
+        // Process jobs in batches. Workiz calls are paced by the per-token
+        // rate limiter inside WorkizClient.
         const BATCH_SIZE = 10;
-        const DELAY_BETWEEN_BATCHES = 15000; // 15 seconds between batches
         let updatedJobsCount = 0;
-        let deletedJobsCount = 0;
+        let flaggedMissingCount = 0;
         let failedUpdatesCount = 0;
 
         for (let i = 0; i < existingJobs.length; i += BATCH_SIZE) {
@@ -2917,91 +5252,40 @@ app.get("/api/cron/update-jobs-uuid", async (req, res) => {
           for (const existingJob of batch) {
             try {
               // Update job using Workiz API
-              const updateUrl = `https://api.workiz.com/api/v1/${account.workizApiToken}/job/get/${existingJob.UUID}/`;
-
-              const updateResponse = await RetryHandler.withRetry(
-                async () => {
-                  const resp = await APIManager.fetchWithTimeout(
-                    updateUrl,
-                    {},
-                    30000
-                  );
+              const freshJob = await workiz.getJob(existingJob.UUID);
 
-                  if (!resp.ok) {
-                    const errorText = await resp.text();
-
-                    // Handle 429 rate limiting specifically
-                    if (resp.status === 429) {
-                      console.log(
-                        `⚠️ Rate limit hit for job ${existingJob.UUID}, waiting 60 seconds...`
-                      );
-                      await new Promise((resolve) =>
-                        setTimeout(resolve, 60000)
-                      );
-                      throw new Error(
-                        `Rate limited: ${resp.status} ${resp.statusText}`
-                      );
-                    }
-
-                    // Check if response is HTML (520 error page)
-                    if (
-                      errorText.includes('<div class="text-container">') ||
-                      errorText.includes("Oops!") ||
-                      errorText.includes("Something went wrong")
-                    ) {
-                      throw new Error(
-                        `Workiz API 520 error - server is experiencing issues`
-                      );
-                    }
-
-                    throw new Error(
-                      `Job update error: ${resp.status} - ${errorText}`
-                    );
-                  }
+              if (freshJob) {
+                // Update the job with fresh data from Workiz
+                const updatedJob = {
+                  ...freshJob,
+                  accountId: account._id,
+                  lastUpdated: new Date(),
+                };
 
-                  return resp;
-                },
-                3,
-                2000,
-                workizCircuitBreaker
-              );
+                await recordJobChanges(db, [freshJob], {
+                  accountId: account._id,
+                  source: "update_jobs_uuid",
+                });
+                await RetryHandler.withRetry(async () => {
+                  await db
+                    .collection("jobs")
+                    .updateOne(
+                      { UUID: existingJob.UUID },
+                      { $set: updatedJob, $unset: ACTIVE_JOB_UNSET }
+                    );
+                });
+                await syncJobLineItems(db, [freshJob], account._id);
 
-              if (updateResponse.ok) {
-                const updateData = await updateResponse.json();
-
-                if (updateData.flag && updateData.data) {
-                  // Update the job with fresh data from Workiz
-                  const updatedJob = {
-                    ...updateData.data,
-                    accountId: account._id,
-                    lastUpdated: new Date(),
-                  };
-
-                  await RetryHandler.withRetry(async () => {
-                    await db
-                      .collection("jobs")
-                      .updateOne(
-                        { UUID: existingJob.UUID },
-                        { $set: updatedJob }
-                      );
-                  });
-
-                  updatedJobsCount++;
-                } else {
-                  // Job might have been deleted in Workiz, so delete from our database
-                  await RetryHandler.withRetry(async () => {
-                    await db
-                      .collection("jobs")
-                      .deleteOne({ UUID: existingJob.UUID });
-                  });
-                  deletedJobsCount++;
-                }
+                updatedJobsCount++;
               } else {
-                failedUpdatesCount++;
+                // Job might have been deleted in Workiz, or Workiz may be
+                // having an outage. Flag it; the reconciliation pass confirms
+                // it's gone before tombstoning.
+                await flagJobMissing(db, existingJob.UUID, {
+                  source: "update_jobs_uuid",
+                });
+                flaggedMissingCount++;
               }
-
-              // Rate limiting: 3-second delay between API calls (20 calls per minute)
-              await new Promise((resolve) => setTimeout(resolve, 3000));
             } catch (error) {
               console.log(
                 `❌ Failed to update job ${existingJob.UUID}: ${error.message}`
@@ -3009,19 +5293,12 @@ app.get("/api/cron/update-jobs-uuid", async (req, res) => {
               failedUpdatesCount++;
             }
           }
-
-          // Add delay between batches (except for the last batch)
-          if (i + BATCH_SIZE < existingJobs.length) {
-            await new Promise((resolve) =>
-              setTimeout(resolve, DELAY_BETWEEN_BATCHES)
-            );
-          }
         }
 
         const accountDuration = Date.now() - accountStartTime;
 
         console.log(
-          `✅ Account ${account.name} completed: ${updatedJobsCount} updated, ${deletedJobsCount} deleted, ${failedUpdatesCount} failed`
+          `✅ Account ${account.name} completed: ${updatedJobsCount} updated, ${flaggedMissingCount} flagged missing, ${failedUpdatesCount} failed`
         );
 
         // Record sync history
@@ -3034,7 +5311,7 @@ app.get("/api/cron/update-jobs-uuid", async (req, res) => {
           details: {
             totalJobs: existingJobs.length,
             jobsUpdated: updatedJobsCount,
-            jobsDeleted: deletedJobsCount,
+            jobsFlaggedMissing: flaggedMissingCount,
             failedUpdates: failedUpdatesCount,
             syncMethod: "cron_uuid_update",
           },
@@ -3048,7 +5325,7 @@ app.get("/api/cron/update-jobs-uuid", async (req, res) => {
           account: account.name,
           success: true,
           jobsUpdated: updatedJobsCount,
-          jobsDeleted: deletedJobsCount,
+          jobsFlaggedMissing: flaggedMissingCount,
           failedUpdates: failedUpdatesCount,
           duration: accountDuration,
         });
@@ -3111,7 +5388,7 @@ app.post("/api/initiate-batch-update", async (req, res) => {
     for (const account of accounts) {
       const jobs = await db
         .collection("jobs")
-        .find({ accountId: account._id })
+        .find({ accountId: account._id, ...ACTIVE_JOB_FILTER })
         .toArray();
       const totalBatches = Math.ceil(jobs.length / BATCH_SIZE);
       for (let i = 0; i < totalBatches; i++) {
@@ -3208,12 +5485,12 @@ app.post("/api/process-batch/:batchId", async (req, res) => {
         .json({ error: "Another batch is processing for this account" });
 
     // Process the batch directly
-    await processBatchDirectly(batch);
+    const result = await processBatchDirectly(batch);
 
     res.json({
       batchId,
-      message: "Batch processed successfully",
-      status: "completed",
+      message: `Batch processed: ${result.updatedJobs} updated, ${result.missingJobs} flagged missing, ${result.failedJobs} failed`,
+      ...result,
     });
   } catch (err) {
     console.error(`Error processing batch ${batchId}:`, err);
@@ -3262,6 +5539,7 @@ app.get("/api/cron/process-pending-batches", async (req, res) => {
     }
 
     let processedCount = 0;
+    let failedJobsCount = 0;
     const errors = [];
 
     for (const batch of pendingBatches) {
@@ -3279,7 +5557,8 @@ app.get("/api/cron/process-pending-batches", async (req, res) => {
         }
 
         // Process the batch directly (no HTTP call needed in cron)
-        await processBatchDirectly(batch);
+        const result = await processBatchDirectly(batch);
+        failedJobsCount += result.failedJobs;
         processedCount++;
       } catch (error) {
         errors.push(`Batch ${batch._id}: ${error.message}`);
@@ -3290,6 +5569,7 @@ app.get("/api/cron/process-pending-batches", async (req, res) => {
     res.json({
       message: `Processed ${processedCount} batches`,
       processedCount,
+      failedJobsCount,
       errors: errors.length > 0 ? errors : undefined,
     });
   } catch (err) {
@@ -3310,31 +5590,97 @@ async function processBatchDirectly(batch) {
       );
 
     let completedJobs = [],
+      updatedJobs = [],
+      missingJobs = [],
       failedJobs = [],
+      failureReasons = [],
       errors = [];
 
-    for (const uuid of batch.jobUUIDs) {
+    const recordFailure = (uuid, error) => {
+      failedJobs.push(uuid);
+      errors.push(`Job ${uuid}: ${error.message}`);
+      failureReasons.push({
+        uuid,
+        errorType: error.name,
+        error: error.message,
+        status: error.status ?? null,
+      });
+    };
+
+    const account = await db
+      .collection("accounts")
+      .findOne({ _id: batch.accountId });
+    if (!account) {
+      throw new Error(`Account ${batch.accountId} not found for batch`);
+    }
+    const workiz = WorkizClient.forAccount(account);
+
+    for (let index = 0; index < batch.jobUUIDs.length; index++) {
+      const uuid = batch.jobUUIDs[index];
       try {
-        // TODO: Replace with actual job update logic
-        // await updateJobFromWorkiz(uuid, batch.accountId);
+        const freshJob = await workiz.getJob(uuid);
+
+        if (freshJob) {
+          // Refresh the job with the latest data from Workiz
+          await recordJobChanges(db, [freshJob], {
+            accountId: account._id,
+            source: "batch_update",
+          });
+          await RetryHandler.withRetry(async () => {
+            await db.collection("jobs").updateOne(
+              { UUID: uuid },
+              {
+                $set: {
+                  ...freshJob,
+                  accountId: account._id,
+                  lastUpdated: new Date(),
+                },
+                $unset: ACTIVE_JOB_UNSET,
+              }
+            );
+          });
+          await syncJobLineItems(db, [freshJob], account._id);
+          updatedJobs.push(uuid);
+        } else {
+          // Workiz no longer returns the job. Flag it so the reconciliation
+          // pass can confirm it's gone before tombstoning.
+          await flagJobMissing(db, uuid, { source: "batch_update" });
+          missingJobs.push(uuid);
+        }
 
-        // Simulate job update for now
         completedJobs.push(uuid);
-        await new Promise((r) => setTimeout(r, 1000)); // Reduced delay for cron processing
       } catch (e) {
-        failedJobs.push(uuid);
-        errors.push(`Job ${uuid}: ${e.message}`);
+        recordFailure(uuid, e);
+
+        // Stop hammering Workiz once the circuit breaker opens
+        if (e.message.includes("Circuit breaker is OPEN")) {
+          for (const skippedUuid of batch.jobUUIDs.slice(index + 1)) {
+            recordFailure(
+              skippedUuid,
+              new Error("Skipped - Workiz circuit breaker is open")
+            );
+          }
+          break;
+        }
       }
     }
 
-    // Mark batch as completed
+    // Mark batch as completed (or failed if no job could be refreshed)
+    const batchStatus =
+      failedJobs.length > 0 && completedJobs.length === 0
+        ? "failed"
+        : "completed";
+
     await db.collection("batches").updateOne(
       { _id: batch._id },
       {
         $set: {
-          status: "completed",
+          status: batchStatus,
           completedJobs,
+          updatedJobs,
+          missingJobs,
           failedJobs,
+          failureReasons,
           endTime: new Date(),
           errors,
         },
@@ -3379,8 +5725,16 @@ async function processBatchDirectly(batch) {
     }
 
     console.log(
-      `Completed batch ${batch._id}: ${completedJobs.length} jobs processed, ${failedJobs.length} failed`
+      `Completed batch ${batch._id}: ${updatedJobs.length} updated, ${missingJobs.length} flagged missing, ${failedJobs.length} failed`
     );
+
+    return {
+      status: batchStatus,
+      updatedJobs: updatedJobs.length,
+      missingJobs: missingJobs.length,
+      failedJobs: failedJobs.length,
+      failureReasons,
+    };
   } catch (error) {
     // Mark batch as failed
     await db.collection("batches").updateOne(
@@ -3467,6 +5821,62 @@ app.post("/api/setup-indexes", async (req, res) => {
       UUID: 1,
     });
 
+    // Workiz leads, clients and payments (keyed per account by workizId)
+    for (const collection of ["leads", "clients", "payments"]) {
+      await db
+        .collection(collection)
+        .createIndex({ accountId: 1, workizId: 1 }, { unique: true });
+      await db
+        .collection(collection)
+        .createIndex({ accountId: 1, ClientId: 1 });
+    }
+    await db.collection("payments").createIndex({ accountId: 1, jobUUID: 1 });
+
+    // Tombstones and missing-job reconciliation
+    await db.collection("jobs").createIndex({ accountId: 1, deletedAt: -1 });
+    await db
+      .collection("jobs")
+      .createIndex({ accountId: 1, missingSince: 1 }, { sparse: true });
+
+    // Job change history
+    await db.collection("jobHistory").createIndex({ UUID: 1, changedAt: -1 });
+    await db
+      .collection("jobHistory")
+      .createIndex({ accountId: 1, changedAt: -1 });
+
+    // Export ledger, one document per account, destination and job
+    await db
+      .collection("exportLedger")
+      .createIndex(
+        { accountId: 1, destinationId: 1, jobUUID: 1 },
+        { unique: true }
+      );
+    await db
+      .collection("exportLedger")
+      .createIndex({ accountId: 1, lastExportedAt: -1 });
+
+    // Conversion adjustments per ledger destination, newest last
+    await db
+      .collection("conversionAdjustments")
+      .createIndex({ accountId: 1, destinationId: 1, createdAt: 1 });
+
+    // Sheet overrides, one document per account and job
+    await db
+      .collection("sheetOverrides")
+      .createIndex({ accountId: 1, jobUUID: 1 }, { unique: true });
+
+    // Exchange rates, one document per currency
+    await db
+      .collection("exchangeRates")
+      .createIndex({ currency: 1 }, { unique: true });
+
+    // Normalized line items
+    await db.collection("lineItems").createIndex({ jobUUID: 1 });
+    await db
+      .collection("lineItems")
+      .createIndex({ accountId: 1, jobDateTime: -1 });
+    await db.collection("lineItems").createIndex({ accountId: 1, name: 1 });
+
     res.json({
       message: "Database indexes created successfully",
       indexes: [
@@ -3481,6 +5891,25 @@ app.post("/api/setup-indexes", async (req, res) => {
         "jobs.accountId",
         "jobs.UUID",
         "jobs.accountId_UUID",
+        "leads.accountId_workizId",
+        "leads.accountId_ClientId",
+        "clients.accountId_workizId",
+        "clients.accountId_ClientId",
+        "payments.accountId_workizId",
+        "payments.accountId_ClientId",
+        "payments.accountId_jobUUID",
+        "jobs.accountId_deletedAt",
+        "jobs.accountId_missingSince",
+        "jobHistory.UUID_changedAt",
+        "jobHistory.accountId_changedAt",
+        "exportLedger.accountId_destinationId_jobUUID",
+        "exportLedger.accountId_lastExportedAt",
+        "conversionAdjustments.accountId_destinationId_createdAt",
+        "exchangeRates.currency",
+        "sheetOverrides.accountId_jobUUID",
+        "lineItems.jobUUID",
+        "lineItems.accountId_jobDateTime",
+        "lineItems.accountId_name",
       ],
     });
   } catch (err) {
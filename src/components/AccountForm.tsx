@@ -14,8 +14,12 @@ import {
   Switch,
   AlertTitle,
 } from '@mui/material';
-import { Account } from '../types/index';
+import { Account, SheetProvisionResult } from '../types/index';
 import { buildApiUrl } from '../utils/api';
+import { DEFAULT_TIME_ZONE } from '../utils/timeZone';
+import TimeZoneField from './TimeZoneField';
+import PhoneCountryField from './PhoneCountryField';
+import CurrencyFields from './CurrencyFields';
 
 interface AccountFormProps {
   onSuccess: () => void;
@@ -27,6 +31,14 @@ const AccountForm: React.FC<AccountFormProps> = ({ onSuccess }) => {
     googleSheetsId: '',
     sourceFilter: [],
     defaultConversionValue: 0,
+    conversionValueSource: 'jobTotal',
+    timeZone: DEFAULT_TIME_ZONE,
+    phoneCountry: 'US',
+    currency: 'USD',
+    reportingCurrency: null,
+    fetchLookbackDays: 14,
+    retentionDays: 32,
+    sheetExportDays: 32,
     name: '',
     syncEnabled: false,
     syncFrequency: 'daily',
@@ -34,10 +46,31 @@ const AccountForm: React.FC<AccountFormProps> = ({ onSuccess }) => {
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string>('');
+  // Create the spreadsheet through the API instead of entering an existing ID
+  const [createSheet, setCreateSheet] = useState(false);
+  const [shareWith, setShareWith] = useState('');
+
+  // Creates the spreadsheet, headers included, and saves its ID on the account
+  const provisionSheet = async (accountId: string) => {
+    const response = await fetch(buildApiUrl(`/api/accounts/${accountId}/provision-sheet`), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        shareWith: shareWith.split(',').map(s => s.trim()).filter(Boolean),
+      }),
+    });
+    const result: SheetProvisionResult | { error: string } = await response.json().catch(() => ({}));
+    if (!response.ok || !('spreadsheetId' in result)) {
+      throw new Error('error' in result ? result.error : 'Failed to create the Google Sheet');
+    }
+    return result;
+  };
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
-    if (!formData.workizApiToken || !formData.googleSheetsId || !formData.name) {
+    if (!formData.workizApiToken || (!formData.googleSheetsId && !createSheet) || !formData.name) {
       setError('Please fill in all required fields');
       return;
     }
@@ -56,17 +89,39 @@ const AccountForm: React.FC<AccountFormProps> = ({ onSuccess }) => {
       if (!response.ok) {
         throw new Error('Failed to add account');
       }
+      const { insertedId } = await response.json();
 
       setFormData({
         workizApiToken: '',
         googleSheetsId: '',
         sourceFilter: [],
         defaultConversionValue: 0,
+        conversionValueSource: 'jobTotal',
+        timeZone: DEFAULT_TIME_ZONE,
+        phoneCountry: 'US',
+        currency: 'USD',
+        reportingCurrency: null,
+        fetchLookbackDays: 14,
+        retentionDays: 32,
+        sheetExportDays: 32,
         name: '',
         syncEnabled: false,
         syncFrequency: 'daily',
         syncTime: '09:00',
       });
+
+      if (createSheet) {
+        // The account is saved either way; a failed sheet can be retried by hand
+        try {
+          const sheet = await provisionSheet(insertedId);
+          if (sheet.shareErrors.length > 0) {
+            setError(`Google Sheet created, but it couldn't be shared with ${sheet.shareErrors.map(f => f.email).join(', ')}`);
+          }
+        } catch (err) {
+          setError(`Account added, but the Google Sheet couldn't be created: ${err instanceof Error ? err.message : err}`);
+        }
+        setShareWith('');
+      }
       onSuccess();
     } catch (err) {
       setError(err instanceof Error ? err.message : 'An error occurred');
@@ -105,15 +160,36 @@ const AccountForm: React.FC<AccountFormProps> = ({ onSuccess }) => {
         required
       />
 
-      <TextField
-        fullWidth
-        label="Google Sheets ID"
-        value={formData.googleSheetsId}
-        onChange={(e) => setFormData({ ...formData, googleSheetsId: e.target.value })}
-        margin="normal"
-        required
+      <FormControlLabel
+        control={
+          <Switch
+            checked={createSheet}
+            onChange={(e) => setCreateSheet(e.target.checked)}
+          />
+        }
+        label="Create a new Google Sheet for this account"
       />
 
+      {createSheet ? (
+        <TextField
+          fullWidth
+          label="Share With (comma-separated emails)"
+          value={shareWith}
+          onChange={(e) => setShareWith(e.target.value)}
+          margin="normal"
+          helperText="The sheet is created with the export headers and shared with these people as editors"
+        />
+      ) : (
+        <TextField
+          fullWidth
+          label="Google Sheets ID"
+          value={formData.googleSheetsId}
+          onChange={(e) => setFormData({ ...formData, googleSheetsId: e.target.value })}
+          margin="normal"
+          required
+        />
+      )}
+
       <TextField
         fullWidth
         label="Source Filter (comma-separated)"
@@ -133,6 +209,99 @@ const AccountForm: React.FC<AccountFormProps> = ({ onSuccess }) => {
         InputProps={{ inputProps: { min: 0 } }}
       />
 
+      <FormControl fullWidth margin="normal">
+        <InputLabel>Conversion Value Source</InputLabel>
+        <Select
+          value={formData.conversionValueSource || 'jobTotal'}
+          onChange={(e) => setFormData({ ...formData, conversionValueSource: e.target.value as Account['conversionValueSource'] })}
+          label="Conversion Value Source"
+        >
+          <MenuItem value="jobTotal">Job Total Price</MenuItem>
+          <MenuItem value="payments">Collected Payments</MenuItem>
+        </Select>
+      </FormControl>
+
+      <FormControl fullWidth margin="normal">
+        <InputLabel>Export Mode</InputLabel>
+        <Select
+          value={formData.exportMode || 'standard'}
+          onChange={(e) => setFormData({ ...formData, exportMode: e.target.value as Account['exportMode'] })}
+          label="Export Mode"
+        >
+          <MenuItem value="standard">Standard (call conversions)</MenuItem>
+          <MenuItem value="enhanced">Enhanced conversions (hashed customer data only)</MenuItem>
+        </Select>
+      </FormControl>
+
+      <FormControl fullWidth margin="normal">
+        <InputLabel>Export Scope</InputLabel>
+        <Select
+          value={formData.exportScope || 'all'}
+          onChange={(e) => setFormData({ ...formData, exportScope: e.target.value as Account['exportScope'] })}
+          label="Export Scope"
+        >
+          <MenuItem value="all">Every job in the export window</MenuItem>
+          <MenuItem value="newOrChanged">Only new or changed conversions</MenuItem>
+        </Select>
+      </FormControl>
+
+      <TimeZoneField
+        value={formData.timeZone}
+        onChange={(timeZone) => setFormData({ ...formData, timeZone })}
+        margin="normal"
+      />
+
+      <PhoneCountryField
+        value={formData.phoneCountry}
+        onChange={(phoneCountry) => setFormData({ ...formData, phoneCountry })}
+        margin="normal"
+      />
+
+      <CurrencyFields
+        currency={formData.currency}
+        reportingCurrency={formData.reportingCurrency}
+        onChange={(changes) => setFormData({ ...formData, ...changes })}
+        margin="normal"
+      />
+
+      {/* Sync Windows Section */}
+      <Typography variant="h6" gutterBottom sx={{ mt: 3, mb: 1 }}>
+        Sync Windows
+      </Typography>
+
+      <TextField
+        fullWidth
+        label="Workiz Lookback (days)"
+        type="number"
+        value={formData.fetchLookbackDays}
+        onChange={(e) => setFormData({ ...formData, fetchLookbackDays: Number(e.target.value) })}
+        margin="normal"
+        InputProps={{ inputProps: { min: 1 } }}
+        helperText="How far back each sync requests jobs from Workiz (no more than the retention window)"
+      />
+
+      <TextField
+        fullWidth
+        label="Database Retention (days)"
+        type="number"
+        value={formData.retentionDays}
+        onChange={(e) => setFormData({ ...formData, retentionDays: Number(e.target.value) })}
+        margin="normal"
+        InputProps={{ inputProps: { min: 1 } }}
+        helperText="Jobs older than this are removed from the database"
+      />
+
+      <TextField
+        fullWidth
+        label="Sheet Export Window (days)"
+        type="number"
+        value={formData.sheetExportDays}
+        onChange={(e) => setFormData({ ...formData, sheetExportDays: Number(e.target.value) })}
+        margin="normal"
+        InputProps={{ inputProps: { min: 1 } }}
+        helperText="Only jobs from this many days back are written to Google Sheets"
+      />
+
       {/* Scheduling Section */}
       <Typography variant="h6" gutterBottom sx={{ mt: 3, mb: 2 }}>
         Automated Sync Settings
@@ -28,8 +28,21 @@ import {
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
 import RefreshIcon from '@mui/icons-material/Refresh';
+import DownloadIcon from '@mui/icons-material/Download';
+import HistoryIcon from '@mui/icons-material/History';
+import UndoIcon from '@mui/icons-material/Undo';
 import { Account } from '../types/index';
 import { buildApiUrl } from '../utils/api';
+import ExportTemplateEditor from './ExportTemplateEditor';
+import SheetDestinationsEditor from './SheetDestinationsEditor';
+import ConversionRulesEditor from './ConversionRulesEditor';
+import ConversionNamesEditor from './ConversionNamesEditor';
+import TimeZoneField from './TimeZoneField';
+import PhoneCountryField from './PhoneCountryField';
+import CurrencyFields from './CurrencyFields';
+import SheetOverridesList from './SheetOverridesList';
+import ExportLedgerDialog from './ExportLedgerDialog';
+import { DEFAULT_TIME_ZONE, formatInTimeZone } from '../utils/timeZone';
 
 interface AccountListProps {
   accounts: Account[];
@@ -41,6 +54,65 @@ const AccountList: React.FC<AccountListProps> = ({ accounts, onAccountsChange })
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [sortBy, setSortBy] = useState<'source' | 'date'>('source');
+  const [ledgerAccount, setLedgerAccount] = useState<Account | null>(null);
+
+  // Download the conversions CSV, then record it in the export ledger once
+  // the user confirms it was uploaded
+  const handleDownloadConversions = async (account: Account) => {
+    try {
+      setLoading(true);
+      const accountId = account.id || account._id;
+      if (!accountId) {
+        throw new Error('Account ID not found');
+      }
+
+      const response = await fetch(buildApiUrl(`/api/export/${accountId}/conversions.csv`));
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to download conversions CSV');
+      }
+
+      const fileName =
+        response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] ||
+        'conversions.csv';
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      const rows = Number(response.headers.get('X-Export-Rows') || 0);
+      const fingerprint = response.headers.get('X-Export-Fingerprint');
+      if (
+        rows === 0 ||
+        !fingerprint ||
+        !confirm(`Mark these ${rows} conversions as uploaded to Google Ads? They won't be included in the next new-only download.`)
+      ) {
+        return;
+      }
+
+      const markResponse = await fetch(
+        buildApiUrl(`/api/export/${accountId}/conversions/mark-exported`),
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            onlyNew: response.headers.get('X-Export-Only-New') === 'true',
+            fingerprint,
+          }),
+        }
+      );
+      if (!markResponse.ok) {
+        const errorData = await markResponse.json();
+        throw new Error(errorData.error || 'Failed to mark conversions exported');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to download conversions CSV');
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const handleDelete = async (account: Account) => {
     if (!confirm('Are you sure you want to delete this account?')) return;
@@ -93,6 +165,20 @@ const AccountList: React.FC<AccountListProps> = ({ accounts, onAccountsChange })
           sourceFilter: editingAccount.sourceFilter,
           googleSheetsId: editingAccount.googleSheetsId,
           defaultConversionValue: editingAccount.defaultConversionValue,
+          conversionValueSource: editingAccount.conversionValueSource,
+          timeZone: editingAccount.timeZone,
+          phoneCountry: editingAccount.phoneCountry,
+          currency: editingAccount.currency,
+          reportingCurrency: editingAccount.reportingCurrency ?? null,
+          exportMode: editingAccount.exportMode,
+          exportScope: editingAccount.exportScope,
+          exportTemplate: editingAccount.exportTemplate ?? null,
+          sheetDestinations: editingAccount.sheetDestinations ?? null,
+          conversionRules: editingAccount.conversionRules ?? null,
+          conversionNames: editingAccount.conversionNames ?? null,
+          fetchLookbackDays: editingAccount.fetchLookbackDays,
+          retentionDays: editingAccount.retentionDays,
+          sheetExportDays: editingAccount.sheetExportDays,
           syncEnabled: editingAccount.syncEnabled,
           syncFrequency: editingAccount.syncFrequency,
           syncTime: editingAccount.syncTime,
@@ -101,7 +187,7 @@ const AccountList: React.FC<AccountListProps> = ({ accounts, onAccountsChange })
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to update account');
+        throw new Error(errorData.error || errorData.message || 'Failed to update account');
       }
 
       onAccountsChange();
@@ -113,6 +199,71 @@ const AccountList: React.FC<AccountListProps> = ({ accounts, onAccountsChange })
     }
   };
 
+  const handleResetWatermark = async () => {
+    if (!editingAccount) return;
+    if (!confirm('Reset the sync watermark? The next job sync will re-fetch and re-save every job in the lookback window.')) return;
+
+    try {
+      setLoading(true);
+      const accountId = editingAccount.id || editingAccount._id;
+      if (!accountId) {
+        throw new Error('Account ID not found');
+      }
+
+      const response = await fetch(buildApiUrl(`/api/accounts/${accountId}/reset-sync-watermark`), {
+        method: 'POST',
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to reset sync watermark');
+      }
+
+      setEditingAccount({ ...editingAccount, syncWatermark: null, openSyncWatermark: null });
+      onAccountsChange();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to reset sync watermark');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRotateWebhookSecret = async () => {
+    if (!editingAccount) return;
+    if (editingAccount.webhookSecret && !confirm('Generate a new webhook secret? Workiz must be updated with the new webhook URL.')) return;
+
+    try {
+      setLoading(true);
+      const accountId = editingAccount.id || editingAccount._id;
+      if (!accountId) {
+        throw new Error('Account ID not found');
+      }
+
+      const response = await fetch(buildApiUrl(`/api/accounts/${accountId}/webhook-secret`), {
+        method: 'POST',
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to generate webhook secret');
+      }
+
+      const data = await response.json() as { webhookSecret: string };
+      setEditingAccount({ ...editingAccount, webhookSecret: data.webhookSecret });
+      onAccountsChange();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to generate webhook secret');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getWebhookUrl = (account: Account) => {
+    const accountId = account.id || account._id;
+    const path = buildApiUrl(`/api/webhooks/workiz/${accountId}`);
+    return new URL(path, window.location.origin).toString();
+  };
+
   const handleCancel = () => {
     setEditingAccount(null);
   };
@@ -141,6 +292,16 @@ const AccountList: React.FC<AccountListProps> = ({ accounts, onAccountsChange })
     });
   };
 
+  const handleSyncWindowChange = (
+    field: 'fetchLookbackDays' | 'retentionDays' | 'sheetExportDays'
+  ) => (e: React.ChangeEvent<HTMLInputElement>) => {
+    if (!editingAccount) return;
+    setEditingAccount({
+      ...editingAccount,
+      [field]: parseInt(e.target.value, 10) || undefined,
+    });
+  };
+
   const handleNameChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     if (!editingAccount) return;
     setEditingAccount({
@@ -210,6 +371,33 @@ const AccountList: React.FC<AccountListProps> = ({ accounts, onAccountsChange })
             key={account.id || account._id}
             secondaryAction={
               <Box>
+                <IconButton
+                  edge="end"
+                  aria-label="download conversions csv"
+                  title="Download Google Ads conversions CSV"
+                  onClick={() => handleDownloadConversions(account)}
+                  disabled={loading}
+                >
+                  <DownloadIcon />
+                </IconButton>
+                <IconButton
+                  edge="end"
+                  aria-label="download adjustments csv"
+                  title="Download Google Ads conversion adjustments CSV (retractions and restatements)"
+                  href={buildApiUrl(`/api/export/${account.id || account._id}/adjustments.csv`)}
+                  disabled={loading}
+                >
+                  <UndoIcon />
+                </IconButton>
+                <IconButton
+                  edge="end"
+                  aria-label="export ledger"
+                  title="Exported conversions ledger"
+                  onClick={() => setLedgerAccount(account)}
+                  disabled={loading}
+                >
+                  <HistoryIcon />
+                </IconButton>
                 <IconButton
                   edge="end"
                   aria-label="edit"
@@ -239,6 +427,21 @@ const AccountList: React.FC<AccountListProps> = ({ accounts, onAccountsChange })
                   <br />
                   <Typography component="span" variant="body2" color="text.secondary">
                     Default Conversion Value: ${account.defaultConversionValue}
+                    {account.conversionValueSource === 'payments' && ' (job values from collected payments)'}
+                    {` · ${account.timeZone || DEFAULT_TIME_ZONE}`}
+                  </Typography>
+                  <br />
+                  <Typography component="span" variant="body2" color="text.secondary">
+                    Sheet Columns: {account.exportTemplate?.columns?.length
+                      ? account.exportTemplate.columns.map((column) => column.header).join(', ')
+                      : account.exportMode === 'enhanced'
+                        ? 'Hashed enhanced conversions layout'
+                        : 'Default Google Ads layout'}
+                    {!!account.sheetDestinations?.length && ` · ${account.sheetDestinations.length} destination(s)`}
+                  </Typography>
+                  <br />
+                  <Typography component="span" variant="body2" color="text.secondary">
+                    Windows: {account.fetchLookbackDays ?? 14}d lookback, {account.retentionDays ?? 32}d retention, {account.sheetExportDays ?? 32}d sheet export
                   </Typography>
                   <br />
                   <Typography component="span" variant="body2" color="text.secondary">
@@ -289,6 +492,229 @@ const AccountList: React.FC<AccountListProps> = ({ accounts, onAccountsChange })
             onChange={handleDefaultConversionValueChange}
             sx={{ mb: 2 }}
           />
+          <FormControl fullWidth sx={{ mb: 2 }}>
+            <InputLabel>Conversion Value Source</InputLabel>
+            <Select
+              value={editingAccount?.conversionValueSource || 'jobTotal'}
+              label="Conversion Value Source"
+              onChange={(e) => setEditingAccount(editingAccount ? {
+                ...editingAccount,
+                conversionValueSource: e.target.value as Account['conversionValueSource']
+              } : null)}
+            >
+              <MenuItem value="jobTotal">Job Total Price</MenuItem>
+              <MenuItem value="payments">Collected Payments</MenuItem>
+            </Select>
+          </FormControl>
+
+          <Box sx={{ mb: 2 }}>
+            <TimeZoneField
+              value={editingAccount?.timeZone}
+              onChange={(timeZone) => setEditingAccount(editingAccount ? {
+                ...editingAccount,
+                timeZone
+              } : null)}
+            />
+          </Box>
+
+          <Box sx={{ mb: 2 }}>
+            <PhoneCountryField
+              value={editingAccount?.phoneCountry}
+              onChange={(phoneCountry) => setEditingAccount(editingAccount ? {
+                ...editingAccount,
+                phoneCountry
+              } : null)}
+            />
+          </Box>
+
+          <Box sx={{ mb: 2 }}>
+            <CurrencyFields
+              currency={editingAccount?.currency}
+              reportingCurrency={editingAccount?.reportingCurrency}
+              onChange={(changes) => setEditingAccount(editingAccount ? {
+                ...editingAccount,
+                ...changes
+              } : null)}
+            />
+          </Box>
+
+          {/* Conversion Rules Section */}
+          <Typography variant="h6" gutterBottom sx={{ mt: 3, mb: 2 }}>
+            Conversion Rules
+          </Typography>
+
+          <ConversionRulesEditor
+            accountId={editingAccount?.id || editingAccount?._id}
+            value={editingAccount?.conversionRules}
+            onChange={(conversionRules) => setEditingAccount(editingAccount ? {
+              ...editingAccount,
+              conversionRules
+            } : null)}
+          />
+
+          {/* Conversion Names Section */}
+          <Typography variant="h6" gutterBottom sx={{ mt: 3, mb: 2 }}>
+            Conversion Names
+          </Typography>
+
+          <ConversionNamesEditor
+            value={editingAccount?.conversionNames}
+            onChange={(conversionNames) => setEditingAccount(editingAccount ? {
+              ...editingAccount,
+              conversionNames
+            } : null)}
+          />
+
+          {/* Sheet Columns Section */}
+          <Typography variant="h6" gutterBottom sx={{ mt: 3, mb: 2 }}>
+            Sheet Columns
+          </Typography>
+
+          <FormControl fullWidth sx={{ mb: 2 }}>
+            <InputLabel>Export Mode</InputLabel>
+            <Select
+              value={editingAccount?.exportMode || 'standard'}
+              label="Export Mode"
+              onChange={(e) => setEditingAccount(editingAccount ? {
+                ...editingAccount,
+                exportMode: e.target.value as Account['exportMode']
+              } : null)}
+            >
+              <MenuItem value="standard">Standard (call conversions)</MenuItem>
+              <MenuItem value="enhanced">Enhanced conversions (hashed customer data only)</MenuItem>
+            </Select>
+          </FormControl>
+
+          <FormControl fullWidth sx={{ mb: 2 }}>
+            <InputLabel>Export Scope</InputLabel>
+            <Select
+              value={editingAccount?.exportScope || 'all'}
+              label="Export Scope"
+              onChange={(e) => setEditingAccount(editingAccount ? {
+                ...editingAccount,
+                exportScope: e.target.value as Account['exportScope']
+              } : null)}
+            >
+              <MenuItem value="all">Every job in the export window</MenuItem>
+              <MenuItem value="newOrChanged">Only new or changed conversions</MenuItem>
+            </Select>
+          </FormControl>
+
+          <ExportTemplateEditor
+            enhanced={editingAccount?.exportMode === 'enhanced'}
+            value={editingAccount?.exportTemplate}
+            onChange={(exportTemplate) => setEditingAccount(editingAccount ? {
+              ...editingAccount,
+              exportTemplate
+            } : null)}
+          />
+
+          {/* Sheet Destinations Section */}
+          <Typography variant="h6" gutterBottom sx={{ mt: 3, mb: 2 }}>
+            Sheet Destinations
+          </Typography>
+
+          <SheetDestinationsEditor
+            value={editingAccount?.sheetDestinations}
+            onChange={(sheetDestinations) => setEditingAccount(editingAccount ? {
+              ...editingAccount,
+              sheetDestinations
+            } : null)}
+            accountTemplate={editingAccount?.exportTemplate}
+            enhanced={editingAccount?.exportMode === 'enhanced'}
+          />
+
+          {/* Sheet Overrides Section */}
+          <Typography variant="h6" gutterBottom sx={{ mt: 3, mb: 2 }}>
+            Sheet Overrides
+          </Typography>
+
+          <SheetOverridesList accountId={editingAccount?.id || editingAccount?._id} />
+
+          {/* Sync Windows Section */}
+          <Typography variant="h6" gutterBottom sx={{ mt: 3, mb: 2 }}>
+            Sync Windows
+          </Typography>
+
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+            <TextField
+              sx={{ minWidth: 150, flex: 1 }}
+              label="Workiz Lookback (days)"
+              type="number"
+              value={editingAccount?.fetchLookbackDays ?? 14}
+              onChange={handleSyncWindowChange('fetchLookbackDays')}
+              InputProps={{ inputProps: { min: 1 } }}
+            />
+            <TextField
+              sx={{ minWidth: 150, flex: 1 }}
+              label="Retention (days)"
+              type="number"
+              value={editingAccount?.retentionDays ?? 32}
+              onChange={handleSyncWindowChange('retentionDays')}
+              InputProps={{ inputProps: { min: 1 } }}
+            />
+            <TextField
+              sx={{ minWidth: 150, flex: 1 }}
+              label="Sheet Export (days)"
+              type="number"
+              value={editingAccount?.sheetExportDays ?? 32}
+              onChange={handleSyncWindowChange('sheetExportDays')}
+              InputProps={{ inputProps: { min: 1 } }}
+            />
+          </Box>
+
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mt: 2 }}>
+            <Typography variant="body2" color="text.secondary">
+              Incremental sync since:{' '}
+              {editingAccount?.syncWatermark
+                ? formatInTimeZone(editingAccount.syncWatermark, editingAccount.timeZone)
+                : 'Not set (next sync is a full resync)'}
+              {editingAccount?.openSyncWatermark &&
+                ` · open jobs since ${formatInTimeZone(editingAccount.openSyncWatermark, editingAccount.timeZone)}`}
+            </Typography>
+            <Button
+              size="small"
+              onClick={handleResetWatermark}
+              disabled={loading || (!editingAccount?.syncWatermark && !editingAccount?.openSyncWatermark)}
+            >
+              Force Full Resync
+            </Button>
+          </Box>
+
+          {/* Webhook Section */}
+          <Typography variant="h6" gutterBottom sx={{ mt: 3, mb: 2 }}>
+            Workiz Webhook
+          </Typography>
+
+          {editingAccount?.webhookSecret ? (
+            <TextField
+              margin="dense"
+              label="Webhook URL"
+              fullWidth
+              value={getWebhookUrl(editingAccount)}
+              InputProps={{ readOnly: true }}
+              helperText="Add this URL to Workiz for job created/updated/status-changed events"
+              sx={{ mb: 1 }}
+            />
+          ) : null}
+          {editingAccount?.webhookSecret ? (
+            <TextField
+              margin="dense"
+              label="X-Webhook-Secret header"
+              fullWidth
+              value={editingAccount.webhookSecret}
+              InputProps={{ readOnly: true }}
+              helperText="Send this secret as the X-Webhook-Secret header, not in the URL, so it stays out of access logs"
+              sx={{ mb: 1 }}
+            />
+          ) : (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              No webhook secret yet. Generate one to receive real-time job updates.
+            </Typography>
+          )}
+          <Button size="small" onClick={handleRotateWebhookSecret} disabled={loading}>
+            {editingAccount?.webhookSecret ? 'Rotate Webhook Secret' : 'Generate Webhook Secret'}
+          </Button>
           
           {/* Scheduling Section */}
           <Typography variant="h6" gutterBottom sx={{ mt: 3, mb: 2 }}>
@@ -355,6 +781,8 @@ const AccountList: React.FC<AccountListProps> = ({ accounts, onAccountsChange })
           </Button>
         </DialogActions>
       </Dialog>
+
+      <ExportLedgerDialog account={ledgerAccount} onClose={() => setLedgerAccount(null)} />
     </Box>
   );
 };
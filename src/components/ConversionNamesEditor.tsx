@@ -0,0 +1,125 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  IconButton,
+  Card,
+  CardContent,
+} from '@mui/material';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { ConversionNameMapping, ConversionNames } from '../types/index';
+
+interface ConversionNamesEditorProps {
+  // null/undefined means every row is named "Google Ads Convert"
+  value: ConversionNames | null | undefined;
+  onChange: (conversionNames: ConversionNames | null) => void;
+}
+
+const LEGACY_NAME = 'Google Ads Convert';
+
+// Empty entries are kept while typing; the server drops them on save
+const splitList = (value: string) => value.split(',').map(s => s.trim());
+
+const CONDITIONS: Array<{ key: keyof ConversionNameMapping['conditions']; label: string }> = [
+  { key: 'jobTypes', label: 'Job Types' },
+  { key: 'jobSources', label: 'Job Sources' },
+  { key: 'statuses', label: 'Statuses' },
+];
+
+const ConversionNamesEditor: React.FC<ConversionNamesEditorProps> = ({ value, onChange }) => {
+  const mappings = value?.mappings || [];
+
+  const update = (changes: Partial<ConversionNames>) => {
+    onChange({ defaultName: value?.defaultName ?? LEGACY_NAME, mappings, ...changes });
+  };
+
+  const updateMapping = (index: number, changes: Partial<ConversionNameMapping>) => {
+    update({ mappings: mappings.map((mapping, i) => (i === index ? { ...mapping, ...changes } : mapping)) });
+  };
+
+  const moveMapping = (index: number, offset: number) => {
+    const next = [...mappings];
+    const [mapping] = next.splice(index, 1);
+    next.splice(index + offset, 0, mapping);
+    update({ mappings: next });
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {value
+          ? 'The first mapping whose conditions all match names the conversion. Jobs no mapping matches get the default name and are flagged in the sync history.'
+          : `Every row is named "${LEGACY_NAME}". Add mappings to name conversion actions by job type, source or status.`}
+      </Typography>
+
+      {value && (
+        <TextField
+          size="small"
+          fullWidth
+          label="Default Conversion Name"
+          value={value.defaultName}
+          onChange={(e) => update({ defaultName: e.target.value })}
+          sx={{ mb: 2 }}
+        />
+      )}
+
+      {mappings.map((mapping, index) => (
+        <Card key={index} variant="outlined" sx={{ mb: 2 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+              <TextField
+                size="small"
+                label="Conversion Name"
+                value={mapping.name}
+                onChange={(e) => updateMapping(index, { name: e.target.value })}
+                sx={{ flex: 1 }}
+              />
+              <IconButton size="small" onClick={() => moveMapping(index, -1)} disabled={index === 0}>
+                <ArrowUpwardIcon fontSize="small" />
+              </IconButton>
+              <IconButton size="small" onClick={() => moveMapping(index, 1)} disabled={index === mappings.length - 1}>
+                <ArrowDownwardIcon fontSize="small" />
+              </IconButton>
+              <IconButton size="small" onClick={() => update({ mappings: mappings.filter((_, i) => i !== index) })}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+              {CONDITIONS.map(({ key, label }) => (
+                <TextField
+                  key={key}
+                  size="small"
+                  label={label}
+                  value={(mapping.conditions[key] || []).join(', ')}
+                  onChange={(e) => updateMapping(index, {
+                    conditions: { ...mapping.conditions, [key]: splitList(e.target.value) },
+                  })}
+                  helperText="Comma-separated; blank matches any"
+                  sx={{ flex: 1 }}
+                />
+              ))}
+            </Box>
+          </CardContent>
+        </Card>
+      ))}
+
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <Button
+          size="small"
+          onClick={() => update({ mappings: [...mappings, { name: '', conditions: {} }] })}
+        >
+          Add Mapping
+        </Button>
+        <Button size="small" onClick={() => onChange(null)} disabled={!value}>
+          Reset to Default
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default ConversionNamesEditor;
@@ -0,0 +1,305 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  IconButton,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  ConversionRule,
+  ConversionRuleConditions,
+  ConversionRulePreview,
+  ConversionRuleValueType,
+} from '../types/index';
+import { buildApiUrl } from '../utils/api';
+import { formatInTimeZone } from '../utils/timeZone';
+
+interface ConversionRulesEditorProps {
+  accountId?: string;
+  // null/undefined means the default rules are used
+  value: ConversionRule[] | null | undefined;
+  onChange: (rules: ConversionRule[] | null) => void;
+}
+
+// Empty entries are kept while typing; the server drops them on save
+const splitList = (value: string) => value.split(',').map(s => s.trim());
+
+const LIST_CONDITIONS: Array<{ key: keyof ConversionRuleConditions; label: string }> = [
+  { key: 'statuses', label: 'Statuses' },
+  { key: 'subStatuses', label: 'Sub Statuses' },
+  { key: 'jobTypes', label: 'Job Types' },
+  { key: 'jobSources', label: 'Job Sources' },
+  { key: 'tags', label: 'Tags (any)' },
+];
+
+const ConversionRulesEditor: React.FC<ConversionRulesEditorProps> = ({ accountId, value, onChange }) => {
+  const [preview, setPreview] = useState<ConversionRulePreview | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const rules = value || [];
+  const isDefault = rules.length === 0;
+
+  const updateRules = (next: ConversionRule[]) => {
+    onChange(next.length > 0 ? next : null);
+    setPreview(null);
+  };
+
+  const updateRule = (index: number, changes: Partial<ConversionRule>) => {
+    updateRules(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const updateConditions = (index: number, changes: Partial<ConversionRuleConditions>) => {
+    updateRule(index, { conditions: { ...rules[index].conditions, ...changes } });
+  };
+
+  const moveRule = (index: number, offset: number) => {
+    const next = [...rules];
+    const [rule] = next.splice(index, 1);
+    next.splice(index + offset, 0, rule);
+    updateRules(next);
+  };
+
+  const addRule = () => {
+    updateRules([...rules, { name: '', conditions: {}, value: { type: 'jobRevenue' } }]);
+  };
+
+  // Start editing from the rules the account uses today
+  const customize = async () => {
+    if (!accountId) {
+      addRule();
+      return;
+    }
+    try {
+      const response = await fetch(buildApiUrl(`/api/accounts/${accountId}/conversion-rules`));
+      if (!response.ok) {
+        throw new Error('Failed to load conversion rules');
+      }
+      const data = await response.json();
+      updateRules(data.rules);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load conversion rules');
+    }
+  };
+
+  const handlePreview = async () => {
+    if (!accountId) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetch(buildApiUrl(`/api/accounts/${accountId}/conversion-rules/preview?limit=20`), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ rules: value ?? null }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to preview conversion rules');
+      }
+      setPreview(await response.json());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to preview conversion rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const parsePrice = (text: string) => (text === '' ? undefined : Number(text));
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {isDefault
+          ? 'Using the default rules: cancelled jobs are worth 0, every other job its revenue (or the default conversion value when revenue is 0).'
+          : 'Rules are checked top to bottom; the first rule whose conditions all match sets the value. Jobs no rule matches get the default conversion value.'}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }}>
+          {error}
+        </Alert>
+      )}
+
+      {rules.map((rule, index) => (
+        <Card key={index} variant="outlined" sx={{ mb: 2 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+              <TextField
+                size="small"
+                label="Rule Name"
+                value={rule.name}
+                onChange={(e) => updateRule(index, { name: e.target.value })}
+                sx={{ flex: 2 }}
+              />
+              <FormControl size="small" sx={{ minWidth: 150 }}>
+                <InputLabel>Value</InputLabel>
+                <Select
+                  value={rule.value.type}
+                  label="Value"
+                  onChange={(e) => updateRule(index, {
+                    value: { type: e.target.value as ConversionRuleValueType },
+                  })}
+                >
+                  <MenuItem value="jobRevenue">Job Revenue</MenuItem>
+                  <MenuItem value="fixed">Fixed Amount</MenuItem>
+                  <MenuItem value="default">Default Value</MenuItem>
+                </Select>
+              </FormControl>
+              {rule.value.type === 'fixed' && (
+                <TextField
+                  size="small"
+                  label="Amount"
+                  type="number"
+                  value={rule.value.amount ?? ''}
+                  onChange={(e) => updateRule(index, {
+                    value: { type: 'fixed', amount: parsePrice(e.target.value) },
+                  })}
+                  sx={{ width: 110 }}
+                />
+              )}
+              <IconButton size="small" onClick={() => moveRule(index, -1)} disabled={index === 0}>
+                <ArrowUpwardIcon fontSize="small" />
+              </IconButton>
+              <IconButton size="small" onClick={() => moveRule(index, 1)} disabled={index === rules.length - 1}>
+                <ArrowDownwardIcon fontSize="small" />
+              </IconButton>
+              <IconButton size="small" onClick={() => updateRules(rules.filter((_, i) => i !== index))}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1, mt: 2, flexWrap: 'wrap' }}>
+              {LIST_CONDITIONS.map(({ key, label }) => (
+                <TextField
+                  key={key}
+                  size="small"
+                  label={label}
+                  value={((rule.conditions[key] as string[] | undefined) || []).join(', ')}
+                  onChange={(e) => updateConditions(index, { [key]: splitList(e.target.value) })}
+                  sx={{ flex: 1, minWidth: 140 }}
+                />
+              ))}
+              <TextField
+                size="small"
+                label="Min Revenue"
+                type="number"
+                value={rule.conditions.minPrice ?? ''}
+                onChange={(e) => updateConditions(index, { minPrice: parsePrice(e.target.value) })}
+                sx={{ width: 120 }}
+              />
+              <TextField
+                size="small"
+                label="Max Revenue"
+                type="number"
+                value={rule.conditions.maxPrice ?? ''}
+                onChange={(e) => updateConditions(index, { maxPrice: parsePrice(e.target.value) })}
+                sx={{ width: 120 }}
+              />
+            </Box>
+          </CardContent>
+        </Card>
+      ))}
+
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        {isDefault ? (
+          <Button size="small" onClick={customize}>
+            Customize Rules
+          </Button>
+        ) : (
+          <Button size="small" onClick={addRule}>
+            Add Rule
+          </Button>
+        )}
+        <Button size="small" onClick={() => updateRules([])} disabled={isDefault}>
+          Reset to Default
+        </Button>
+        <Button size="small" onClick={handlePreview} disabled={!accountId || loading}>
+          {loading ? 'Previewing...' : 'Preview'}
+        </Button>
+      </Box>
+
+      {preview && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            {preview.totalJobs} exportable jobs, total conversion value {preview.totalConversionValue.toFixed(2)} {preview.currency}
+            {preview.currency !== preview.sourceCurrency &&
+              ` (converted from ${preview.sourceCurrency} at ${preview.exchangeRate.toFixed(4)})`}
+            {preview.rejectedJobs > 0 && ` (${preview.rejectedJobs} left out without a valid phone number)`}
+            {preview.sheetOverrides.doNotUpload > 0 && `, ${preview.sheetOverrides.doNotUpload} held back as "do not upload"`}
+          </Typography>
+          {preview.conversionNames.unmapped > 0 && (
+            <Alert severity="warning" sx={{ mb: 1 }}>
+              {preview.conversionNames.unmapped} jobs match no conversion name mapping and use the default name
+            </Alert>
+          )}
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Rule</TableCell>
+                <TableCell align="right">Jobs</TableCell>
+                <TableCell align="right">Value</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {preview.ruleUsage.map((usage) => (
+                <TableRow key={usage.index ?? 'default'}>
+                  <TableCell>{usage.name}</TableCell>
+                  <TableCell align="right">{usage.jobs}</TableCell>
+                  <TableCell align="right">{usage.conversionValue.toFixed(2)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <Table size="small" sx={{ mt: 2 }}>
+            <TableHead>
+              <TableRow>
+                <TableCell>Job</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell align="right">Revenue</TableCell>
+                <TableCell align="right">Value</TableCell>
+                <TableCell>Rule</TableCell>
+                <TableCell>Conversion Name</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {preview.jobs.map((job) => (
+                <TableRow key={job.UUID}>
+                  <TableCell>{formatInTimeZone(job.JobDateTime, preview.timeZone, { dateStyle: 'short', timeStyle: 'short' })}</TableCell>
+                  <TableCell>{job.SubStatus ? `${job.Status} / ${job.SubStatus}` : job.Status}</TableCell>
+                  <TableCell>{job.JobType || '-'}</TableCell>
+                  <TableCell align="right">{job.jobRevenue}</TableCell>
+                  <TableCell align="right">
+                    {job.conversionValue}
+                    {job.overrideValue !== null && ' (sheet)'}
+                  </TableCell>
+                  <TableCell>{job.rule?.name || 'Default value'}</TableCell>
+                  <TableCell>{job.conversionName}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ConversionRulesEditor;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Autocomplete, Box, Button, TextField, Typography } from '@mui/material';
+import { mongodbService } from '../services/mongodb';
+
+const COMMON_CURRENCIES = ['USD', 'CAD', 'MXN', 'GBP', 'EUR', 'AUD', 'NZD'];
+
+// Common currencies first, then every ISO 4217 code the browser knows about
+const CURRENCY_OPTIONS: string[] = (() => {
+  const supportedValuesOf = (Intl as any).supportedValuesOf;
+  const all: string[] = typeof supportedValuesOf === 'function' ? supportedValuesOf('currency') : [];
+  return [...COMMON_CURRENCIES, ...all.filter((code) => !COMMON_CURRENCIES.includes(code))];
+})();
+
+interface CurrencyFieldsProps {
+  currency: string | null | undefined;
+  // null/undefined reports conversion values in the billing currency
+  reportingCurrency: string | null | undefined;
+  onChange: (changes: { currency?: string; reportingCurrency?: string | null }) => void;
+  margin?: 'none' | 'dense' | 'normal';
+}
+
+const CurrencyFields: React.FC<CurrencyFieldsProps> = ({ currency, reportingCurrency, onChange, margin }) => {
+  const [refreshing, setRefreshing] = useState(false);
+  const [refreshMessage, setRefreshMessage] = useState('');
+  const billingCurrency = currency || 'USD';
+  const converting = !!reportingCurrency && reportingCurrency !== billingCurrency;
+
+  const handleRefresh = async () => {
+    try {
+      setRefreshing(true);
+      const result = await mongodbService.refreshExchangeRates();
+      setRefreshMessage(`Stored ${result.updated} exchange rates`);
+    } catch (err) {
+      setRefreshMessage(err instanceof Error ? err.message : 'Failed to refresh exchange rates');
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2 }}>
+        <Autocomplete
+          sx={{ flex: 1 }}
+          options={CURRENCY_OPTIONS}
+          value={billingCurrency}
+          disableClearable
+          onChange={(_, next) => onChange({ currency: next })}
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              label="Billing Currency"
+              margin={margin}
+              helperText="Currency job totals and payments are in"
+            />
+          )}
+        />
+        <Autocomplete
+          sx={{ flex: 1 }}
+          options={CURRENCY_OPTIONS}
+          value={reportingCurrency || null}
+          onChange={(_, next) => onChange({ reportingCurrency: next || null })}
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              label="Reporting Currency"
+              placeholder={`Same as billing (${billingCurrency})`}
+              margin={margin}
+              helperText="Leave empty to report conversion values in the billing currency"
+            />
+          )}
+        />
+      </Box>
+      {converting && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Typography variant="body2" color="text.secondary">
+            Values are converted from {billingCurrency} to {reportingCurrency} at the stored exchange rate.
+          </Typography>
+          <Button size="small" onClick={handleRefresh} disabled={refreshing}>
+            {refreshing ? 'Refreshing...' : 'Refresh Rates'}
+          </Button>
+          {refreshMessage && (
+            <Typography variant="body2" color="text.secondary">
+              {refreshMessage}
+            </Typography>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default CurrencyFields;
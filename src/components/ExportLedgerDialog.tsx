@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Typography,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Account, ExportLedgerResponse } from '../types/index';
+import { mongodbService } from '../services/mongodb';
+import { formatInTimeZone } from '../utils/timeZone';
+
+interface ExportLedgerDialogProps {
+  account: Account | null;
+  onClose: () => void;
+}
+
+// What each destination was last sent per job, with earlier values
+const ExportLedgerDialog: React.FC<ExportLedgerDialogProps> = ({ account, onClose }) => {
+  const [ledger, setLedger] = useState<ExportLedgerResponse | null>(null);
+  const [destinationId, setDestinationId] = useState('');
+  const [jobUUID, setJobUUID] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const accountId = account?.id || account?._id;
+
+  useEffect(() => {
+    if (!accountId) return;
+    setLoading(true);
+    setError('');
+    mongodbService
+      .getExportLedger(accountId, { destinationId, jobUUID: jobUUID.trim() })
+      .then(setLedger)
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load export ledger'))
+      .finally(() => setLoading(false));
+  }, [accountId, destinationId, jobUUID]);
+
+  return (
+    <Dialog open={!!account} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Export Ledger: {account?.name}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', gap: 2, mt: 1, mb: 2 }}>
+          <FormControl sx={{ minWidth: 200 }} size="small">
+            <InputLabel>Destination</InputLabel>
+            <Select value={destinationId} label="Destination" onChange={(e) => setDestinationId(e.target.value)}>
+              <MenuItem value="">All</MenuItem>
+              {(ledger?.destinations || []).map((id) => (
+                <MenuItem key={id} value={id}>
+                  {id === 'csv' ? 'CSV download' : id}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField size="small" label="Job UUID" value={jobUUID} onChange={(e) => setJobUUID(e.target.value)} />
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {loading && <CircularProgress size={24} />}
+
+        {ledger && !loading && (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Showing {ledger.entries.length} of {ledger.total} exported conversions
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Job</TableCell>
+                  <TableCell>Destination</TableCell>
+                  <TableCell>Conversion Name</TableCell>
+                  <TableCell>Conversion Time</TableCell>
+                  <TableCell align="right">Value</TableCell>
+                  <TableCell>Last Sent</TableCell>
+                  <TableCell>Earlier Values</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {ledger.entries.map((entry) => (
+                  <TableRow key={`${entry.destinationId}-${entry.jobUUID}`}>
+                    <TableCell>{entry.jobUUID}</TableCell>
+                    <TableCell>{entry.destinationName || entry.destinationId}</TableCell>
+                    <TableCell>{entry.conversionName}</TableCell>
+                    <TableCell>{entry.conversionTime}</TableCell>
+                    <TableCell align="right">
+                      {entry.retractedAt ? 'Retracted' : `${entry.conversionValue} ${entry.currency}`}
+                    </TableCell>
+                    <TableCell>
+                      {formatInTimeZone(entry.lastExportedAt, account?.timeZone, { dateStyle: 'short', timeStyle: 'short' })}
+                    </TableCell>
+                    <TableCell>
+                      {(entry.history || [])
+                        .map((previous) => `${previous.conversionValue} ${previous.currency}${previous.adjustment ? ` (${previous.adjustment})` : ''}`)
+                        .join(', ') || '-'}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ExportLedgerDialog;
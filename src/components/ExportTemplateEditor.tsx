@@ -0,0 +1,171 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  IconButton,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+} from '@mui/material';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { ExportTemplate, ExportTemplateColumn, ExportTemplateOptions } from '../types/index';
+import { buildApiUrl } from '../utils/api';
+
+interface ExportTemplateEditorProps {
+  // null/undefined means the fallback layout is used
+  value: ExportTemplate | null | undefined;
+  onChange: (template: ExportTemplate | null) => void;
+  // Layout shown (and used) while value is empty; defaults to the Google Ads layout
+  fallback?: ExportTemplate | null;
+  fallbackLabel?: string;
+  // Enhanced export mode: the hashed layout is the default
+  enhanced?: boolean;
+}
+
+const ExportTemplateEditor: React.FC<ExportTemplateEditorProps> = ({
+  value,
+  onChange,
+  fallback,
+  fallbackLabel,
+  enhanced = false,
+}) => {
+  const [options, setOptions] = useState<ExportTemplateOptions | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const response = await fetch(buildApiUrl('/api/export-templates/options'));
+        if (!response.ok) {
+          throw new Error('Failed to load export template options');
+        }
+        setOptions(await response.json());
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Failed to load export template options');
+      }
+    };
+    fetchOptions();
+  }, []);
+
+  const isDefault = !value || value.columns.length === 0;
+  const modeTemplate = enhanced ? options?.enhancedTemplate : options?.defaultTemplate;
+  const fallbackColumns = fallback?.columns?.length ? fallback.columns : modeTemplate?.columns;
+  const label = fallbackLabel || (enhanced ? 'the hashed enhanced conversions layout' : 'the default Google Ads layout');
+  const columns = isDefault ? fallbackColumns || [] : value.columns;
+
+  const updateColumns = (next: ExportTemplateColumn[]) => {
+    onChange({ columns: next });
+  };
+
+  const updateColumn = (index: number, changes: Partial<ExportTemplateColumn>) => {
+    updateColumns(columns.map((column, i) => (i === index ? { ...column, ...changes } : column)));
+  };
+
+  const moveColumn = (index: number, offset: number) => {
+    const next = [...columns];
+    const [column] = next.splice(index, 1);
+    next.splice(index + offset, 0, column);
+    updateColumns(next);
+  };
+
+  const removeColumn = (index: number) => {
+    updateColumns(columns.filter((_, i) => i !== index));
+  };
+
+  const addColumn = () => {
+    updateColumns([...columns, { header: '', source: 'field', value: '' }]);
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {isDefault
+          ? `Using ${label}. Edit any column to customize it.`
+          : 'Columns are written left to right starting at column A, with the headers in row 1.'}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }}>
+          {error}
+        </Alert>
+      )}
+
+      {columns.map((column, index) => (
+        <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 1 }}>
+          <TextField
+            size="small"
+            label="Header"
+            value={column.header}
+            onChange={(e) => updateColumn(index, { header: e.target.value })}
+            sx={{ flex: 2 }}
+          />
+          <FormControl size="small" sx={{ minWidth: 110 }}>
+            <InputLabel>Source</InputLabel>
+            <Select
+              value={column.source}
+              label="Source"
+              onChange={(e) => updateColumn(index, {
+                source: e.target.value as ExportTemplateColumn['source'],
+                value: '',
+              })}
+            >
+              <MenuItem value="field">Job Field</MenuItem>
+              <MenuItem value="computed">Computed</MenuItem>
+              <MenuItem value="literal">Fixed Text</MenuItem>
+            </Select>
+          </FormControl>
+          {column.source === 'computed' ? (
+            <FormControl size="small" sx={{ flex: 2 }}>
+              <InputLabel>Expression</InputLabel>
+              <Select
+                value={column.value}
+                label="Expression"
+                onChange={(e) => updateColumn(index, { value: e.target.value })}
+              >
+                {(options?.computed || []).map((computed) => (
+                  <MenuItem key={computed.name} value={computed.name}>
+                    {computed.label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          ) : (
+            <TextField
+              size="small"
+              label={column.source === 'field' ? 'Job Field (e.g. Phone)' : 'Text'}
+              value={column.value}
+              onChange={(e) => updateColumn(index, { value: e.target.value })}
+              sx={{ flex: 2 }}
+            />
+          )}
+          <IconButton size="small" onClick={() => moveColumn(index, -1)} disabled={index === 0}>
+            <ArrowUpwardIcon fontSize="small" />
+          </IconButton>
+          <IconButton size="small" onClick={() => moveColumn(index, 1)} disabled={index === columns.length - 1}>
+            <ArrowDownwardIcon fontSize="small" />
+          </IconButton>
+          <IconButton size="small" onClick={() => removeColumn(index)} disabled={columns.length === 1}>
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Box>
+      ))}
+
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <Button size="small" onClick={addColumn} disabled={!options}>
+          Add Column
+        </Button>
+        <Button size="small" onClick={() => onChange(null)} disabled={isDefault}>
+          Reset to Default
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default ExportTemplateEditor;
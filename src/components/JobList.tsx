@@ -29,6 +29,7 @@ import {
 } from '@mui/icons-material';
 import { Account } from '../types/index';
 import { buildApiUrl } from '../utils/api';
+import { formatInTimeZone } from '../utils/timeZone';
 
 interface Job {
   UUID: string;
@@ -541,7 +542,7 @@ const JobList: React.FC<JobListProps> = ({ accounts }) => {
         </Typography>
         {account.lastSyncDate && (
           <Typography variant="body2" color="text.secondary">
-            Last Sync: {new Date(account.lastSyncDate).toLocaleString()}
+            Last Sync: {formatInTimeZone(account.lastSyncDate, account.timeZone)}
           </Typography>
         )}
         {googleSheetsUrl && (
@@ -658,7 +659,7 @@ const JobList: React.FC<JobListProps> = ({ accounts }) => {
                   </IconButton>
                 </Box>
                 <Typography variant="body2" color="text.secondary">
-                  {syncResult.timestamp.toLocaleString()}
+                  {formatInTimeZone(syncResult.timestamp, selectedAccount?.timeZone)}
                 </Typography>
                 
                 <Collapse in={showSyncDetails}>
@@ -0,0 +1,38 @@
+import React from 'react';
+import { FormControl, InputLabel, Select, MenuItem, FormHelperText } from '@mui/material';
+
+// Default countries the server can read national numbers in
+const PHONE_COUNTRIES = [
+  { code: 'US', label: 'United States (+1)' },
+  { code: 'CA', label: 'Canada (+1)' },
+  { code: 'PR', label: 'Puerto Rico (+1)' },
+  { code: 'MX', label: 'Mexico (+52)' },
+  { code: 'GB', label: 'United Kingdom (+44)' },
+  { code: 'IE', label: 'Ireland (+353)' },
+  { code: 'AU', label: 'Australia (+61)' },
+  { code: 'NZ', label: 'New Zealand (+64)' },
+];
+
+interface PhoneCountryFieldProps {
+  value: string | null | undefined;
+  onChange: (phoneCountry: string) => void;
+  margin?: 'none' | 'dense' | 'normal';
+}
+
+const PhoneCountryField: React.FC<PhoneCountryFieldProps> = ({ value, onChange, margin }) => (
+  <FormControl fullWidth margin={margin}>
+    <InputLabel>Phone Country</InputLabel>
+    <Select value={value || 'US'} label="Phone Country" onChange={(e) => onChange(e.target.value)}>
+      {PHONE_COUNTRIES.map((country) => (
+        <MenuItem key={country.code} value={country.code}>
+          {country.label}
+        </MenuItem>
+      ))}
+    </Select>
+    <FormHelperText>
+      Phone numbers without a country code are read as this country's when converting to E.164
+    </FormHelperText>
+  </FormControl>
+);
+
+export default PhoneCountryField;
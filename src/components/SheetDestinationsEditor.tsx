@@ -0,0 +1,137 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  IconButton,
+  FormControlLabel,
+  Switch,
+  Card,
+  CardContent,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { ExportTemplate, SheetDestination } from '../types/index';
+import ExportTemplateEditor from './ExportTemplateEditor';
+
+interface SheetDestinationsEditorProps {
+  // null/undefined means the account writes to Sheet1 of its Google Sheets ID
+  value: SheetDestination[] | null | undefined;
+  onChange: (destinations: SheetDestination[] | null) => void;
+  // The account's own template, used by destinations without one
+  accountTemplate?: ExportTemplate | null;
+  enhanced?: boolean;
+}
+
+// Empty entries are kept while typing; the server drops them on save
+const splitList = (value: string) => value.split(',').map(s => s.trim());
+
+const SheetDestinationsEditor: React.FC<SheetDestinationsEditorProps> = ({ value, onChange, accountTemplate, enhanced }) => {
+  const destinations = value || [];
+
+  const updateDestination = (index: number, changes: Partial<SheetDestination>) => {
+    onChange(destinations.map((destination, i) => (i === index ? { ...destination, ...changes } : destination)));
+  };
+
+  const removeDestination = (index: number) => {
+    const next = destinations.filter((_, i) => i !== index);
+    onChange(next.length > 0 ? next : null);
+  };
+
+  const addDestination = () => {
+    onChange([
+      ...destinations,
+      { name: '', sheetName: '', sourceFilter: [], statuses: [], exportTemplate: null, enabled: true },
+    ]);
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {destinations.length === 0
+          ? 'Exporting to Sheet1 of the Google Sheets ID above. Add destinations to write to other tabs or spreadsheets.'
+          : 'Each destination is written separately. Missing tabs are created on the next sync.'}
+      </Typography>
+
+      {destinations.map((destination, index) => (
+        <Card key={destination.id || index} variant="outlined" sx={{ mb: 2 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+              <TextField
+                size="small"
+                label="Name"
+                value={destination.name}
+                onChange={(e) => updateDestination(index, { name: e.target.value })}
+                sx={{ flex: 1 }}
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={destination.enabled !== false}
+                    onChange={(e) => updateDestination(index, { enabled: e.target.checked })}
+                  />
+                }
+                label="Enabled"
+              />
+              <IconButton size="small" onClick={() => removeDestination(index)}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+              <TextField
+                size="small"
+                label="Spreadsheet ID"
+                value={destination.spreadsheetId || ''}
+                onChange={(e) => updateDestination(index, { spreadsheetId: e.target.value })}
+                helperText="Blank uses the account's Google Sheets ID"
+                sx={{ flex: 2 }}
+              />
+              <TextField
+                size="small"
+                label="Tab Name"
+                value={destination.sheetName || ''}
+                onChange={(e) => updateDestination(index, { sheetName: e.target.value })}
+                helperText="Blank uses Sheet1"
+                sx={{ flex: 1 }}
+              />
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+              <TextField
+                size="small"
+                label="Job Sources"
+                value={(destination.sourceFilter || []).join(', ')}
+                onChange={(e) => updateDestination(index, { sourceFilter: splitList(e.target.value) })}
+                helperText="Comma-separated; blank exports every source"
+                sx={{ flex: 1 }}
+              />
+              <TextField
+                size="small"
+                label="Job Statuses"
+                value={(destination.statuses || []).join(', ')}
+                onChange={(e) => updateDestination(index, { statuses: splitList(e.target.value) })}
+                helperText="Comma-separated; blank exports every status"
+                sx={{ flex: 1 }}
+              />
+            </Box>
+            <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>
+              Columns
+            </Typography>
+            <ExportTemplateEditor
+              value={destination.exportTemplate}
+              onChange={(exportTemplate) => updateDestination(index, { exportTemplate })}
+              fallback={accountTemplate}
+              fallbackLabel="the account's sheet columns"
+              enhanced={enhanced}
+            />
+          </CardContent>
+        </Card>
+      ))}
+
+      <Button size="small" onClick={addDestination}>
+        Add Destination
+      </Button>
+    </Box>
+  );
+};
+
+export default SheetDestinationsEditor;
@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  IconButton,
+  Alert,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { SheetOverride } from '../types/index';
+import { mongodbService } from '../services/mongodb';
+
+interface SheetOverridesListProps {
+  accountId?: string;
+}
+
+// Overrides read back from the account's sheets. Clearing one puts the job
+// back under the conversion rules (and back in the export, if it was held).
+const SheetOverridesList: React.FC<SheetOverridesListProps> = ({ accountId }) => {
+  const [overrides, setOverrides] = useState<SheetOverride[]>([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!accountId) return;
+    mongodbService
+      .getSheetOverrides(accountId)
+      .then(setOverrides)
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load sheet overrides'));
+  }, [accountId]);
+
+  const handleClear = async (jobUUID: string) => {
+    if (!accountId) return;
+    try {
+      await mongodbService.clearSheetOverride(accountId, jobUUID);
+      setOverrides(overrides.filter((override) => override.jobUUID !== jobUUID));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to clear sheet override');
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Add the "Override conversion value" and "Do not upload" computed columns to a sheet layout to let
+        edits in the sheet correct values or hold jobs back. Edits are read back at the start of every sync.
+      </Typography>
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }}>
+          {error}
+        </Alert>
+      )}
+      {overrides.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No overrides
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Job</TableCell>
+              <TableCell align="right">Value</TableCell>
+              <TableCell>Do Not Upload</TableCell>
+              <TableCell>From</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {overrides.map((override) => (
+              <TableRow key={override.jobUUID}>
+                <TableCell>{override.jobUUID}</TableCell>
+                <TableCell align="right">{override.conversionValue ?? '-'}</TableCell>
+                <TableCell>{override.doNotUpload ? 'Yes' : ''}</TableCell>
+                <TableCell>{override.source?.sheetName || '-'}</TableCell>
+                <TableCell>
+                  <IconButton size="small" onClick={() => handleClear(override.jobUUID)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default SheetOverridesList;
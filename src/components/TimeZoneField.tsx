@@ -0,0 +1,32 @@
+import React from 'react';
+import { Autocomplete, TextField } from '@mui/material';
+import { DEFAULT_TIME_ZONE, TIME_ZONE_OPTIONS } from '../utils/timeZone';
+
+interface TimeZoneFieldProps {
+  value: string | null | undefined;
+  onChange: (timeZone: string) => void;
+  margin?: 'none' | 'dense' | 'normal';
+}
+
+// IANA zone picker; the server validates free-typed names on save
+const TimeZoneField: React.FC<TimeZoneFieldProps> = ({ value, onChange, margin }) => (
+  <Autocomplete
+    freeSolo
+    options={TIME_ZONE_OPTIONS}
+    value={value ?? DEFAULT_TIME_ZONE}
+    onChange={(_, next) => onChange(next || DEFAULT_TIME_ZONE)}
+    onInputChange={(_, next, reason) => {
+      if (reason === 'input') onChange(next);
+    }}
+    renderInput={(params) => (
+      <TextField
+        {...params}
+        label="Time Zone"
+        margin={margin}
+        helperText="Conversion times are exported, and job times shown, in this zone"
+      />
+    )}
+  />
+);
+
+export default TimeZoneField;
@@ -1,5 +1,23 @@
 import { ObjectId } from 'mongodb';
 import { buildApiUrl } from '../utils/api';
+import {
+  ConversionNames,
+  ConversionRule,
+  ConversionRulePreview,
+  ExchangeRate,
+  ExportLedgerResponse,
+  ExportScope,
+  ExportMode,
+  ExportTemplate,
+  ExportTemplateOptions,
+  JobHistoryResponse,
+  LineItemGroupBy,
+  LineItemRevenueReport,
+  PhoneQualityReport,
+  SheetOverride,
+  SheetDestination,
+  WorkizJob,
+} from '../types/index';
 
 export interface Account {
   _id?: ObjectId;
@@ -9,6 +27,23 @@ export interface Account {
   googleSheetsId: string;
   sourceFilter: string[];
   defaultConversionValue: number;
+  conversionValueSource?: 'jobTotal' | 'payments';
+  timeZone?: string;
+  phoneCountry?: string;
+  currency?: string;
+  reportingCurrency?: string | null;
+  exportMode?: ExportMode;
+  exportScope?: ExportScope;
+  exportTemplate?: ExportTemplate | null;
+  sheetDestinations?: SheetDestination[] | null;
+  conversionRules?: ConversionRule[] | null;
+  conversionNames?: ConversionNames | null;
+  fetchLookbackDays?: number;
+  retentionDays?: number;
+  sheetExportDays?: number;
+  syncWatermark?: Date | null;
+  openSyncWatermark?: Date | null;
+  webhookSecret?: string;
   syncEnabled: boolean;
   syncFrequency: 'daily' | 'weekly' | 'monthly' | 'custom';
   syncTime: string;
@@ -64,6 +99,74 @@ export const mongodbService = {
     }
   },
 
+  async resetSyncWatermark(id: string): Promise<void> {
+    const response = await fetch(buildApiUrl(`/api/accounts/${id}/reset-sync-watermark`), {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      throw new Error('Failed to reset sync watermark');
+    }
+  },
+
+  async getExportTemplateOptions(): Promise<ExportTemplateOptions> {
+    const response = await fetch(buildApiUrl('/api/export-templates/options'));
+    if (!response.ok) {
+      throw new Error('Failed to fetch export template options');
+    }
+    return response.json();
+  },
+
+  // Value the account's jobs with draft rules (or its saved rules) without saving
+  async previewConversionRules(accountId: string, rules?: ConversionRule[] | null, limit?: number): Promise<ConversionRulePreview> {
+    const query = limit ? `?limit=${limit}` : '';
+    const response = await fetch(buildApiUrl(`/api/accounts/${accountId}/conversion-rules/preview${query}`), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(rules === undefined ? {} : { rules }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to preview conversion rules');
+    }
+    return response.json();
+  },
+
+  async getExportLedger(
+    accountId: string,
+    filters: { destinationId?: string; jobUUID?: string; limit?: number } = {}
+  ): Promise<ExportLedgerResponse> {
+    const params = new URLSearchParams();
+    if (filters.destinationId) params.set('destinationId', filters.destinationId);
+    if (filters.jobUUID) params.set('jobUUID', filters.jobUUID);
+    if (filters.limit) params.set('limit', String(filters.limit));
+    const response = await fetch(buildApiUrl(`/api/accounts/${accountId}/export-ledger?${params}`));
+    if (!response.ok) {
+      throw new Error('Failed to fetch export ledger');
+    }
+    return response.json();
+  },
+
+  async getSheetOverrides(accountId: string): Promise<SheetOverride[]> {
+    const response = await fetch(buildApiUrl(`/api/accounts/${accountId}/sheet-overrides`));
+    if (!response.ok) {
+      throw new Error('Failed to fetch sheet overrides');
+    }
+    const data = await response.json();
+    return data.overrides;
+  },
+
+  async clearSheetOverride(accountId: string, jobUUID: string): Promise<void> {
+    const response = await fetch(
+      buildApiUrl(`/api/accounts/${accountId}/sheet-overrides/${encodeURIComponent(jobUUID)}`),
+      { method: 'DELETE' }
+    );
+    if (!response.ok) {
+      throw new Error('Failed to clear sheet override');
+    }
+  },
+
   async getJobs(): Promise<any[]> {
     const response = await fetch(buildApiUrl('/api/jobs'));
     if (!response.ok) {
@@ -72,6 +175,85 @@ export const mongodbService = {
     return response.json();
   },
 
+  async getJobHistory(uuid: string): Promise<JobHistoryResponse> {
+    const response = await fetch(buildApiUrl(`/api/jobs/${uuid}/history`));
+    if (!response.ok) {
+      throw new Error('Failed to fetch job history');
+    }
+    return response.json();
+  },
+
+  async getDeletedJobs(accountId?: string): Promise<WorkizJob[]> {
+    const query = accountId ? `?accountId=${encodeURIComponent(accountId)}` : '';
+    const response = await fetch(buildApiUrl(`/api/jobs/deleted${query}`));
+    if (!response.ok) {
+      throw new Error('Failed to fetch deleted jobs');
+    }
+    return response.json();
+  },
+
+  async restoreJob(uuid: string): Promise<void> {
+    const response = await fetch(buildApiUrl(`/api/jobs/${uuid}/restore`), {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      throw new Error('Failed to restore job');
+    }
+  },
+
+  async getLineItemRevenue(options: {
+    accountIds?: string[];
+    startDate?: string;
+    endDate?: string;
+    statuses?: string[];
+    groupBy?: LineItemGroupBy;
+  } = {}): Promise<LineItemRevenueReport> {
+    const params = new URLSearchParams();
+    if (options.accountIds?.length) params.set('accountIds', options.accountIds.join(','));
+    if (options.startDate) params.set('startDate', options.startDate);
+    if (options.endDate) params.set('endDate', options.endDate);
+    if (options.statuses?.length) params.set('status', options.statuses.join(','));
+    if (options.groupBy) params.set('groupBy', options.groupBy);
+    const response = await fetch(buildApiUrl(`/api/reports/line-item-revenue?${params}`));
+    if (!response.ok) {
+      throw new Error('Failed to fetch line item revenue');
+    }
+    return response.json();
+  },
+
+  async getPhoneQualityReport(accountIds: string[] = []): Promise<PhoneQualityReport> {
+    const params = new URLSearchParams();
+    if (accountIds.length) params.set('accountIds', accountIds.join(','));
+    const response = await fetch(buildApiUrl(`/api/reports/phone-quality?${params}`));
+    if (!response.ok) {
+      throw new Error('Failed to fetch phone quality report');
+    }
+    return response.json();
+  },
+
+  async getExchangeRates(): Promise<ExchangeRate[]> {
+    const response = await fetch(buildApiUrl('/api/exchange-rates'));
+    if (!response.ok) {
+      throw new Error('Failed to fetch exchange rates');
+    }
+    const data = await response.json();
+    return data.rates;
+  },
+
+  // Without rates, fetches the latest from the server's rates provider
+  async refreshExchangeRates(rates?: Record<string, number>): Promise<{ updated: number; updatedAt: string; source: string }> {
+    const response = await fetch(buildApiUrl('/api/exchange-rates/refresh'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(rates ? { rates } : {}),
+    });
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || 'Failed to refresh exchange rates');
+    }
+    return response.json();
+  },
+
   async syncJobs(accountId: string): Promise<any> {
     const response = await fetch(buildApiUrl(`/api/sync-jobs/${accountId}`), {
       method: 'POST',
@@ -7,6 +7,43 @@ export interface Account {
   googleSheetsId: string;
   sourceFilter: string[];
   defaultConversionValue: number;
+  // Value exported jobs by JobTotalPrice or by collected Workiz payments
+  conversionValueSource?: 'jobTotal' | 'payments';
+  // IANA zone for exported conversion times and displayed job times
+  // (America/Los_Angeles when absent)
+  timeZone?: string;
+  // Country national phone numbers are read in for E.164 (US when absent)
+  phoneCountry?: string;
+  // ISO 4217 currency job totals and payments are in (USD when absent)
+  currency?: string;
+  // Currency conversion values are reported in; null/absent means the
+  // billing currency, anything else converts at the stored exchange rate
+  reportingCurrency?: string | null;
+  // enhanced: sheets get SHA-256 hashed customer identifiers and never raw
+  // customer data (standard when absent)
+  exportMode?: ExportMode;
+  // newOrChanged: sheets and CSV downloads only carry conversions the export
+  // ledger hasn't seen with the same values (all when absent)
+  exportScope?: ExportScope;
+  // Google Sheets column layout; null/absent means the default Google Ads layout
+  exportTemplate?: ExportTemplate | null;
+  // Extra spreadsheets/tabs to export to; null/absent means Sheet1 of googleSheetsId
+  sheetDestinations?: SheetDestination[] | null;
+  // Ordered conversion value rules; null/absent means the default rules
+  conversionRules?: ConversionRule[] | null;
+  // Conversion action names by JobType/JobSource/Status; null/absent means
+  // every row is "Google Ads Convert"
+  conversionNames?: ConversionNames | null;
+  // Sync windows (days)
+  fetchLookbackDays?: number;
+  retentionDays?: number;
+  sheetExportDays?: number;
+  // Incremental sync high-water marks (LastStatusUpdate/CreatedDate) for
+  // full syncs and open-only scheduled syncs
+  syncWatermark?: Date | null;
+  openSyncWatermark?: Date | null;
+  // Shared secret Workiz sends with webhook calls
+  webhookSecret?: string;
   // New scheduling fields
   syncEnabled: boolean;
   syncFrequency: 'daily' | 'weekly' | 'monthly' | 'custom';
@@ -17,6 +54,256 @@ export interface Account {
   updatedAt?: Date;
 }
 
+// One column of a Sheets export template
+export interface ExportTemplateColumn {
+  header: string;
+  // field: a Workiz job field, computed: a named expression, literal: fixed text
+  source: 'field' | 'computed' | 'literal';
+  value: string;
+}
+
+export interface ExportTemplate {
+  columns: ExportTemplateColumn[];
+}
+
+export type ExportMode = 'standard' | 'enhanced';
+
+// GET /api/export-templates/options
+export interface ExportTemplateOptions {
+  sources: ExportTemplateColumn['source'][];
+  computed: Array<{ name: string; label: string }>;
+  defaultTemplate: ExportTemplate;
+  // Default layout for accounts in enhanced export mode
+  enhancedTemplate: ExportTemplate;
+  exportModes: ExportMode[];
+}
+
+// One spreadsheet tab an account exports to, with its own filter and columns
+export interface SheetDestination {
+  id?: string;
+  name: string;
+  // Defaults to the account's googleSheetsId
+  spreadsheetId?: string | null;
+  // Defaults to Sheet1; created if missing
+  sheetName?: string;
+  // Empty lists match every job
+  sourceFilter?: string[];
+  statuses?: string[];
+  // Defaults to the account's export template
+  exportTemplate?: ExportTemplate | null;
+  enabled?: boolean;
+}
+
+// Conditions a job must all meet for a conversion rule to fire. String lists
+// match case-insensitively; an empty or missing condition matches any job.
+export interface ConversionRuleConditions {
+  statuses?: string[];
+  subStatuses?: string[];
+  jobTypes?: string[];
+  jobSources?: string[];
+  // Any one of the tags
+  tags?: string[];
+  // Bounds on the job's revenue (JobTotalPrice or collected payments)
+  minPrice?: number;
+  maxPrice?: number;
+}
+
+// jobRevenue: the job's revenue, or the default value when it is 0
+export type ConversionRuleValueType = 'jobRevenue' | 'fixed' | 'default';
+
+export interface ConversionRule {
+  name: string;
+  conditions: ConversionRuleConditions;
+  value: { type: ConversionRuleValueType; amount?: number };
+}
+
+// One conversion action name and the jobs it applies to. Condition lists
+// match case-insensitively; an empty or missing list matches any job.
+export interface ConversionNameMapping {
+  name: string;
+  conditions: {
+    jobTypes?: string[];
+    jobSources?: string[];
+    statuses?: string[];
+  };
+}
+
+export interface ConversionNames {
+  // Used for jobs no mapping matches; those jobs are reported as unmapped
+  defaultName: string;
+  mappings: ConversionNameMapping[];
+}
+
+// Jobs exported per conversion name, and the jobs that matched no mapping
+export interface ConversionNameSummary {
+  byName: Record<string, number>;
+  unmapped: number;
+  unmappedSample: string[];
+}
+
+export type ExportScope = 'all' | 'newOrChanged';
+
+// What a destination last sent for a job (exportLedger collection)
+export interface ExportLedgerValues {
+  conversionName: string;
+  conversionTime: string;
+  conversionValue: number;
+  currency: string;
+  // Value in sourceCurrency before conversion at exchangeRate; null when a
+  // sheet override set conversionValue. Missing on entries recorded earlier.
+  sourceValue?: number | null;
+  sourceCurrency?: string;
+  exchangeRate?: number;
+}
+
+export interface ExportLedgerEntry extends ExportLedgerValues {
+  jobUUID: string;
+  callerPhone?: string;
+  // Sheet destination id, or "csv" for downloads
+  destinationId: string;
+  destinationName?: string;
+  firstExportedAt: string;
+  lastExportedAt: string;
+  // Set once a conversion adjustment restated or retracted the conversion
+  adjustedAt?: string;
+  retractedAt?: string;
+  history?: Array<ExportLedgerValues & { exportedAt: string; adjustment?: AdjustmentType }>;
+}
+
+export type AdjustmentType = 'RETRACT' | 'RESTATE';
+
+// Conversion adjustments raised for jobs cancelled, deleted or repriced
+// after they were exported
+export interface AdjustmentSummary {
+  retractions: number;
+  restatements: number;
+  sample?: Array<{
+    jobUUID: string;
+    type: AdjustmentType;
+    reason: 'cancelled' | 'deleted' | 'repriced';
+    previousValue: number;
+    adjustedValue: number | null;
+  }>;
+}
+
+// GET /api/accounts/:id/export-ledger
+export interface ExportLedgerResponse {
+  entries: ExportLedgerEntry[];
+  total: number;
+  destinations: string[];
+}
+
+// POST /api/accounts/:id/provision-sheet
+export interface SheetProvisionResult {
+  spreadsheetId: string;
+  spreadsheetUrl: string;
+  title: string;
+  tabs: string[];
+  sharedWith: string[];
+  shareErrors: Array<{ email: string; error: string }>;
+}
+
+// Per-job override read back from a sheet's override columns
+export interface SheetOverride {
+  jobUUID: string;
+  conversionValue: number | null;
+  doNotUpload: boolean;
+  source?: { destinationId: string; sheetName: string };
+  updatedAt: string;
+}
+
+// Jobs an export valued or held back by a sheet override; the read-back
+// counts are only set for Sheets syncs
+export interface SheetOverrideSummary {
+  valueOverrides: number;
+  doNotUpload: number;
+  edited?: number;
+  cleared?: number;
+  unreadable?: number;
+  unreadableSample?: Array<{ jobUUID: string; column: string; value: unknown }>;
+}
+
+// How many jobs a rule valued; index is null for jobs no rule matched
+export interface ConversionRuleUsage {
+  index: number | null;
+  name: string;
+  jobs: number;
+  conversionValue: number;
+}
+
+// Currency conversion values are in; sourceCurrency is the account's billing
+// currency and exchangeRate the rate values were converted at (1 when the
+// two are the same)
+export interface ConversionCurrency {
+  currency: string;
+  sourceCurrency: string;
+  exchangeRate: number;
+  ratesUpdatedAt?: string | null;
+}
+
+// GET /api/exchange-rates (units per US dollar)
+export interface ExchangeRate {
+  currency: string;
+  perUsd: number;
+  updatedAt: string;
+  source: string;
+}
+
+// POST /api/accounts/:id/conversion-rules/preview
+export interface ConversionRulePreview extends ConversionCurrency {
+  rules: ConversionRule[];
+  timeZone: string;
+  totalJobs: number;
+  // Left out of the export for an unusable phone number
+  rejectedJobs: number;
+  totalConversionValue: number;
+  ruleUsage: ConversionRuleUsage[];
+  conversionNames: ConversionNameSummary;
+  sheetOverrides: SheetOverrideSummary;
+  jobs: Array<{
+    UUID: string;
+    JobDateTime: string;
+    Status: string;
+    SubStatus?: string;
+    JobType?: string;
+    JobSource?: string;
+    jobRevenue: number;
+    conversionName: string;
+    conversionValue: number;
+    rule: { index: number; name: string } | null;
+    overrideValue: number | null;
+  }>;
+}
+
+// Exports send callers' numbers in E.164 from Phone, or SecondPhone when
+// Phone is unusable; jobs with neither are left out
+export interface PhoneQuality {
+  rejected: number;
+  fromSecondPhone: number;
+}
+
+// GET /api/reports/phone-quality
+export interface PhoneQualityReport {
+  accounts: Array<PhoneQuality & {
+    accountId: string;
+    accountName: string;
+    phoneCountry: string;
+    totalJobs: number;
+    valid: number;
+    jobs: Array<{
+      UUID: string;
+      JobDateTime: string;
+      Status: string;
+      JobSource: string;
+      ClientName: string;
+      Phone: string | null;
+      PhoneExt: string | null;
+      SecondPhone: string | null;
+      error: string;
+    }>;
+  }>;
+}
+
 // Workiz Job types (matching the API response)
 export interface WorkizJob {
   UUID: string;
@@ -64,6 +351,11 @@ export interface WorkizJob {
     Name: string;
   }>;
   accountId?: string; // Added for database storage
+  // Soft-delete and reconciliation state
+  deletedAt?: Date;
+  deletedReason?: 'retention' | 'missing_in_workiz' | string;
+  missingSince?: Date;
+  missingChecks?: number;
 }
 
 // Job types (simplified for UI)
@@ -86,13 +378,154 @@ export interface Job {
   JobNotes?: string;
 }
 
+// Field-level change recorded in jobHistory
+export interface JobFieldChange {
+  field: string;
+  from: any;
+  to: any;
+}
+
+export interface JobStatusTransition {
+  from: string | null;
+  to: string | null;
+}
+
+// One jobHistory entry, written whenever a synced job changes
+export interface JobHistoryEntry {
+  _id?: string;
+  UUID: string;
+  accountId: string | null;
+  changeType: 'created' | 'updated' | 'deleted' | 'restored';
+  changes: JobFieldChange[];
+  statusTransition: JobStatusTransition | null;
+  source: string;
+  details?: Record<string, any>;
+  changedAt: Date;
+}
+
+// GET /api/jobs/:uuid/history
+export interface JobHistoryResponse {
+  UUID: string;
+  currentStatus: string | null;
+  deletedAt: Date | null;
+  statusTimeline: Array<JobStatusTransition & { at: Date; source: string }>;
+  history: JobHistoryEntry[];
+}
+
+// One Workiz line item, normalized out of WorkizJob.LineItems
+export interface LineItem {
+  _id?: string;
+  jobUUID: string;
+  accountId: string;
+  index: number;
+  itemId: string | number | null;
+  name: string;
+  quantity: number;
+  unitPrice: number;
+  unitCost: number;
+  revenue: number;
+  cost: number;
+  jobDateTime: Date | null;
+  jobStatus: string | null;
+  jobType: string | null;
+  jobSource: string | null;
+  updatedAt: Date;
+}
+
+export type LineItemGroupBy = 'item' | 'service' | 'source';
+
+// One row of GET /api/reports/line-item-revenue
+export interface LineItemRevenueRow {
+  key: string;
+  quantity: number;
+  revenue: number;
+  cost: number;
+  margin: number;
+  lineItems: number;
+  jobCount: number;
+  accounts: string[];
+}
+
+export interface LineItemRevenueReport {
+  groupBy: LineItemGroupBy;
+  startDate: Date | null;
+  endDate: Date | null;
+  totals: { revenue: number; cost: number; lineItems: number };
+  rows: LineItemRevenueRow[];
+}
+
+// Sync windows resolved for an account at sync time
+export interface SyncWindows {
+  fetchLookbackDays: number;
+  retentionDays: number;
+  sheetExportDays: number;
+  fetchStartDate: string;
+  retentionCutoff: Date;
+  sheetExportCutoff: Date;
+}
+
+// Progress of a single Workiz job/all page fetched during a sync
+export interface WorkizPageProgress {
+  page: number;
+  offset: number;
+  records: number;
+  found: number | null;
+  hasMore: boolean;
+  fetchedAt: Date;
+}
+
+// Workiz entities synced alongside jobs
+export type WorkizEntityType = 'leads' | 'clients' | 'payments';
+
+// Outcome of syncing one entity type for an account
+export interface WorkizEntitySyncResult {
+  fetched?: number;
+  upserted?: number;
+  modified?: number;
+  skipped?: number;
+  workizPages?: number;
+  paginationTruncated?: boolean;
+  error?: string;
+  errorType?: string;
+}
+
+// Rows a diff-based Sheets write changed
+export interface SheetWriteResult {
+  inserted: number;
+  updated: number;
+  deleted: number;
+  unchanged: number;
+  headerUpdated: boolean;
+  rowsChanged: number;
+}
+
+// Outcome of writing one sheet destination during a Sheets sync
+export interface SheetDestinationResult extends Partial<SheetWriteResult> {
+  id: string;
+  name: string;
+  spreadsheetId: string;
+  sheetName: string;
+  columns: string[];
+  jobs: number;
+  status: 'success' | 'error';
+  error?: string;
+  // Rows written (fewer than jobs for newOrChanged accounts) and how many
+  // were new to, or changed in, the export ledger
+  exported?: number;
+  newConversions?: number;
+  changedConversions?: number;
+  adjustments?: AdjustmentSummary;
+  // The destination's "<tab> Adjustments" tab; null until it has had one
+  adjustmentsSheet?: (Partial<SheetWriteResult> & { sheetName?: string; rows?: number; error?: string }) | null;
+}
+
 // Sync history types
 export interface SyncHistory {
   id?: string;
   _id?: string;
   accountId: string;
-  syncType: 'jobs' | 'sheets';
-  status: 'success' | 'error';
+  syncType: 'jobs' | 'sheets' | 'jobs_uuid_update' | 'webhook' | 'entities' | 'reconcile' | 'adjustments';
+  status: 'success' | 'error' | 'ignored';
   timestamp: Date;
   details: {
     // Jobs sync details
@@ -101,14 +534,39 @@ export interface SyncHistory {
     finalJobCount?: number;
     jobsUpdated?: number;
     jobsDeleted?: number;
+    jobsFlaggedMissing?: number;
     failedUpdates?: number;
-    
+    workizPages?: number;
+    workizFound?: number | null;
+    paginationTruncated?: boolean;
+    pages?: WorkizPageProgress[];
+    incremental?: boolean;
+    watermarkBefore?: Date | null;
+    watermarkAfter?: Date | null;
+    jobsUpserted?: number;
+    jobsSkippedUnchanged?: number;
+    jobHistoryEntries?: number;
+
+    // Missing-job reconciliation details
+    flagged?: number;
+    recovered?: number;
+    stillMissing?: number;
+    tombstoned?: number;
+    tombstonedUUIDs?: string[];
+
+    // Leads/clients/payments sync details
+    entityTypes?: WorkizEntityType[];
+    entities?: Partial<Record<WorkizEntityType, WorkizEntitySyncResult>>;
+
     // Google Sheets sync details
     totalJobs?: number;
     filteredJobs?: number;
     updatedRows?: number;
+    rowsChanged?: number;
+    destinations?: SheetDestinationResult[];
     sourceFilter?: string[];
     sampleJobSources?: string[];
+    syncWindows?: SyncWindows;
     
     // Enhanced details
     syncMethod?: 'manual' | 'cron';
@@ -119,11 +577,23 @@ export interface SyncHistory {
       completed: number;
       cancelled: number;
     };
+    phoneQuality?: PhoneQuality;
+    conversionNames?: ConversionNameSummary;
+    sheetOverrides?: SheetOverrideSummary;
+    adjustments?: AdjustmentSummary;
+    channel?: 'csv';
     conversionValueLogic?: {
       defaultValue: number;
+      valueSource?: 'jobTotal' | 'payments';
+      jobsWithPayments?: number | null;
       jobsWithJobTotalPrice: number;
       jobsWithCancelledStatus: number;
       totalConversionValue: number;
+      currency?: string;
+      sourceCurrency?: string;
+      exchangeRate?: number;
+      ratesUpdatedAt?: string | null;
+      ruleUsage?: ConversionRuleUsage[];
     };
   };
   errorMessage?: string;
@@ -0,0 +1,40 @@
+// Account time zones: exported conversion times and job times shown in the
+// dashboard use the account's IANA zone
+
+export const DEFAULT_TIME_ZONE = 'America/Los_Angeles';
+
+const US_TIME_ZONES = [
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Phoenix',
+  'America/Los_Angeles',
+  'America/Anchorage',
+  'Pacific/Honolulu',
+];
+
+// US zones first, then everything the browser knows about
+export const TIME_ZONE_OPTIONS: string[] = (() => {
+  const supportedValuesOf = (Intl as any).supportedValuesOf;
+  const all: string[] = typeof supportedValuesOf === 'function' ? supportedValuesOf('timeZone') : [];
+  return [...US_TIME_ZONES, ...all.filter((zone) => !US_TIME_ZONES.includes(zone))];
+})();
+
+// Date and time in the account's zone, with the zone abbreviation (e.g. "EDT")
+export const formatInTimeZone = (
+  value: string | Date,
+  timeZone: string | null | undefined,
+  options: Intl.DateTimeFormatOptions = {}
+): string => {
+  const date = new Date(value);
+  try {
+    return date.toLocaleString(undefined, {
+      timeZone: timeZone || DEFAULT_TIME_ZONE,
+      timeZoneName: 'short',
+      ...options,
+    });
+  } catch {
+    // Unknown zone in this browser; fall back to the local zone
+    return date.toLocaleString(undefined, options);
+  }
+};
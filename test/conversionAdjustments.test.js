@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ADJUSTMENT_TYPES,
+  detectAdjustments,
+} from "../lib/conversionAdjustments.js";
+import { getLedgerChange, toLedgerValues } from "../lib/exportLedger.js";
+
+const entry = (jobUUID, conversionValue = 100) => ({
+  jobUUID,
+  conversionValue,
+  currency: "USD",
+});
+
+const detect = (entries, jobs, exportJobs = []) =>
+  detectAdjustments(
+    entries,
+    new Map(jobs.map((job) => [job.UUID, job])),
+    new Map(exportJobs.map((exportJob) => [exportJob.job.UUID, exportJob]))
+  );
+
+test("jobs tombstoned for retention are not retracted", () => {
+  const adjustments = detect(
+    [entry("OLD1")],
+    [
+      {
+        UUID: "OLD1",
+        Status: "Completed",
+        deletedAt: new Date(),
+        deletedReason: "retention",
+      },
+    ]
+  );
+  assert.deepEqual(adjustments, []);
+});
+
+test("jobs deleted in Workiz are retracted", () => {
+  const adjustments = detect(
+    [entry("GONE1")],
+    [
+      {
+        UUID: "GONE1",
+        Status: "Completed",
+        deletedAt: new Date(),
+        deletedReason: "missing_in_workiz",
+      },
+    ]
+  );
+  assert.equal(adjustments.length, 1);
+  assert.equal(adjustments[0].type, ADJUSTMENT_TYPES.retract);
+  assert.equal(adjustments[0].reason, "deleted");
+});
+
+test("cancelled jobs are retracted and repriced jobs restated", () => {
+  const adjustments = detect(
+    [entry("CXL1"), entry("PRICE1"), entry("SAME1")],
+    [
+      { UUID: "CXL1", Status: "Canceled" },
+      { UUID: "PRICE1", Status: "Completed" },
+      { UUID: "SAME1", Status: "Completed" },
+    ],
+    [
+      { job: { UUID: "PRICE1" }, conversionValue: 250, currency: "USD" },
+      { job: { UUID: "SAME1" }, conversionValue: 100, currency: "USD" },
+    ]
+  );
+  assert.deepEqual(
+    adjustments.map(({ entry, type, reason, adjustedValue }) => [
+      entry.jobUUID,
+      type,
+      reason,
+      adjustedValue,
+    ]),
+    [
+      ["CXL1", ADJUSTMENT_TYPES.retract, "cancelled", null],
+      ["PRICE1", ADJUSTMENT_TYPES.restate, "repriced", 250],
+    ]
+  );
+});
+
+test("a new exchange rate alone restates nothing", () => {
+  // Billed in CAD, reported in USD: sent at 0.74, the rate is now 0.72
+  const exportJob = (UUID, sourceValue) => ({
+    job: { UUID },
+    conversionName: "Booked Job",
+    formattedTime: "2025-06-01 10:00:00",
+    conversionValue: Math.round(sourceValue * 0.72 * 100) / 100,
+    currency: "USD",
+    sourceValue,
+    sourceCurrency: "CAD",
+    exchangeRate: 0.72,
+  });
+  const sent = (UUID, sourceValue) => ({
+    jobUUID: UUID,
+    ...toLedgerValues({
+      ...exportJob(UUID, sourceValue),
+      conversionValue: Math.round(sourceValue * 0.74 * 100) / 100,
+      exchangeRate: 0.74,
+    }),
+  });
+  const sameJob = exportJob("RATE1", 100);
+  const repriced = exportJob("PRICE1", 120);
+
+  assert.equal(getLedgerChange(sent("RATE1", 100), sameJob), null);
+  assert.equal(getLedgerChange(sent("PRICE1", 100), repriced), "changed");
+
+  const adjustments = detect(
+    [sent("RATE1", 100), sent("PRICE1", 100)],
+    [
+      { UUID: "RATE1", Status: "Completed" },
+      { UUID: "PRICE1", Status: "Completed" },
+    ],
+    [sameJob, repriced]
+  );
+  assert.deepEqual(
+    adjustments.map(({ entry, type, adjustedValue, source }) => [
+      entry.jobUUID,
+      type,
+      adjustedValue,
+      source.exchangeRate,
+    ]),
+    [["PRICE1", ADJUSTMENT_TYPES.restate, 86.4, 0.72]]
+  );
+});
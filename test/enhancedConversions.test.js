@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeEmail,
+  normalizeName,
+  normalizePostalCode,
+  sha256Hex,
+  hashIdentifier,
+  findRawPiiColumns,
+} from "../lib/enhancedConversions.js";
+import { normalizePhone } from "../lib/phoneNumbers.js";
+import {
+  COMPUTED_COLUMNS,
+  ENHANCED_EXPORT_TEMPLATE,
+  DEFAULT_EXPORT_TEMPLATE,
+} from "../lib/exportTemplates.js";
+
+// SHA-256 of "test@gmail.com" as published in Google's Customer Match and
+// enhanced conversions formatting guides
+const GOOGLE_TEST_EMAIL_HASH =
+  "87924606b4131a8aceeeae8868531fbb9712aaa07a5d3a756b26ce0f5d6ca674";
+
+test("emails are trimmed and lowercased", () => {
+  assert.equal(normalizeEmail("  Test@Gmail.com "), "test@gmail.com");
+  assert.equal(normalizeEmail(" Alex.2@Example.com"), "alex.2@example.com");
+});
+
+test("dots are removed for gmail.com and googlemail.com only", () => {
+  assert.equal(normalizeEmail("t.e.s.t@gmail.com"), "test@gmail.com");
+  assert.equal(normalizeEmail("Te.st@googlemail.com"), "test@googlemail.com");
+  assert.equal(normalizeEmail("alex.2@example.com"), "alex.2@example.com");
+  assert.equal(normalizeEmail("alex+2@example.com"), "alex+2@example.com");
+});
+
+test("Google's hash of test@gmail.com is matched from every spelling of it", () => {
+  for (const value of [
+    "test@gmail.com",
+    " TEST@GMAIL.COM ",
+    "t.e.s.t@gmail.com",
+  ]) {
+    assert.equal(
+      hashIdentifier(normalizeEmail(value)),
+      GOOGLE_TEST_EMAIL_HASH,
+      value
+    );
+  }
+});
+
+test("invalid emails normalize to null", () => {
+  for (const value of [
+    "",
+    "   ",
+    "jane",
+    "@example.com",
+    "jane@",
+    "ja ne@x.com",
+    null,
+    undefined,
+  ]) {
+    assert.equal(normalizeEmail(value), null, JSON.stringify(value));
+  }
+});
+
+test("phone numbers are normalized to E.164 with the leading +", () => {
+  for (const value of [
+    "+1 800 5550102",
+    "(800) 555-0102",
+    "800.555.0102",
+    "1-800-555-0102",
+  ]) {
+    assert.equal(normalizePhone(value, "US").e164, "+18005550102", value);
+  }
+  assert.equal(normalizePhone("020 7946 0018", "GB").e164, "+442079460018");
+});
+
+test("names are trimmed and lowercased", () => {
+  assert.equal(normalizeName("  Alex "), "alex");
+  assert.equal(normalizeName("QUINN"), "quinn");
+  assert.equal(normalizeName("   "), null);
+});
+
+test("postal codes are trimmed and uppercased but kept readable", () => {
+  assert.equal(normalizePostalCode(" 94045 "), "94045");
+  assert.equal(normalizePostalCode("sw1a  1aa"), "SW1A 1AA");
+  assert.equal(normalizePostalCode(94045), "94045");
+  assert.equal(normalizePostalCode("  "), null);
+});
+
+test("SHA-256 digests are lowercase hex", () => {
+  assert.equal(sha256Hex("test@gmail.com"), GOOGLE_TEST_EMAIL_HASH);
+});
+
+test("missing identifiers stay empty instead of hashing an empty string", () => {
+  assert.equal(hashIdentifier(null), "");
+  assert.equal(hashIdentifier(""), "");
+});
+
+test("computed columns hash normalized identifiers and leave the postal code plain", () => {
+  const job = {
+    Email: " Te.st@GMAIL.com",
+    FirstName: " Alex",
+    LastName: "QUINN ",
+    PostalCode: " 94045",
+  };
+  const context = { phone: normalizePhone("+1 800 5550102", "US").e164 };
+  const compute = (name) => COMPUTED_COLUMNS[name].compute(job, context);
+
+  assert.equal(compute("hashedEmail"), GOOGLE_TEST_EMAIL_HASH);
+  assert.equal(compute("hashedPhone"), sha256Hex("+18005550102"));
+  assert.equal(compute("hashedFirstName"), sha256Hex("alex"));
+  assert.equal(compute("hashedLastName"), sha256Hex("quinn"));
+  assert.equal(compute("postalCode"), "94045");
+  assert.equal(
+    ENHANCED_EXPORT_TEMPLATE.columns.find(
+      (column) => column.header === "Zip Code"
+    ).value,
+    "postalCode"
+  );
+});
+
+test("the enhanced layout has no raw customer data columns", () => {
+  assert.deepEqual(findRawPiiColumns(ENHANCED_EXPORT_TEMPLATE), []);
+  assert.deepEqual(findRawPiiColumns(DEFAULT_EXPORT_TEMPLATE), [
+    "Caller's Phone Number",
+  ]);
+  assert.deepEqual(
+    findRawPiiColumns({
+      columns: [
+        { header: "Mail", source: "field", value: " email " },
+        { header: "Name", source: "computed", value: "clientName" },
+        { header: "Type", source: "field", value: "JobType" },
+      ],
+    }),
+    ["Mail", "Name"]
+  );
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffSheetRows, buildSheetRequests } from "../lib/sheetSync.js";
+
+const KEY = "Workiz Job UUID";
+
+test("an export with no jobs deletes every keyed row", () => {
+  const current = [
+    ["Phone", KEY],
+    ["+18005550102", "JOB1"],
+    ["+18005550103", "JOB2"],
+  ];
+  const diff = diffSheetRows(current, ["Phone"], [], KEY);
+  assert.deepEqual(diff.deletes, [1, 2]);
+  assert.deepEqual(diff.inserts, []);
+
+  const requests = buildSheetRequests(7, 2, diff, 3);
+  assert.deepEqual(requests, [
+    { appendDimension: { sheetId: 7, dimension: "ROWS", length: 1 } },
+    {
+      deleteDimension: {
+        range: { sheetId: 7, dimension: "ROWS", startIndex: 1, endIndex: 3 },
+      },
+    },
+  ]);
+});
+
+test("no blank row is added while other rows remain", () => {
+  const diff = diffSheetRows(
+    [
+      ["Phone", KEY],
+      ["x", "JOB1"],
+    ],
+    ["Phone"],
+    [],
+    KEY
+  );
+  assert.equal(
+    buildSheetRequests(7, 2, diff, 1000).some(
+      (request) => request.appendDimension
+    ),
+    false
+  );
+});
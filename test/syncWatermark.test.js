@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  filterJobsChangedSince,
+  computeSyncWatermark,
+  getSyncWatermarkField,
+} from "../lib/syncWatermark.js";
+
+const WATERMARK = "2025-06-10T12:00:00.000Z";
+
+test("a job scheduled before the watermark but changed after it still syncs", () => {
+  const jobs = [
+    {
+      UUID: "EARLY1",
+      JobDateTime: "2025-06-01 09:00:00",
+      CreatedDate: "2025-05-28T10:00:00.000Z",
+      LastStatusUpdate: "2025-06-12T08:30:00.000Z",
+    },
+    {
+      UUID: "STALE1",
+      JobDateTime: "2025-06-11 09:00:00",
+      CreatedDate: "2025-06-01T10:00:00.000Z",
+      LastStatusUpdate: "2025-06-05T08:30:00.000Z",
+    },
+  ];
+
+  assert.deepEqual(
+    filterJobsChangedSince(jobs, WATERMARK).map((job) => job.UUID),
+    ["EARLY1"]
+  );
+  assert.equal(
+    computeSyncWatermark(jobs, WATERMARK).toISOString(),
+    "2025-06-12T08:30:00.000Z"
+  );
+});
+
+test("jobs without a usable change time are always kept", () => {
+  const jobs = [{ UUID: "NOTIME1", LastStatusUpdate: "not a date" }];
+  assert.equal(filterJobsChangedSince(jobs, WATERMARK).length, 1);
+});
+
+test("the watermark never moves backwards", () => {
+  const jobs = [{ UUID: "OLD1", LastStatusUpdate: "2025-06-01T00:00:00Z" }];
+  assert.equal(computeSyncWatermark(jobs, WATERMARK).toISOString(), WATERMARK);
+  assert.equal(computeSyncWatermark([], null), null);
+});
+
+test("open-only syncs keep their own watermark", () => {
+  assert.equal(getSyncWatermarkField(false), "syncWatermark");
+  assert.equal(getSyncWatermarkField(true), "openSyncWatermark");
+});